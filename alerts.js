@@ -0,0 +1,84 @@
+/**
+ * Threshold alert rules, evaluated against each parsed insight on /markup.
+ *
+ * A rule is { metric, operator, value }:
+ *   metric   — which number to test (see METRICS)
+ *   operator — '>', '>=', '<' or '<='
+ *   value    — the threshold
+ *
+ * The first rule that fires switches the display to the alert layout.
+ */
+
+const METRICS = {
+  headline: { label: 'Headline value', of: (insight) => headlineNumber(insight) },
+  latest:   { label: 'Latest value',   of: (insight) => lastValue(insight.series) },
+  total:    { label: 'Series total',   of: (insight) => seriesTotal(insight.series) },
+  change:   { label: 'Change vs previous period (%)', of: (insight) => insight.comparison?.change ?? null },
+};
+
+const OPERATORS = {
+  '>':  { label: 'above',           test: (a, b) => a > b },
+  '>=': { label: 'at or above',     test: (a, b) => a >= b },
+  '<':  { label: 'below',           test: (a, b) => a < b },
+  '<=': { label: 'at or below',     test: (a, b) => a <= b },
+};
+
+/**
+ * Returns { rule, value, text } for the first rule that fires, or null.
+ *   value — the metric's current value, formatted for display
+ *   text  — the rule in words, e.g. "Latest value above 500"
+ */
+function evaluateAlerts(rules, insight) {
+  for (const rule of rules) {
+    const metric   = METRICS[rule.metric];
+    const operator = OPERATORS[rule.operator];
+    if (!metric || !operator) continue;
+
+    const current = metric.of(insight);
+    if (current === null || !isFinite(current)) continue;
+
+    if (operator.test(current, rule.value)) {
+      return { rule, value: formatValue(current, rule.metric), text: describeRule(rule) };
+    }
+  }
+  return null;
+}
+
+function describeRule({ metric, operator, value }) {
+  const m = METRICS[metric];
+  const o = OPERATORS[operator];
+  if (!m || !o) return '';
+  return `${m.label} ${o.label} ${formatValue(value, metric)}`;
+}
+
+// The headline as a number: the parser's raw count when it has one, else
+// read back from the display string, which is rounded ("1.2K" for 1,249)
+function headlineNumber({ primaryNumber, primaryValue }) {
+  if (typeof primaryNumber === 'number' && isFinite(primaryNumber)) return primaryNumber;
+  return numericValue(primaryValue);
+}
+
+// Headline values arrive formatted ("1.2K", "18.5%", "—"); undo that
+function numericValue(str) {
+  const m = String(str ?? '').replace(/,/g, '').match(/^(-?\d+(?:\.\d+)?)\s*([KM%]?)$/i);
+  if (!m) return null;
+  const scale = { K: 1_000, M: 1_000_000 }[m[2].toUpperCase()] || 1;
+  return Number(m[1]) * scale;
+}
+
+function lastValue(series) {
+  if (!Array.isArray(series) || series.length === 0) return null;
+  return Number(series[series.length - 1].value);
+}
+
+function seriesTotal(series) {
+  if (!Array.isArray(series) || series.length === 0) return null;
+  return series.reduce((sum, p) => sum + (Number(p.value) || 0), 0);
+}
+
+function formatValue(n, metric) {
+  const rounded = Math.round(n * 10) / 10;
+  return metric === 'change' ? `${rounded}%` : rounded.toLocaleString('en-US');
+}
+
+module.exports = { METRICS, OPERATORS, evaluateAlerts, describeRule, headlineNumber, numericValue };
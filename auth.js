@@ -0,0 +1,240 @@
+/**
+ * Decide which installation a request may act on.
+ *
+ * TRMNL's own calls (/markup, /image, /uninstall) carry the installation's
+ * access token as "Authorization: Bearer …", matched by its keyed hash
+ * (see db.getInstallationByToken).
+ *
+ * The settings pages open in a browser, so they take a signed settings
+ * token instead: HMAC-signed { plugin_setting_id, expiry }, issued by
+ * /install when it sends the user on to the settings form and by
+ * GET /settings/link to a caller holding the access token, passed as
+ * ?token=… and carried through the form as settings_token. It is valid for
+ * SETTINGS_TOKEN_TTL seconds.
+ *
+ * A plugin_setting_id the request also names (query, body or the TRMNL
+ * blob) must belong to the credential. With DEV_MODE=1 a bare
+ * plugin_setting_id is enough — for local testing with seed-test.js,
+ * generate-preview.js and curl only.
+ *
+ * The operator console (/admin) takes ADMIN_PASSWORD, as HTTP Basic auth
+ * from a browser or as a Bearer token from scripts, and is switched off
+ * without it.
+ */
+
+const crypto = require('crypto');
+const db     = require('./db');
+const { deriveKey } = require('./secrets');
+const { log, bindInstallation } = require('./log');
+
+const DEV_MODE           = ['1', 'true'].includes(String(process.env.DEV_MODE || '').toLowerCase());
+const SETTINGS_TOKEN_TTL = Number(process.env.SETTINGS_TOKEN_TTL) || 3600; // seconds
+const SIGNING_INFO       = 'trmnl-posthog/settings-token/v1';
+const ADMIN_FORM_INFO    = 'trmnl-posthog/admin-form/v1';
+
+/**
+ * The installation a TRMNL request is for.
+ * Returns { pluginSettingId } or { error, status } — 401 without a valid
+ * access token, 403 when the token belongs to a different installation.
+ */
+function authenticateDevice(req) {
+  const named = namedInstallation(req);
+  const token = bearerToken(req);
+
+  if (token) {
+    let installation;
+    try {
+      installation = db.getInstallationByToken(token);
+    } catch (err) {
+      log.error('Could not check access token', { error: err.message });
+      return { error: 'Could not check the access token', status: 500 };
+    }
+    if (!installation) {
+      return { error: 'Unknown access token', status: 401 };
+    }
+    if (named && named !== installation.plugin_setting_id) {
+      return { error: 'Access token belongs to a different installation', status: 403 };
+    }
+    bindInstallation(installation.plugin_setting_id);
+    return { pluginSettingId: installation.plugin_setting_id };
+  }
+
+  if (DEV_MODE && named) {
+    bindInstallation(named);
+    return { pluginSettingId: named };
+  }
+  return { error: 'Missing access token (Authorization: Bearer …)', status: 401 };
+}
+
+/**
+ * The installation a settings request may view or change.
+ * Returns { pluginSettingId, token } — token is the settings token to carry
+ * in the form and redirects — or { error, status }.
+ */
+function authenticateSettings(req) {
+  const named = req.query.plugin_setting_id || req.body?.plugin_setting_id || null;
+  const raw   = req.query.token || req.body?.settings_token || null;
+
+  let pluginSettingId;
+  if (raw) {
+    const verified = verifySettingsToken(raw);
+    if (!verified) {
+      return { error: 'This settings link is not valid.', status: 401 };
+    }
+    if (verified.expired) {
+      return { error: 'This settings link has expired.', status: 401 };
+    }
+    pluginSettingId = verified.pluginSettingId;
+  } else if (bearerToken(req)) {
+    const auth = authenticateDevice(req);
+    if (auth.error) return auth;
+    pluginSettingId = auth.pluginSettingId;
+  } else if (DEV_MODE && named) {
+    pluginSettingId = String(named);
+  } else {
+    return {
+      error:  'This page needs a signed settings link. Installing the plugin from TRMNL opens one; ' +
+              'it stays valid for a limited time.',
+      status: 401,
+    };
+  }
+
+  if (named && String(named) !== pluginSettingId) {
+    return { error: 'This settings link is for a different installation.', status: 403 };
+  }
+  bindInstallation(pluginSettingId);
+  // An existing token keeps its expiry rather than being extended on every page
+  return { pluginSettingId, token: raw || signSettingsToken(pluginSettingId) };
+}
+
+/**
+ * May this request use /admin? Returns { via: 'basic' | 'bearer' } or
+ * { error, status } — 404 while ADMIN_PASSWORD isn't set, so the console
+ * doesn't exist at all, 401 for a missing or wrong password.
+ */
+function authenticateAdmin(req) {
+  const { ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_PASSWORD) return { error: 'Not found', status: 404 };
+
+  const header = req.headers.authorization || '';
+  const basic  = header.match(/^Basic\s+(\S+)/i);
+  let given    = null;
+  let via      = 'bearer';
+  if (basic) {
+    // Any user name; only the password counts
+    const decoded = Buffer.from(basic[1], 'base64').toString('utf8');
+    given = decoded.slice(decoded.indexOf(':') + 1);
+    via   = 'basic';
+  } else {
+    given = bearerToken(req);
+  }
+
+  if (given === null || !safeEqual(given, ADMIN_PASSWORD)) {
+    return { error: 'Admin password required', status: 401 };
+  }
+  return { via };
+}
+
+/**
+ * Token the /admin forms carry, so a page elsewhere can't make a browser
+ * that remembers the Basic auth password submit them (derived from the
+ * server key, the same for every form).
+ */
+function adminFormToken() {
+  return crypto.createHmac('sha256', deriveKey(ADMIN_FORM_INFO)).update('admin-form').digest('base64url');
+}
+
+function checkAdminFormToken(token) {
+  return typeof token === 'string' && safeEqual(token, adminFormToken());
+}
+
+// Compare secrets without leaking where they differ (lengths may differ)
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * A settings token for an installation: <payload>.<signature>, both
+ * base64url, where the payload is { id, exp } (exp in unix seconds).
+ */
+function signSettingsToken(pluginSettingId, ttl = SETTINGS_TOKEN_TTL) {
+  const exp     = Math.floor(Date.now() / 1000) + ttl;
+  const payload = Buffer.from(JSON.stringify({ id: String(pluginSettingId), exp })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * { pluginSettingId, expired } for a correctly signed settings token, or
+ * null for anything malformed or forged.
+ */
+function verifySettingsToken(token) {
+  const [payload, signature, extra] = String(token).split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given    = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    const { id, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || typeof exp !== 'number') return null;
+    return { pluginSettingId: id, expired: exp <= Math.floor(Date.now() / 1000) };
+  } catch {
+    return null;
+  }
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', deriveKey(SIGNING_INFO)).update(payload).digest('base64url');
+}
+
+function bearerToken(req) {
+  const m = (req.headers.authorization || '').match(/^Bearer\s+(\S+)/i);
+  return m ? m[1] : null;
+}
+
+/**
+ * The plugin_setting_id a request names, from the query, the TRMNL body
+ * blob or a plain body field — a claim to check, not proof of anything.
+ */
+function namedInstallation(req) {
+  let pluginSettingId = req.query.plugin_setting_id || null;
+
+  if (!pluginSettingId && req.body) {
+    const trmnl = trmnlData(req);
+    if (trmnl) {
+      pluginSettingId = trmnl.plugin_setting_id || trmnl.user?.plugin_setting_id || null;
+    }
+
+    // Fallback: some versions send plugin_setting_id directly in the body
+    if (!pluginSettingId && req.body.plugin_setting_id) {
+      pluginSettingId = req.body.plugin_setting_id;
+    }
+  }
+
+  return pluginSettingId ? String(pluginSettingId) : null;
+}
+
+/**
+ * The metadata blob TRMNL posts with each poll (user, device, plugin
+ * settings), or null if there is none or it doesn't parse.
+ */
+function trmnlData(req) {
+  // TRMNL sends: user_uuid=...&trmnl=%7B%22plugin_setting_id%22%3A123%2C...%7D
+  const trmnlRaw = req.body?.trmnl;
+  if (!trmnlRaw) return null;
+  try {
+    return typeof trmnlRaw === 'string' ? JSON.parse(trmnlRaw) : trmnlRaw;
+  } catch (e) {
+    log.warn('Could not parse trmnl body', { error: e.message });
+    return null;
+  }
+}
+
+module.exports = {
+  DEV_MODE, SETTINGS_TOKEN_TTL,
+  authenticateDevice, authenticateSettings, signSettingsToken, verifySettingsToken, trmnlData,
+  authenticateAdmin, adminFormToken, checkAdminFormToken,
+};
@@ -0,0 +1,162 @@
+/**
+ * Last-known-good cache for parsed PostHog insights, keyed by share token
+ * (or, for private API-backed insights, by host + project + insight, and for
+ * HogQL queries by host + project + a hash of the query). API and query keys
+ * also carry a fingerprint of the API key, so an installation is only ever
+ * served what its own key fetched.
+ *
+ * /markup reads from here instead of scraping PostHog on every poll:
+ *   - no cached copy yet      → fetch synchronously (errors propagate)
+ *   - cached and fresh        → serve it as-is
+ *   - cached but older than   → serve it, refresh in the background
+ *     INSIGHT_CACHE_TTL
+ *
+ * A failed refresh keeps the previous insight and records the error, so the
+ * device keeps showing real data with a "stale since HH:MM" marker instead of
+ * an error screen.
+ *
+ * Refreshes are single-flight per key: when many devices poll the same
+ * insight at once, they all wait on one fetch instead of each calling
+ * PostHog. A refresh the limiter sheds (code BUSY) is not recorded as an
+ * error — PostHog didn't fail, we just didn't ask it yet.
+ */
+
+const crypto = require('crypto');
+const db     = require('./db');
+const { hashSecret } = require('./secrets');
+const { log }  = require('./log');
+const { fetchDuration, parseFailures } = require('./metrics');
+const { LAYOUTS, planView } = require('./markup');
+const {
+  SUPPORTED_KINDS, fetchInsight, fetchApiInsight, fetchHogQLQuery, tokenFromUrl,
+} = require('./posthog');
+
+const CACHE_TTL = Number(process.env.INSIGHT_CACHE_TTL) || 300; // seconds
+
+// A target is either a shared URL string, an API descriptor
+// { apiHost, projectId, insightRef, apiKey } (see posthog.fetchApiInsight),
+// or a query descriptor { apiHost, projectId, query, apiKey }. Every key
+// names the PostHog host: a share token is only unique on its own instance.
+function cacheKey(target) {
+  if (typeof target === 'string') return `shared:${new URL(target).host}:${tokenFromUrl(target)}`;
+  const host = target.apiHost.replace(/\/+$/, '');
+  if (target.query) {
+    const hash = crypto.createHash('sha256').update(target.query).digest('hex').slice(0, 16);
+    return `hogql:${host}:${target.projectId}:${hash}:${keyFingerprint(target.apiKey)}`;
+  }
+  return `api:${host}:${target.projectId}:${target.insightRef}:${keyFingerprint(target.apiKey)}`;
+}
+
+// A cache key as log lines show it: share tokens grant access to their
+// insight, so only a short hash, enough to tell keys apart
+function loggedKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+// Keyed hash of a personal API key (see secrets.hashSecret), short enough for
+// a cache key; the same key gives the same fingerprint until ENCRYPTION_KEY
+// is rotated
+function keyFingerprint(apiKey) {
+  return hashSecret(apiKey).slice(0, 32);
+}
+
+/**
+ * Fetch and parse a target without touching the cache (settings preview).
+ * Timed into posthog_fetch_duration_seconds; insights that parse to nothing
+ * the display can draw count towards insight_parse_failures_total.
+ */
+async function fetchTarget(target) {
+  const source  = typeof target === 'string' ? 'shared' : target.query ? 'hogql' : 'api';
+  const started = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
+  try {
+    const insight = source === 'shared' ? await fetchInsight(target)
+      : source === 'hogql' ? await fetchHogQLQuery(target)
+      : await fetchApiInsight(target);
+    fetchDuration.observe({ source, outcome: 'ok' }, elapsed());
+    if (source !== 'hogql') countUnusable(insight);
+    return insight;
+  } catch (err) {
+    fetchDuration.observe({ source, outcome: 'error' }, elapsed());
+    throw err;
+  }
+}
+
+// Parsed without throwing but unusable: a kind the parser doesn't know, or
+// nothing to chart. Dashboards count each tile. (A query returning no rows
+// is fine, so HogQL results aren't counted.)
+function countUnusable(insight) {
+  for (const item of Array.isArray(insight.tiles) ? insight.tiles : [insight]) {
+    const { type, display = '' } = item;
+    if (item.kind && !SUPPORTED_KINDS.has(item.kind)) {
+      parseFailures.inc({ type, display, reason: 'unsupported_kind' });
+    } else if (planView(item, LAYOUTS.full).view === 'empty') {
+      parseFailures.inc({ type, display, reason: 'empty' });
+    }
+  }
+}
+
+// Refreshes under way, by cache key → promise of the parsed insight
+const inFlight = new Map();
+
+/**
+ * Fetch, parse and store the insight behind a target, joining a refresh of
+ * the same key that is already under way.
+ * On failure the error is recorded against the cache row and rethrown.
+ */
+function refreshInsight(target) {
+  const key = cacheKey(target);
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const refresh = fetchAndSave(key, target).finally(() => inFlight.delete(key));
+  inFlight.set(key, refresh);
+  return refresh;
+}
+
+async function fetchAndSave(key, target) {
+  try {
+    const insight = await fetchTarget(target);
+    db.saveCachedInsight(key, JSON.stringify(insight));
+    return insight;
+  } catch (err) {
+    if (err.code !== 'BUSY') db.setCacheError(key, err.message);
+    throw err;
+  }
+}
+
+/**
+ * Returns { insight, fetchedAt, staleSince }
+ *   fetchedAt  — unix seconds of the insight being served
+ *   staleSince — unix seconds of the last good fetch if the most recent
+ *                refresh failed, otherwise null
+ */
+async function getInsight(target) {
+  const key    = cacheKey(target);
+  const cached = db.getCachedInsight(key);
+  const now    = Math.floor(Date.now() / 1000);
+
+  if (!cached || !cached.insight_json) {
+    const insight = await refreshInsight(target);
+    return { insight, fetchedAt: now, staleSince: null };
+  }
+
+  if (now - cached.fetched_at >= CACHE_TTL) {
+    refreshInsight(target).catch((err) => {
+      if (err.code === 'BUSY') {
+        log.warn('Background refresh postponed', { cache_key_hash: loggedKey(key), error: err.message });
+      } else {
+        log.error('Background refresh failed', { cache_key_hash: loggedKey(key), error: err.message, code: err.code });
+      }
+    });
+  }
+
+  return {
+    insight:    JSON.parse(cached.insight_json),
+    fetchedAt:  cached.fetched_at,
+    // last_error is cleared on every successful save, so its presence means
+    // the latest attempt failed and we're serving the previous good result.
+    staleSince: cached.last_error ? cached.fetched_at : null,
+  };
+}
+
+module.exports = { CACHE_TTL, cacheKey, loggedKey, getInsight, refreshInsight, fetchTarget };
@@ -1,5 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const { migrate } = require('./migrate');
+const { checkKeys, encryptSecret, decryptSecret, hashSecret, secretHashes } = require('./secrets');
 
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data.sqlite');
 
@@ -7,30 +9,29 @@ let db;
 
 function getDb() {
   if (!db) {
-    db = new Database(DB_PATH);
-    db.pragma('journal_mode = WAL');
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS installations (
-        plugin_setting_id TEXT PRIMARY KEY,
-        access_token       TEXT NOT NULL,
-        posthog_url        TEXT,
-        created_at         INTEGER DEFAULT (unixepoch()),
-        updated_at         INTEGER DEFAULT (unixepoch())
-      )
-    `);
+    // Every row holds encrypted secrets, so don't open it without a usable key
+    checkKeys();
+    const conn = new Database(DB_PATH);
+    conn.pragma('journal_mode = WAL');
+    // Bring the schema up to date before anything queries it (see migrate.js)
+    migrate(conn, DB_PATH);
+    db = conn;
   }
   return db;
 }
 
+// Access tokens are stored encrypted (access_token_enc) with a keyed hash
+// (access_token_hash) to find an installation by the token TRMNL sends.
 function upsertInstallation(pluginSettingId, accessToken) {
   const db = getDb();
   db.prepare(`
-    INSERT INTO installations (plugin_setting_id, access_token)
-    VALUES (?, ?)
+    INSERT INTO installations (plugin_setting_id, access_token_enc, access_token_hash)
+    VALUES (?, ?, ?)
     ON CONFLICT(plugin_setting_id) DO UPDATE SET
-      access_token = excluded.access_token,
-      updated_at   = unixepoch()
-  `).run(pluginSettingId, accessToken);
+      access_token_enc  = excluded.access_token_enc,
+      access_token_hash = excluded.access_token_hash,
+      updated_at        = unixepoch()
+  `).run(pluginSettingId, encryptSecret(accessToken), hashSecret(accessToken));
 }
 
 function setPosthogUrl(pluginSettingId, posthogUrl) {
@@ -48,22 +49,419 @@ function getInstallation(pluginSettingId) {
     .get(pluginSettingId);
 }
 
+// Tables holding per-installation settings, keyed by plugin_setting_id
+const SETTINGS_TABLES = [
+  'tile_rotation', 'insight_sources', 'source_rotation', 'alert_rules', 'goals', 'display_prefs', 'quiet_hours',
+];
+
 function deleteInstallation(pluginSettingId) {
-  getDb()
-    .prepare('DELETE FROM installations WHERE plugin_setting_id = ?')
-    .run(pluginSettingId);
+  const db = getDb();
+  db.prepare('DELETE FROM installations WHERE plugin_setting_id = ?').run(pluginSettingId);
+  for (const table of SETTINGS_TABLES) {
+    db.prepare(`DELETE FROM ${table} WHERE plugin_setting_id = ?`).run(pluginSettingId);
+  }
+}
+
+function listInstallations() {
+  return getDb()
+    .prepare('SELECT * FROM installations ORDER BY created_at, plugin_setting_id')
+    .all();
+}
+
+/**
+ * Installations installed before `since` (unix seconds) whose device has
+ * never polled. An uninstall that couldn't say which installation it was for
+ * leaves these behind; one that polled and then went quiet may just be
+ * offline, so it isn't listed.
+ */
+function listNeverPolledInstallations(since) {
+  return getDb()
+    .prepare('SELECT * FROM installations WHERE last_polled_at IS NULL AND created_at < ? ORDER BY plugin_setting_id')
+    .all(since);
+}
+
+// Delete those of `ids` that listNeverPolledInstallations() still finds, with
+// their settings, in one transaction — a device that polled since the list
+// was shown keeps its installation. Returns the plugin_setting_ids deleted.
+function deleteNeverPolledInstallations(since, ids) {
+  const db = getDb();
+  return db.transaction(() => {
+    const wanted  = new Set(ids);
+    const deleted = listNeverPolledInstallations(since)
+      .map((i) => i.plugin_setting_id)
+      .filter((id) => wanted.has(id));
+    deleted.forEach(deleteInstallation);
+    return deleted;
+  })();
+}
+
+/**
+ * Note a device poll. refreshRate is the refresh_rate the response told the
+ * device to wait (seconds); null keeps the last one (e.g. /image polls,
+ * which don't get one). failed counts towards error_streak, a success
+ * resets it; timeZone is the user's IANA zone if TRMNL sent one.
+ */
+function recordPoll(pluginSettingId, refreshRate = null, { failed = false, timeZone = null } = {}) {
+  getDb().prepare(`
+    UPDATE installations
+    SET last_polled_at = unixepoch(),
+        refresh_rate   = COALESCE(?, refresh_rate),
+        error_streak   = CASE WHEN ? THEN error_streak + 1 ELSE 0 END,
+        time_zone      = COALESCE(?, time_zone)
+    WHERE plugin_setting_id = ?
+  `).run(refreshRate, failed ? 1 : 0, timeZone, pluginSettingId);
+}
+
+function countInstallations() {
+  return getDb().prepare('SELECT COUNT(*) AS n FROM installations').get().n;
+}
+
+// Installations a device has polled at least once, for the prefetch scheduler
+function getPolledInstallations() {
+  return getDb()
+    .prepare('SELECT * FROM installations WHERE last_polled_at IS NOT NULL')
+    .all();
 }
 
 function getInstallationByToken(accessToken) {
+  // One hash per configured key, so lookups keep working mid-rotation
+  const hashes = secretHashes(accessToken);
+  return getDb()
+    .prepare(`SELECT * FROM installations WHERE access_token_hash IN (${hashes.map(() => '?').join(', ')})`)
+    .get(...hashes);
+}
+
+/**
+ * Re-encrypt every stored secret (access tokens and PostHog API keys) under
+ * the current ENCRYPTION_KEY and recompute the token hashes, in one
+ * transaction — the last step of a key rotation (see rotate-key.js).
+ * Returns { tokens, apiKeys }: how many of each were rewritten.
+ */
+function reencryptSecrets() {
+  const db       = getDb();
+  const installs = db.prepare('SELECT plugin_setting_id, access_token_enc FROM installations').all();
+  const sources  = db.prepare('SELECT id, api_key_enc FROM insight_sources WHERE api_key_enc IS NOT NULL').all();
+  const setToken = db.prepare(`
+    UPDATE installations SET access_token_enc = ?, access_token_hash = ? WHERE plugin_setting_id = ?
+  `);
+  const setKey   = db.prepare('UPDATE insight_sources SET api_key_enc = ? WHERE id = ?');
+  const reveal   = (stored, what) => {
+    try {
+      return decryptSecret(stored);
+    } catch (err) {
+      throw new Error(`${what}: ${err.message}`);
+    }
+  };
+
+  db.transaction(() => {
+    for (const row of installs) {
+      const token = reveal(row.access_token_enc, `access token of installation ${row.plugin_setting_id}`);
+      setToken.run(encryptSecret(token), hashSecret(token), row.plugin_setting_id);
+    }
+    for (const row of sources) {
+      setKey.run(encryptSecret(reveal(row.api_key_enc, `API key of insight source ${row.id}`)), row.id);
+    }
+  })();
+  return { tokens: installs.length, apiKeys: sources.length };
+}
+
+// ---------------------------------------------------------------------------
+// Insight cache — last parsed result per source, keyed (in the share_token
+// column) "shared:<host>:<share token>" for share links,
+// "api:<host>:<project>:<insight>:<key fingerprint>" for private API insights
+// and "hogql:<host>:<project>:<query hash>:<key fingerprint>" for HogQL
+// queries (see cache.cacheKey)
+// ---------------------------------------------------------------------------
+
+function getCachedInsight(shareToken) {
+  return getDb()
+    .prepare('SELECT * FROM insight_cache WHERE share_token = ?')
+    .get(shareToken);
+}
+
+function saveCachedInsight(shareToken, insightJson) {
+  getDb().prepare(`
+    INSERT INTO insight_cache (share_token, insight_json, fetched_at)
+    VALUES (?, ?, unixepoch())
+    ON CONFLICT(share_token) DO UPDATE SET
+      insight_json  = excluded.insight_json,
+      fetched_at    = excluded.fetched_at,
+      last_error    = NULL,
+      last_error_at = NULL
+  `).run(shareToken, insightJson);
+}
+
+// Record a failed refresh without touching the last good insight_json
+function setCacheError(shareToken, message) {
+  getDb().prepare(`
+    INSERT INTO insight_cache (share_token, last_error, last_error_at)
+    VALUES (?, ?, unixepoch())
+    ON CONFLICT(share_token) DO UPDATE SET
+      last_error    = excluded.last_error,
+      last_error_at = excluded.last_error_at
+  `).run(shareToken, message);
+}
+
+// ---------------------------------------------------------------------------
+// Dashboard tile rotation — one tile per /markup poll
+// tile_order / excluded_tiles are JSON arrays of tile keys
+// ---------------------------------------------------------------------------
+
+function getTileRotation(pluginSettingId) {
   return getDb()
-    .prepare('SELECT * FROM installations WHERE access_token = ?')
-    .get(accessToken);
+    .prepare('SELECT * FROM tile_rotation WHERE plugin_setting_id = ?')
+    .get(pluginSettingId);
+}
+
+function setTileRotation(pluginSettingId, enabled, tileOrderJson, excludedJson) {
+  getDb().prepare(`
+    INSERT INTO tile_rotation (plugin_setting_id, enabled, tile_order, excluded_tiles)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(plugin_setting_id) DO UPDATE SET
+      enabled        = excluded.enabled,
+      tile_order     = excluded.tile_order,
+      excluded_tiles = excluded.excluded_tiles,
+      updated_at     = unixepoch()
+  `).run(pluginSettingId, enabled ? 1 : 0, tileOrderJson, excludedJson);
+}
+
+// Returns the current position and moves the rotation on by one
+function advanceTilePosition(pluginSettingId) {
+  const row = getDb().prepare(`
+    UPDATE tile_rotation SET position = position + 1
+    WHERE plugin_setting_id = ?
+    RETURNING position - 1 AS position
+  `).get(pluginSettingId);
+  return row ? row.position : 0;
+}
+
+// ---------------------------------------------------------------------------
+// Insight sources — several insights per installation, shown in turn.
+// source_type 'shared' reads posthog_url (a public share link); 'api' reads a
+// private insight through the REST API using api_host, project_id,
+// insight_ref (numeric id or short_id) and api_key_enc (see secrets.js);
+// 'hogql' runs hogql_query through the query API with the same host/key columns.
+// active_from / active_to are minutes after midnight (NULL = always active).
+// installations.posthog_url mirrors the first source so single-URL code paths
+// (and rows saved before sources existed) keep working.
+// ---------------------------------------------------------------------------
+
+function getInsightSources(pluginSettingId) {
+  return getDb()
+    .prepare('SELECT * FROM insight_sources WHERE plugin_setting_id = ? ORDER BY position')
+    .all(pluginSettingId);
+}
+
+/**
+ * Replace every source for an installation.
+ * sources: [{ sourceType, posthogUrl, titleOverride, activeFrom, activeTo,
+ *             apiHost, projectId, insightRef, apiKeyEnc, hogqlQuery }] in display order
+ */
+function replaceInsightSources(pluginSettingId, sources) {
+  const db = getDb();
+  const insert = db.prepare(`
+    INSERT INTO insight_sources
+      (plugin_setting_id, position, source_type, posthog_url, title_override,
+       active_from, active_to, api_host, project_id, insight_ref, api_key_enc, hogql_query)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  db.transaction(() => {
+    db.prepare('DELETE FROM insight_sources WHERE plugin_setting_id = ?').run(pluginSettingId);
+    sources.forEach((s, i) => {
+      insert.run(
+        pluginSettingId, i, s.sourceType || 'shared', s.posthogUrl,
+        s.titleOverride || null, s.activeFrom ?? null, s.activeTo ?? null,
+        s.apiHost || null, s.projectId || null, s.insightRef || null, s.apiKeyEnc || null,
+        s.hogqlQuery || null,
+      );
+    });
+    setPosthogUrl(pluginSettingId, sources.length ? sources[0].posthogUrl : null);
+  })();
+}
+
+// Returns the current position and moves the rotation on by one
+function advanceSourcePosition(pluginSettingId) {
+  return getDb().prepare(`
+    INSERT INTO source_rotation (plugin_setting_id, position) VALUES (?, 1)
+    ON CONFLICT(plugin_setting_id) DO UPDATE SET position = position + 1
+    RETURNING position - 1 AS position
+  `).get(pluginSettingId).position;
+}
+
+// Page counter for query results too long for one screen; each layout
+// takes it modulo its own page count.
+function advanceTablePage(pluginSettingId) {
+  return getDb().prepare(`
+    INSERT INTO source_rotation (plugin_setting_id, table_page) VALUES (?, 1)
+    ON CONFLICT(plugin_setting_id) DO UPDATE SET table_page = table_page + 1
+    RETURNING table_page - 1 AS page
+  `).get(pluginSettingId).page;
+}
+
+/**
+ * What the advance* functions last returned, without moving anything:
+ * { source, tile, tablePage } (0 before the first advance). For requests
+ * that repeat the screen a poll just showed.
+ */
+function lastRotationPositions(pluginSettingId) {
+  const db     = getDb();
+  const source = db.prepare('SELECT position, table_page FROM source_rotation WHERE plugin_setting_id = ?')
+    .get(pluginSettingId);
+  const tile   = db.prepare('SELECT position FROM tile_rotation WHERE plugin_setting_id = ?')
+    .get(pluginSettingId);
+  return {
+    source:    Math.max((source?.position ?? 0) - 1, 0),
+    tile:      Math.max((tile?.position ?? 0) - 1, 0),
+    tablePage: Math.max((source?.table_page ?? 0) - 1, 0),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Alert rules — thresholds that switch the display to an alert layout
+// (see alerts.js for metrics and operators)
+// ---------------------------------------------------------------------------
+
+function getAlertRules(pluginSettingId) {
+  return getDb()
+    .prepare('SELECT * FROM alert_rules WHERE plugin_setting_id = ? ORDER BY position')
+    .all(pluginSettingId);
+}
+
+/**
+ * Replace every alert rule for an installation.
+ * rules: [{ metric, operator, value }] in evaluation order
+ */
+function replaceAlertRules(pluginSettingId, rules) {
+  const db = getDb();
+  const insert = db.prepare(`
+    INSERT INTO alert_rules (plugin_setting_id, position, metric, operator, value)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  db.transaction(() => {
+    db.prepare('DELETE FROM alert_rules WHERE plugin_setting_id = ?').run(pluginSettingId);
+    rules.forEach((r, i) => insert.run(pluginSettingId, i, r.metric, r.operator, r.value));
+  })();
+}
+
+// ---------------------------------------------------------------------------
+// Goals — one target per installation (see goals.js). display is 'line'
+// (goal line on the chart) or 'progress' (progress-to-target layout).
+// ---------------------------------------------------------------------------
+
+function getGoal(pluginSettingId) {
+  return getDb()
+    .prepare('SELECT * FROM goals WHERE plugin_setting_id = ?')
+    .get(pluginSettingId);
+}
+
+// Pass goal = null to clear it
+function setGoal(pluginSettingId, goal) {
+  const db = getDb();
+  if (!goal) {
+    db.prepare('DELETE FROM goals WHERE plugin_setting_id = ?').run(pluginSettingId);
+    return;
+  }
+  db.prepare(`
+    INSERT INTO goals (plugin_setting_id, value, period, display) VALUES (?, ?, ?, ?)
+    ON CONFLICT(plugin_setting_id) DO UPDATE SET
+      value   = excluded.value,
+      period  = excluded.period,
+      display = excluded.display
+  `).run(pluginSettingId, goal.value, goal.period, goal.display);
+}
+
+// ---------------------------------------------------------------------------
+// Quiet hours — minutes after midnight in time_zone (see refresh.js)
+// ---------------------------------------------------------------------------
+
+function getQuietHours(pluginSettingId) {
+  return getDb()
+    .prepare('SELECT * FROM quiet_hours WHERE plugin_setting_id = ?')
+    .get(pluginSettingId);
+}
+
+// quiet: { start, end, timeZone }, or null to clear
+function setQuietHours(pluginSettingId, quiet) {
+  const db = getDb();
+  if (!quiet) {
+    db.prepare('DELETE FROM quiet_hours WHERE plugin_setting_id = ?').run(pluginSettingId);
+    return;
+  }
+  db.prepare(`
+    INSERT INTO quiet_hours (plugin_setting_id, start_minute, end_minute, time_zone) VALUES (?, ?, ?, ?)
+    ON CONFLICT(plugin_setting_id) DO UPDATE SET
+      start_minute = excluded.start_minute,
+      end_minute   = excluded.end_minute,
+      time_zone    = excluded.time_zone
+  `).run(pluginSettingId, quiet.start, quiet.end, quiet.timeZone);
+}
+
+// ---------------------------------------------------------------------------
+// Display preferences — one row per installation (see display.js)
+// ---------------------------------------------------------------------------
+
+function getDisplayPrefs(pluginSettingId) {
+  return getDb()
+    .prepare('SELECT * FROM display_prefs WHERE plugin_setting_id = ?')
+    .get(pluginSettingId);
+}
+
+// prefs: { title, chartType, series, numberFormat, decimals, hideMeta }
+function setDisplayPrefs(pluginSettingId, prefs) {
+  getDb().prepare(`
+    INSERT INTO display_prefs
+      (plugin_setting_id, title_override, chart_type, series, number_format, decimals, hide_meta)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(plugin_setting_id) DO UPDATE SET
+      title_override = excluded.title_override,
+      chart_type     = excluded.chart_type,
+      series         = excluded.series,
+      number_format  = excluded.number_format,
+      decimals       = excluded.decimals,
+      hide_meta      = excluded.hide_meta
+  `).run(
+    pluginSettingId,
+    prefs.title || null,
+    prefs.chartType,
+    JSON.stringify(prefs.series),
+    prefs.numberFormat,
+    prefs.decimals,
+    prefs.hideMeta ? 1 : 0,
+  );
 }
 
 module.exports = {
+  DB_PATH,
+  getDb,
   upsertInstallation,
   setPosthogUrl,
   getInstallation,
   getInstallationByToken,
+  recordPoll,
+  countInstallations,
+  getPolledInstallations,
+  reencryptSecrets,
   deleteInstallation,
+  listInstallations,
+  listNeverPolledInstallations,
+  deleteNeverPolledInstallations,
+  getCachedInsight,
+  saveCachedInsight,
+  setCacheError,
+  getTileRotation,
+  setTileRotation,
+  advanceTilePosition,
+  getInsightSources,
+  replaceInsightSources,
+  advanceSourcePosition,
+  advanceTablePage,
+  lastRotationPositions,
+  getAlertRules,
+  replaceAlertRules,
+  getGoal,
+  setGoal,
+  getQuietHours,
+  setQuietHours,
+  getDisplayPrefs,
+  setDisplayPrefs,
 };
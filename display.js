@@ -0,0 +1,164 @@
+/**
+ * Per-installation display preferences: forced chart type, which series to
+ * show, number formatting and whether to show the meta line.
+ *
+ * Stored as one display_prefs row (see db.js); displayPrefs() turns the row
+ * into the prefs object renderMarkup takes:
+ *   { title, chartType, series, numberFormat, decimals, hideMeta }
+ */
+
+const CHART_TYPES = {
+  auto:   'Automatic',
+  line:   'Line',
+  bar:    'Bar',
+  bignum: 'Big number',
+};
+
+const NUMBER_FORMATS = {
+  compact: 'Compact (1.2K)',
+  full:    'Full (1,234)',
+};
+
+const MAX_DECIMALS = 4;
+
+// Forced chart type → the PostHog display the renderers already understand
+const CHART_DISPLAYS = {
+  line:   'ActionsLineGraph',
+  bar:    'ActionsBar',
+  bignum: 'BoldNumber',
+};
+
+/**
+ * Prefs object from a display_prefs row, or null without one.
+ */
+function displayPrefs(row) {
+  if (!row) return null;
+  let series = [];
+  try {
+    series = JSON.parse(row.series || '[]');
+  } catch {
+    series = [];
+  }
+  return {
+    title:        row.title_override || '',
+    chartType:    Object.hasOwn(CHART_TYPES, row.chart_type) ? row.chart_type : 'auto',
+    series,
+    numberFormat: Object.hasOwn(NUMBER_FORMATS, row.number_format) ? row.number_format : 'compact',
+    decimals:     row.decimals ?? null,
+    hideMeta:     Boolean(row.hide_meta),
+  };
+}
+
+/**
+ * The insight as the prefs want it drawn: series filtered, chart type
+ * forced, headline reformatted. Dashboard tiles get the same treatment.
+ * Line and bar only apply to time series; anything else keeps its own chart.
+ */
+function applyDisplayPrefs(insight, prefs) {
+  if (!prefs) return insight;
+  let out = selectSeries(insight, prefs.series);
+
+  const forced = CHART_DISPLAYS[prefs.chartType];
+  const isTimeSeries = Array.isArray(out.series) && out.series.length >= 2 && out.series.some((p) => p.date);
+  if (forced && (prefs.chartType === 'bignum' || isTimeSeries)) {
+    // Keep a bar chart's stacked/grouped variant when forcing "bar"
+    const keepBar = prefs.chartType === 'bar' && /^Actions(Stacked|Unstacked)Bar$/.test(out.display || '');
+    out = { ...out, display: keepBar ? out.display : forced };
+  }
+
+  out = { ...out, primaryValue: formatHeadline(out, prefs) };
+  if (Array.isArray(out.tiles)) {
+    out.tiles = out.tiles.map((tile) => applyDisplayPrefs(tile, { ...prefs, title: '' }));
+  }
+  return out;
+}
+
+// Keep the chosen series (matched by name, case-insensitively). The first
+// chosen series becomes the headline one; a choice matching nothing is
+// ignored so a renamed series doesn't blank the screen.
+function selectSeries(insight, names) {
+  if (!Array.isArray(names) || names.length === 0) return insight;
+  const wanted  = new Set(names.map((n) => n.toLowerCase()));
+  const matches = (label) => wanted.has(String(label || '').toLowerCase());
+
+  const multi = insight.multiSeries || [];
+  if (multi.length >= 2) {
+    const chosen = multi.filter((s) => matches(s.label));
+    if (chosen.length === 0) return insight;
+    const first = chosen[0];
+    const total = first.total ?? first.series.reduce((sum, p) => sum + (Number(p.value) || 0), 0);
+    const same  = first === multi[0];
+    return {
+      ...insight,
+      series:         first.series,
+      multiSeries:    chosen.length >= 2 ? chosen : [],
+      primaryValue:   same ? insight.primaryValue : formatCompact(total),
+      primaryNumber:  same ? insight.primaryNumber : total,
+      secondaryLabel: first.label,
+      // The previous period belongs to the original headline series
+      comparison:     same ? insight.comparison : null,
+    };
+  }
+
+  // Pie slices and ranked bars are one series item per breakdown value
+  if (['ActionsPie', 'ActionsBarValue'].includes(insight.display)) {
+    const chosen = (insight.series || []).filter((p) => matches(p.label));
+    if (chosen.length === 0) return insight;
+    const total = chosen.reduce((sum, p) => sum + (Number(p.value) || 0), 0);
+    return {
+      ...insight,
+      series:         chosen,
+      primaryValue:   formatCompact(total),
+      primaryNumber:  total,
+      secondaryLabel: `${chosen.length} series`,
+    };
+  }
+  return insight;
+}
+
+// Headline value in the chosen format. Percentages (funnel conversion,
+// retention) only take the decimal places.
+function formatHeadline(insight, prefs) {
+  const { primaryValue, primaryNumber } = insight;
+  if (typeof primaryNumber === 'number' && isFinite(primaryNumber)) {
+    return formatNumber(primaryNumber, prefs);
+  }
+  const pct = String(primaryValue ?? '').match(/^(-?\d+(?:\.\d+)?)%$/);
+  if (pct && prefs.decimals !== null) return `${Number(pct[1]).toFixed(prefs.decimals)}%`;
+  return primaryValue;
+}
+
+/**
+ * Format a number per the prefs ({ numberFormat, decimals }); without prefs,
+ * or with the defaults, this is the compact style the charts always used.
+ * Axis ticks pass axis: true to skip fixed decimals ("100.00" reads badly).
+ */
+function formatNumber(n, prefs = null, { axis = false } = {}) {
+  const num = Number(n);
+  if (isNaN(num)) return String(n);
+  const decimals = axis || !prefs ? null : prefs.decimals;
+
+  if (prefs && prefs.numberFormat === 'full') {
+    return num.toLocaleString('en-US', decimals === null
+      ? { maximumFractionDigits: 2 }
+      : { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  }
+  if (decimals === null) return formatCompact(num);
+
+  const abs = Math.abs(num);
+  if (abs >= 1_000_000) return (num / 1_000_000).toFixed(decimals) + 'M';
+  if (abs >= 1_000)     return (num / 1_000).toFixed(decimals) + 'K';
+  return num.toFixed(decimals);
+}
+
+// "1.2K", "3M", "48" — one decimal only when it says something
+function formatCompact(num) {
+  if (num >= 1_000_000) return (num / 1_000_000).toFixed(num % 1_000_000 === 0 ? 0 : 1) + 'M';
+  if (num >= 1_000)     return (num / 1_000).toFixed(num % 1_000 === 0 ? 0 : 1) + 'K';
+  return String(num);
+}
+
+module.exports = {
+  CHART_TYPES, NUMBER_FORMATS, MAX_DECIMALS,
+  displayPrefs, applyDisplayPrefs, formatNumber,
+};
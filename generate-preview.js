@@ -8,7 +8,7 @@
  *   node generate-preview.js
  *   npm run preview
  *
- * Requires the server to be running first:
+ * Requires the server to be running first, with DEV_MODE=1 in .env:
  *   npm run dev    (in another terminal)
  */
 
@@ -0,0 +1,168 @@
+/**
+ * Goals — a target value per period (e.g. 10K signups a month) for an
+ * installation, shown either as a goal line on the chart or as a progress
+ * layout with % complete and the run-rate still needed.
+ *
+ * Periods follow the calendar in the installation's time zone (UTC when it
+ * has none), like the "stale since" clock and source time windows.
+ */
+
+const { headlineNumber } = require('./alerts');
+
+const GOAL_PERIODS = {
+  day:     'Day',
+  week:    'Week',
+  month:   'Month',
+  quarter: 'Quarter',
+  year:    'Year',
+};
+
+const DAY_MS = 86_400_000;
+
+// Length of one insight interval bucket, in days
+const INTERVAL_DAYS = { hour: 1 / 24, day: 1, week: 7, month: 30.44 };
+
+/**
+ * Start (inclusive) and end (exclusive) of the goal period containing `now`
+ * in an IANA time zone. Weeks start on Monday.
+ */
+function periodBounds(period, now = new Date(), timeZone = 'UTC') {
+  const { y, m, d } = calendarDate(now, timeZone);
+  const at = (year, month, day) => midnight(year, month, day, timeZone);
+  switch (period) {
+    case 'day':
+      return { start: at(y, m, d), end: at(y, m, d + 1) };
+    case 'week': {
+      const monday = d - ((new Date(Date.UTC(y, m, d)).getUTCDay() + 6) % 7);
+      return { start: at(y, m, monday), end: at(y, m, monday + 7) };
+    }
+    case 'quarter': {
+      const q = m - (m % 3);
+      return { start: at(y, q, 1), end: at(y, q + 3, 1) };
+    }
+    case 'year':
+      return { start: at(y, 0, 1), end: at(y + 1, 0, 1) };
+    default: // month
+      return { start: at(y, m, 1), end: at(y, m + 1, 1) };
+  }
+}
+
+// Year, month (0-based) and day of the wall-clock date in a time zone
+function calendarDate(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, year: 'numeric', month: 'numeric', day: 'numeric',
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return { y: part('year'), m: part('month') - 1, d: part('day') };
+}
+
+// The moment a time zone's clock reads 00:00 on y-m-d (overflowing months
+// and days roll over like Date.UTC). Measured twice in case the first guess
+// lands across a DST change.
+function midnight(y, m, d, timeZone) {
+  const wall = Date.UTC(y, m, d);
+  const once = wall - utcOffset(wall, timeZone);
+  return new Date(wall - utcOffset(once, timeZone));
+}
+
+// How far a time zone's wall clock is ahead of UTC at `ms`, in ms
+function utcOffset(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(new Date(ms));
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  const wall = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return wall - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Everything the markup needs to show a goal for this insight, with periods
+ * in `timeZone` (the installation's):
+ *   { value, period, display, line, progress }
+ *   line     — { value, label } goal line scaled to the chart's interval
+ *              (10K/month on a daily chart is a ~323/day line)
+ *   progress — { current, target, pct, expectedPct, needed, neededUnit,
+ *                left, leftUnit, periodLabel }
+ */
+function goalView(goal, insight, { timeZone = 'UTC', now = new Date() } = {}) {
+  const { start, end } = periodBounds(goal.period, now, timeZone);
+  const periodDays     = (end - start) / DAY_MS;
+
+  // Goal line: the share of the goal one chart bucket should contribute
+  const bucketDays = INTERVAL_DAYS[insight.interval];
+  const perBucket  = bucketDays && bucketDays < periodDays
+    ? goal.value * (bucketDays / periodDays)
+    : goal.value;
+  const line = {
+    value: perBucket,
+    label: perBucket === goal.value
+      ? `Goal ${formatGoalNumber(goal.value)}`
+      : `Goal ${formatGoalNumber(perBucket)}/${insight.interval}`,
+  };
+
+  // Progress: points dated inside the period, or the headline value when the
+  // insight has no dated series (big numbers, funnels)
+  const dated   = (insight.series || []).filter((p) => p.date);
+  const current = dated.length
+    ? dated
+        .filter((p) => { const t = parseDate(p.date, timeZone); return t >= start && t < end; })
+        .reduce((sum, p) => sum + (Number(p.value) || 0), 0)
+    : headlineNumber(insight) || 0;
+
+  const remaining  = Math.max(0, goal.value - current);
+  // A day-long goal counts down in hours, longer ones in days
+  const byHour     = goal.period === 'day';
+  const unitMs     = byHour ? DAY_MS / 24 : DAY_MS;
+  const left       = Math.max(1, Math.ceil((end - now) / unitMs));
+
+  return {
+    value:   goal.value,
+    period:  goal.period,
+    display: goal.display,
+    line,
+    progress: {
+      current,
+      target:      goal.value,
+      pct:         goal.value > 0 ? (current / goal.value) * 100 : 0,
+      // Where a steady pace would be by now — drawn as a tick on the bar
+      expectedPct: Math.min(100, ((now - start) / (end - start)) * 100),
+      needed:      remaining / left,
+      neededUnit:  byHour ? 'hour' : 'day',
+      left,
+      leftUnit:    byHour ? 'hour' : 'day',
+      periodLabel: periodLabel(goal.period, start, timeZone),
+    },
+  };
+}
+
+// PostHog buckets are dated "2026-10-19" (or with a time for hourly
+// insights); read bare dates as midnight in the time zone, not UTC
+function parseDate(str, timeZone) {
+  const m = String(str).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return m ? midnight(Number(m[1]), Number(m[2]) - 1, Number(m[3]), timeZone) : new Date(str);
+}
+
+// "October 2026", "Q4 2026", "Week of Oct 12", "Oct 19", "2026"
+function periodLabel(period, start, timeZone) {
+  const fmt      = (opts) => start.toLocaleDateString('en-US', { ...opts, timeZone });
+  const { y, m } = calendarDate(start, timeZone);
+  switch (period) {
+    case 'day':     return fmt({ month: 'short', day: 'numeric' });
+    case 'week':    return `Week of ${fmt({ month: 'short', day: 'numeric' })}`;
+    case 'quarter': return `Q${Math.floor(m / 3) + 1} ${y}`;
+    case 'year':    return String(y);
+    default:        return fmt({ month: 'long', year: 'numeric' });
+  }
+}
+
+function formatGoalNumber(n) {
+  const num = Number(n);
+  if (Math.abs(num) >= 1_000_000) return (num / 1_000_000).toFixed(1).replace(/\.0$/, '') + 'M';
+  if (Math.abs(num) >= 10_000)    return (num / 1_000).toFixed(1).replace(/\.0$/, '') + 'K';
+  // Per-bucket goal lines can be fractional (0.4/hour)
+  if (Math.abs(num) < 10)         return num.toFixed(1).replace(/\.0$/, '');
+  return Math.round(num).toLocaleString('en-US');
+}
+
+module.exports = { GOAL_PERIODS, goalView, formatGoalNumber };
@@ -0,0 +1,560 @@
+/**
+ * 1-bit bitmaps of the TRMNL layouts, for BYOS servers and older firmware
+ * that want an image rather than HTML.
+ *
+ * The screen is composed from the same plan as the markup (planView):
+ * SVG charts are rasterised straight from markup.js's renderers, and the
+ * HTML parts (frame, headline, big number, tables, lists, tiles) are drawn
+ * natively with the same geometry. The greyscale result is dithered to
+ * black and white and encoded as PNG or BMP — all in pure Node.
+ */
+
+const crypto = require('crypto');
+const zlib   = require('zlib');
+const {
+  LAYOUTS, PAD_H, TILE_GAP,
+  planView, renderChart, dashboardGrid, dashboardMetaLine, tileLayout, tileChart,
+  displayLayout, tableRowsPerPage, formatChange, formatClock, formatNum, formatAxisNum, truncate,
+} = require('./markup');
+const { applyDisplayPrefs } = require('./display');
+const {
+  createCanvas, fillRect, strokePolyline, drawText, measureText, drawSvg,
+} = require('./raster');
+
+const FORMATS   = { png: 'image/png', bmp: 'image/bmp' };
+const DITHERS   = ['floyd-steinberg', 'ordered'];
+
+// Views whose chart area is an SVG from markup.js
+const SVG_VIEWS = ['pie', 'ranked', 'bar', 'funnel', 'retention', 'multiline', 'line'];
+
+// Ink colours on the greyscale canvas
+const BLACK = 0;
+const WHITE = 1;
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Render an insight (as passed to renderMarkup) to an encoded 1-bit image.
+ *   layout  — full, half_vertical, half_horizontal or quadrant
+ *   format  — 'png' (default) or 'bmp'
+ *   dither  — 'floyd-steinberg' (default) or 'ordered'
+ *   prefs   — display prefs, as for renderMarkup
+ * Returns { body: Buffer, contentType, etag }.
+ */
+function renderImage(insight, layout = 'full', { format = 'png', dither = 'floyd-steinberg', prefs = null } = {}) {
+  return cached({ insight, layout, format, dither, prefs }, () => {
+    const L      = displayLayout(layout, prefs);
+    const canvas = createCanvas(L.width, L.height);
+    drawScreen(canvas, applyDisplayPrefs(insight, prefs), L);
+    return canvas;
+  });
+}
+
+/**
+ * Error / setup screens for /image, matching renderError and renderNoConfig.
+ */
+function renderMessageImage(message, barText, layout = 'full', { format = 'png', dither = 'floyd-steinberg' } = {}) {
+  return cached({ message, barText, layout, format, dither }, () => {
+    const L      = LAYOUTS[layout] || LAYOUTS.full;
+    const canvas = createCanvas(L.width, L.height);
+    const midY   = (L.height - L.barH) / 2;
+    drawText(canvas, '⚠', L.width / 2, midY - 18, { size: 28, anchor: 'middle', baseline: 'middle' });
+    wrapText(message, 14, L.width - 80).slice(0, 4).forEach((line, i) => {
+      drawText(canvas, line, L.width / 2, midY + 14 + i * 20, { size: 14, anchor: 'middle', baseline: 'middle' });
+    });
+    drawBottomBar(canvas, L, barText);
+    return canvas;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Cache — keyed on a hash of the data being drawn, so an unchanged insight
+// is encoded once however many devices poll it
+// ---------------------------------------------------------------------------
+
+const CACHE_MAX = 64;
+const cache     = new Map(); // hash → { body, contentType, etag }, in LRU order
+
+function cached(input, draw) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex');
+  const hit  = cache.get(hash);
+  if (hit) {
+    cache.delete(hash);
+    cache.set(hash, hit);
+    return hit;
+  }
+
+  const format = FORMATS[input.format] ? input.format : 'png';
+  const bits   = (input.dither === 'ordered' ? orderedDither : floydSteinberg)(draw());
+  const image  = {
+    body:        format === 'bmp' ? encodeBmp(bits) : encodePng(bits),
+    contentType: FORMATS[format],
+    etag:        `"${hash.slice(0, 32)}"`,
+  };
+
+  cache.set(hash, image);
+  if (cache.size > CACHE_MAX) cache.delete(cache.keys().next().value);
+  return image;
+}
+
+// ---------------------------------------------------------------------------
+// Screen composition — mirrors renderMarkup / renderFrame
+// ---------------------------------------------------------------------------
+
+function drawScreen(canvas, insight, L) {
+  const plan = planView(insight, L);
+  if (plan.view === 'alert') return drawAlert(canvas, insight, L, plan.page);
+
+  const isDashboard = plan.view === 'dashboard';
+  const title       = isDashboard ? insight.dashboardName : insight.title;
+  const metaLine    = isDashboard
+    ? dashboardMetaLine(dashboardGrid(insight.tiles, L).placed, insight.tiles)
+    : plan.metaLine;
+
+  const box = drawFrame(canvas, L, {
+    metaLine,
+    title,
+    headline: plan.showHeadline ? insight : null,
+  });
+
+  if (isDashboard)                        drawDashboard(canvas, insight.tiles, L, box);
+  else if (SVG_VIEWS.includes(plan.view)) drawSvg(canvas, renderChart(plan, insight, L), box);
+  else                                    drawHtmlView(canvas, plan, insight, L, box);
+
+  drawBottomBar(canvas, L, title, { staleSince: insight.staleSince, timeZone: insight.timeZone, page: plan.page });
+}
+
+// Meta line, title and headline; returns the chart area box
+function drawFrame(canvas, L, { metaLine, title, headline }) {
+  const x0 = PAD_H;
+  const w  = L.width - PAD_H * 2;
+  let y    = L.padV;
+
+  if (!L.compact && !L.hideMeta) {
+    drawText(canvas, metaLine, x0, y, { size: 11, bold: true, baseline: 'top', maxWidth: w });
+    y += 13 + 6;
+  }
+
+  drawText(canvas, title || '', x0, y, { size: L.titleSize, bold: true, baseline: 'top', maxWidth: w });
+  y += Math.round(L.titleSize * 1.15) + (L.compact ? 4 : 14);
+
+  if (headline) {
+    const size = L.compact ? 26 : 34;
+    drawHeadlineRow(canvas, x0, y + size, w, {
+      value:  String(headline.primaryValue),
+      size,
+      change: headline.comparison ? formatChange(headline.comparison.change) : '',
+      label:  headline.secondaryLabel ? truncate(headline.secondaryLabel, L.labelLen * 2) : '',
+      gap:    10,
+      changeSize: 13,
+      labelSize:  12,
+    });
+    y += size + (L.compact ? 4 : 10);
+  }
+
+  return { x: x0, y, w, h: L.height - L.barH - y };
+}
+
+// Big value, change and label sharing one baseline
+function drawHeadlineRow(canvas, x, baseline, maxW, { value, size, change, label, gap, changeSize, labelSize }) {
+  const right = x + maxW;
+  x += drawText(canvas, value, x, baseline, { size, bold: true, maxWidth: maxW }) + gap;
+  if (change && x < right) {
+    x += drawText(canvas, change, x, baseline, { size: changeSize, bold: true, maxWidth: right - x }) + gap;
+  }
+  if (label && x < right) drawText(canvas, label, x, baseline, { size: labelSize, maxWidth: right - x });
+}
+
+function drawBottomBar(canvas, L, text, { staleSince = null, timeZone, page = null } = {}) {
+  const top = L.height - L.barH;
+  fillRect(canvas, 0, top, L.width, 1, { color: BLACK, alpha: 0.5 });
+
+  const markers = [
+    staleSince ? `stale since ${formatClock(staleSince, timeZone)}` : '',
+    page ? `${page.index} / ${page.total}` : '',
+  ].filter(Boolean).join(' · ');
+
+  const mid       = top + L.barH / 2;
+  const markersW  = markers ? measureText(markers, 11) + 8 : 0;
+  if (markers) drawText(canvas, markers, L.width - PAD_H, mid, { size: 11, anchor: 'end', baseline: 'middle' });
+  drawText(canvas, text || '', PAD_H, mid, {
+    size: 13, bold: true, baseline: 'middle', maxWidth: L.width - PAD_H * 2 - markersW,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Alert layout — white on black, like renderAlert
+// ---------------------------------------------------------------------------
+
+function drawAlert(canvas, { title, dashboardName, alert, staleSince = null, timeZone }, L, page) {
+  const name  = title || dashboardName || '';
+  const maxW  = L.width - PAD_H * 2;
+  const cx    = L.width / 2;
+  const sizes = {
+    heading: L.compact ? 11 : 14,
+    rule:    L.compact ? 12 : 16,
+  };
+  const gaps  = L.compact ? [4, 4, 6] : [10, 12, 14];
+  const ruleH = sizes.rule + (L.compact ? 4 : 8) + 4;
+  const total = sizes.heading + gaps[0] + L.titleSize + gaps[1] + L.bigSize + gaps[2] + ruleH;
+
+  fillRect(canvas, 0, 0, L.width, L.height - L.barH, { color: BLACK });
+  let y = (L.height - L.barH - total) / 2;
+
+  drawText(canvas, '⚠ ALERT', cx, y, { size: sizes.heading, bold: true, anchor: 'middle', baseline: 'top', color: WHITE });
+  y += sizes.heading + gaps[0];
+  drawText(canvas, name, cx, y, { size: L.titleSize, bold: true, anchor: 'middle', baseline: 'top', color: WHITE, maxWidth: maxW });
+  y += L.titleSize + gaps[1];
+  drawText(canvas, alert.value, cx, y, { size: L.bigSize, bold: true, anchor: 'middle', baseline: 'top', color: WHITE, maxWidth: maxW });
+  y += L.bigSize + gaps[2];
+
+  const rule  = truncate(alert.text, L.labelLen * 2);
+  const ruleW = Math.min(maxW, measureText(rule, sizes.rule, true) + 20);
+  outlineRect(canvas, cx - ruleW / 2, y, ruleW, ruleH, 2, WHITE);
+  drawText(canvas, rule, cx, y + ruleH / 2, {
+    size: sizes.rule, bold: true, anchor: 'middle', baseline: 'middle', color: WHITE, maxWidth: ruleW - 12,
+  });
+
+  drawBottomBar(canvas, L, name, { staleSince, timeZone, page });
+}
+
+// ---------------------------------------------------------------------------
+// Views markup.js draws as HTML
+// ---------------------------------------------------------------------------
+
+function drawHtmlView(canvas, plan, insight, L, box) {
+  switch (plan.view) {
+    case 'progress': return drawProgress(canvas, insight.goal.progress, L, box);
+    case 'bignum':   return drawBigNumber(canvas, insight, L, box);
+    case 'table':    return drawTable(canvas, insight.table, L, box, plan.tablePageIndex);
+    case 'paths':    return drawPaths(canvas, insight.series, insight.primaryValue, L, box);
+    default:
+      drawText(canvas, 'NO CHART DATA', box.x + box.w / 2, box.y + box.h / 2, {
+        size: 12, anchor: 'middle', baseline: 'middle',
+      });
+  }
+}
+
+function drawBigNumber(canvas, { primaryValue, secondaryLabel, comparison = null }, L, box) {
+  const change = comparison ? formatChange(comparison.change) : '';
+  const lines  = [{ text: String(primaryValue), size: L.bigSize, bold: true, gap: 0 }];
+  if (secondaryLabel) {
+    lines.push({ text: truncate(secondaryLabel, L.labelLen * 2), size: 14, gap: L.compact ? 6 : 14 });
+  }
+  if (change) {
+    lines.push({
+      text: `${change}${L.compact ? '' : ' vs previous period'}`,
+      size: L.compact ? 13 : 16, bold: true, gap: L.compact ? 4 : 10,
+    });
+  }
+  drawCentredLines(canvas, lines, box, L.compact ? 8 : 24);
+}
+
+// Vertically centred stack of centred text lines
+function drawCentredLines(canvas, lines, box, padX) {
+  const total = lines.reduce((sum, l) => sum + l.gap + l.size, 0);
+  let y = box.y + (box.h - total) / 2;
+  for (const l of lines) {
+    y += l.gap;
+    drawText(canvas, l.text, box.x + box.w / 2, y, {
+      size: l.size, bold: l.bold, anchor: 'middle', baseline: 'top', maxWidth: box.w - padX * 2,
+    });
+    y += l.size;
+  }
+}
+
+function drawProgress(canvas, { current, target, pct, expectedPct, needed, neededUnit, left, leftUnit }, L, box) {
+  const filled  = Math.min(100, Math.max(0, pct));
+  const barH    = L.compact ? 16 : 28;
+  const gap     = L.compact ? 6 : 14;
+  const reached = current >= target;
+  const units   = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+  const status  = reached
+    ? 'Goal reached'
+    : `Need ${formatAxisNum(Math.ceil(needed), L)}/${neededUnit} · ${units(left, leftUnit)} left`;
+
+  const valueSize  = Math.round(L.bigSize * 0.8);
+  const statusSize = L.compact ? 11 : 14;
+  let y = box.y + (box.h - (valueSize + gap + barH + gap + statusSize)) / 2;
+
+  // Value, target, and % at the right
+  const baseline = y + valueSize;
+  const pctText  = `${Math.floor(pct)}%`;
+  const pctSize  = L.compact ? 16 : 24;
+  const pctW     = drawText(canvas, pctText, box.x + box.w, baseline, { size: pctSize, bold: true, anchor: 'end' });
+  drawHeadlineRow(canvas, box.x, baseline, box.w - pctW - 10, {
+    value: formatNum(Math.round(current), L), size: valueSize,
+    change: '', label: `/ ${formatNum(target, L)}`, gap: 10, labelSize: L.compact ? 13 : 18,
+  });
+  y += valueSize + gap;
+
+  // Bar with the expected-pace tick
+  outlineRect(canvas, box.x, y, box.w, barH, 2, BLACK);
+  fillRect(canvas, box.x, y, (box.w * filled) / 100, barH, { color: BLACK });
+  if (!reached) {
+    const tx = box.x + (box.w * expectedPct) / 100;
+    strokePolyline(canvas, [[tx, y - 6], [tx, y + barH + 6]], 2,
+      { color: expectedPct <= filled ? WHITE : BLACK }, { dash: [4, 3] });
+  }
+  y += barH + gap;
+
+  drawText(canvas, status, box.x, y, { size: statusSize, bold: true, baseline: 'top', maxWidth: box.w });
+}
+
+// Zebra striping is left out: a 4% grey only dithers into noise behind text
+function drawTable(canvas, { columns, rows }, L, box, pageIndex) {
+  const perPage  = tableRowsPerPage(L);
+  const maxCols  = Math.max(2, Math.floor(L.chartW / 110));
+  const cols     = columns.slice(0, maxCols);
+  const cellLen  = Math.max(6, Math.floor(L.chartW / cols.length / 7));
+  const pageRows = rows.slice(pageIndex * perPage, (pageIndex + 1) * perPage);
+  const fontPx   = L.compact ? 11 : 13;
+  const rowH     = Math.round(fontPx * 1.2) + (L.compact ? 2 : 4) * 2;
+  const colW     = box.w / cols.length;
+  // Right-align columns whose cells are all numbers
+  const numeric  = cols.map((_, c) => rows.every((r) => r[c] === '' || !isNaN(Number(r[c]))));
+
+  const drawRow = (cells, y, size, bold) => cells.forEach((value, c) => {
+    const x = box.x + c * colW;
+    drawText(canvas, truncate(value, cellLen), numeric[c] ? x + colW - 6 : x + 6, y + rowH / 2, {
+      size, bold, anchor: numeric[c] ? 'end' : 'start', baseline: 'middle', maxWidth: colW - 12,
+    });
+  });
+
+  drawRow(cols.map((c) => String(c).toUpperCase()), box.y, 10, true);
+  fillRect(canvas, box.x, box.y + rowH, box.w, 1, { color: BLACK });
+  pageRows.forEach((r, i) => {
+    const y = box.y + rowH + 1 + i * rowH;
+    if (y + rowH <= box.y + box.h + 2) drawRow(cols.map((_, c) => String(r[c] ?? '')), y, fontPx, false);
+  });
+}
+
+function drawPaths(canvas, series, totalCount, L, box) {
+  let y = box.y;
+  // The headline already shows the total in mashup layouts
+  if (!L.headline) {
+    drawText(canvas, `TOP PATHS · ${totalCount} TOTAL`, box.x + 8, y, { size: 11, baseline: 'top', maxWidth: box.w - 16 });
+    y += 19;
+  }
+  const rowH = (L.compact ? 6 : 14) + 15;
+  series.slice(0, L.rows).forEach((p, i) => {
+    if (y + rowH > box.y + box.h) return;
+    const mid   = y + rowH / 2;
+    const value = formatNum(p.value, L);
+    const valW  = drawText(canvas, value, box.x + box.w - 8, mid, { size: 11, anchor: 'end', baseline: 'middle' });
+    drawText(canvas, String(i + 1), box.x + 24, mid, { size: 11, anchor: 'end', baseline: 'middle' });
+    drawText(canvas, truncate(p.label, Math.min(60, L.labelLen * 2)), box.x + 34, mid, {
+      size: 12, baseline: 'middle', maxWidth: box.w - 34 - valW - 18,
+    });
+    y += rowH;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Dashboard tiles
+// ---------------------------------------------------------------------------
+
+function drawDashboard(canvas, tiles, L, box) {
+  const { cols, rows, placed } = dashboardGrid(tiles, L);
+  // Size cells from the real chart box rather than dashboardGrid's estimate
+  const cellW = (box.w - TILE_GAP * (cols - 1)) / cols;
+  const cellH = (box.h - TILE_GAP * (rows - 1)) / rows;
+
+  let cell = 0;
+  for (const { tile, span } of placed) {
+    const col = cell % cols;
+    const row = Math.floor(cell / cols);
+    const w   = cellW * span + TILE_GAP * (span - 1);
+    drawTile(canvas, tile, { ...tileLayout(w, cellH), numbers: L.numbers }, {
+      x: box.x + col * (cellW + TILE_GAP), y: box.y + row * (cellH + TILE_GAP), w, h: cellH,
+    });
+    cell += span;
+  }
+}
+
+function drawTile(canvas, tile, T, box) {
+  const { title, primaryValue, secondaryLabel, comparison = null } = tile;
+  outlineRect(canvas, box.x, box.y, box.w, box.h, 1, BLACK);
+
+  const x = box.x + 10;
+  const w = box.w - 20;
+  let y   = box.y + 8;
+  drawText(canvas, title, x, y, { size: 11, bold: true, baseline: 'top', maxWidth: w });
+  y += 13 + 4;
+
+  drawHeadlineRow(canvas, x, y + 24, w, {
+    value:  String(primaryValue),
+    size:   24,
+    change: comparison ? formatChange(comparison.change) : '',
+    label:  secondaryLabel ? truncate(secondaryLabel, T.labelLen) : '',
+    gap: 6, changeSize: 11, labelSize: 10,
+  });
+  y += 24 + 4;
+
+  const mini = tileChart(tile, T);
+  if (mini) drawSvg(canvas, mini, { x, y, w, h: box.y + box.h - 8 - y });
+}
+
+// ---------------------------------------------------------------------------
+// Drawing helpers
+// ---------------------------------------------------------------------------
+
+function outlineRect(canvas, x, y, w, h, stroke, color) {
+  fillRect(canvas, x, y, w, stroke, { color });
+  fillRect(canvas, x, y + h - stroke, w, stroke, { color });
+  fillRect(canvas, x, y, stroke, h, { color });
+  fillRect(canvas, x + w - stroke, y, stroke, h, { color });
+}
+
+// Greedy word wrap to a pixel width
+function wrapText(text, size, maxWidth) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/)) {
+    const next = line ? `${line} ${word}` : word;
+    if (line && measureText(next, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Dithering — greyscale canvas → Uint8Array of 0 (black) / 1 (white)
+// ---------------------------------------------------------------------------
+
+function floydSteinberg({ width, height, data }) {
+  const buf  = Float32Array.from(data);
+  const bits = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i   = y * width + x;
+      const out = buf[i] < 0.5 ? 0 : 1;
+      const err = buf[i] - out;
+      bits[i]   = out;
+      if (x + 1 < width)               buf[i + 1]         += (err * 7) / 16;
+      if (y + 1 < height) {
+        if (x > 0)                     buf[i + width - 1] += (err * 3) / 16;
+                                       buf[i + width]     += (err * 5) / 16;
+        if (x + 1 < width)             buf[i + width + 1] += (err * 1) / 16;
+      }
+    }
+  }
+  return { width, height, bits };
+}
+
+// 4×4 Bayer matrix — a regular pattern that doesn't crawl between frames
+const BAYER_4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+
+function orderedDither({ width, height, data }) {
+  const bits = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const threshold = (BAYER_4[y % 4][x % 4] + 0.5) / 16;
+      bits[y * width + x] = data[y * width + x] < threshold ? 0 : 1;
+    }
+  }
+  return { width, height, bits };
+}
+
+// ---------------------------------------------------------------------------
+// Encoders
+// ---------------------------------------------------------------------------
+
+// Pack rows MSB-first, 1 = white, padding each row to `align` bytes
+function packRows({ width, height, bits }, align, bottomUp = false) {
+  const rowBytes = Math.ceil(Math.ceil(width / 8) / align) * align;
+  const rows     = [];
+  for (let y = 0; y < height; y++) {
+    const row = Buffer.alloc(rowBytes);
+    for (let x = 0; x < width; x++) {
+      if (bits[y * width + x]) row[x >> 3] |= 0x80 >> (x & 7);
+    }
+    rows.push(row);
+  }
+  return { rowBytes, rows: bottomUp ? rows.reverse() : rows };
+}
+
+// Greyscale PNG, bit depth 1
+function encodePng(image) {
+  const { rows } = packRows(image, 1);
+  const raw      = Buffer.concat(rows.flatMap((row) => [Buffer.from([0]), row])); // filter: none
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(image.width, 0);
+  ihdr.writeUInt32BE(image.height, 4);
+  ihdr[8]  = 1; // bit depth
+  ihdr[9]  = 0; // colour type: greyscale
+  ihdr[10] = 0; // compression
+  ihdr[11] = 0; // filter
+  ihdr[12] = 0; // interlace
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function pngChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'ascii');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Windows BMP, 1 bit per pixel, palette index 0 = black, 1 = white —
+// the format TRMNL's firmware reads
+function encodeBmp(image) {
+  const { rowBytes, rows } = packRows(image, 4, true);
+  const dataOffset = 14 + 40 + 8;
+  const fileSize   = dataOffset + rowBytes * image.height;
+  const header     = Buffer.alloc(dataOffset);
+
+  header.write('BM', 0, 'ascii');
+  header.writeUInt32LE(fileSize, 2);
+  header.writeUInt32LE(dataOffset, 10);
+  header.writeUInt32LE(40, 14);                      // BITMAPINFOHEADER
+  header.writeInt32LE(image.width, 18);
+  header.writeInt32LE(image.height, 22);             // positive: bottom-up rows
+  header.writeUInt16LE(1, 26);                       // planes
+  header.writeUInt16LE(1, 28);                       // bits per pixel
+  header.writeUInt32LE(0, 30);                       // no compression
+  header.writeUInt32LE(rowBytes * image.height, 34);
+  header.writeInt32LE(2835, 38);                     // 72 dpi
+  header.writeInt32LE(2835, 42);
+  header.writeUInt32LE(2, 46);                       // palette size
+  header.writeUInt32LE(2, 50);
+  header.writeUInt32LE(0x00000000, 54);              // index 0: black
+  header.writeUInt32LE(0x00ffffff, 58);              // index 1: white
+
+  return Buffer.concat([header, ...rows]);
+}
+
+module.exports = { renderImage, renderMessageImage, FORMATS, DITHERS };
@@ -3,19 +3,67 @@ require('dotenv').config();
 const express = require('express');
 const fetch = require('node-fetch');
 const db = require('./db');
-const { fetchInsight } = require('./posthog');
-const { renderMarkup, renderError, renderNoConfig } = require('./markup');
+const { cacheKey, getInsight, refreshInsight, fetchTarget } = require('./cache');
+const { SUPPORTED_KINDS, checkHogQLQuery } = require('./posthog');
+const { isPrivateHost } = require('./network');
+const { encryptSecret, decryptSecret } = require('./secrets');
+const { METRICS, OPERATORS, evaluateAlerts } = require('./alerts');
+const { GOAL_PERIODS, goalView } = require('./goals');
+const { CHART_TYPES, NUMBER_FORMATS, MAX_DECIMALS, displayPrefs, applyDisplayPrefs } = require('./display');
+const { renderLayouts, renderError, renderNoConfig, planView, LAYOUTS, LAYOUT_FIELDS } = require('./markup');
+const { renderImage, renderMessageImage, FORMATS: IMAGE_FORMATS, DITHERS } = require('./image');
+const {
+  DEV_MODE, SETTINGS_TOKEN_TTL,
+  authenticateDevice, authenticateSettings, signSettingsToken, trmnlData,
+  authenticateAdmin, adminFormToken, checkAdminFormToken,
+} = require('./auth');
+const {
+  insightRefreshRate, errorRefreshRate, quietRefreshRate, inTimeWindow, minuteOfDay, isTimeZone,
+} = require('./refresh');
+const { PREFETCH_ENABLED, startPrefetch } = require('./scheduler');
+const { limiterStats } = require('./limiter');
+const { log, requestContext, bindInstallation, routeName } = require('./log');
+const { gauge, renderMetrics, httpRequests } = require('./metrics');
 
 const app = express();
+// Request ids and plugin_setting_id on every log line, and request counts
+app.use(requestContext((req, res) => {
+  httpRequests.inc({ method: req.method, route: routeName(req), status: res.statusCode });
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 const {
   TRMNL_CLIENT_ID,
   TRMNL_CLIENT_SECRET,
+  METRICS_TOKEN,
   PORT = 3000,
 } = process.env;
 
+// Poll faster while a threshold alert is firing so recovery shows up quickly
+const ALERT_REFRESH_RATE = 300; // seconds
+// First retry when the PostHog limiter shed the request (see limiter.js);
+// other errors start at refresh.ERROR_REFRESH_RATE. Both back off from there.
+const BUSY_REFRESH_RATE  = 120; // seconds
+// /image requests this soon after the last poll belong to the same refresh
+// (another layout or format) and repeat its screen
+const IMAGE_REPEAT_WINDOW = 60; // seconds
+const MAX_ALERT_RULES    = 5;
+const MAX_TITLE_LENGTH   = 80;
+const MAX_SERIES_CHOICES = 10;
+
+// /image layouts, named as in markup.js
+const LAYOUT_NAMES = Object.keys(LAYOUTS);
+
+// Settings preview: every layout drawn at half size, so the four fit the card
+const PREVIEW_SCALE  = 0.5;
+const PREVIEW_LABELS = {
+  full:            'Full',
+  half_horizontal: 'Half horizontal',
+  half_vertical:   'Half vertical',
+  quadrant:        'Quadrant',
+};
+
 // ---------------------------------------------------------------------------
 // GET /install
 // TRMNL redirects the user here with ?token=<code>&installation_callback_url=<url>
@@ -26,6 +74,10 @@ app.get('/install', async (req, res) => {
   if (!token || !installation_callback_url) {
     return res.status(400).send('Missing token or installation_callback_url');
   }
+  const callbackUrl = returnUrl(installation_callback_url);
+  if (!callbackUrl) {
+    return res.status(400).send('installation_callback_url must be an http(s) URL');
+  }
 
   try {
     // Exchange the temporary token for a permanent access token
@@ -42,7 +94,7 @@ app.get('/install', async (req, res) => {
 
     if (!tokenRes.ok) {
       const body = await tokenRes.text();
-      console.error('Token exchange failed:', tokenRes.status, body);
+      log.error('Token exchange failed', { status: tokenRes.status, body });
       return res.status(502).send('Failed to exchange token with TRMNL');
     }
 
@@ -51,18 +103,22 @@ app.get('/install', async (req, res) => {
     const pluginSettingId = tokenData.plugin_setting_id || tokenData.id;
 
     if (!accessToken || !pluginSettingId) {
-      console.error('Unexpected token response:', tokenData);
+      // Field names only: the response may hold a token after all
+      log.error('Unexpected token response', { fields: Object.keys(tokenData || {}) });
       return res.status(502).send('Unexpected response from TRMNL token endpoint');
     }
 
     // Persist the installation
     db.upsertInstallation(pluginSettingId, accessToken);
-    console.log(`Installed: plugin_setting_id=${pluginSettingId}`);
+    bindInstallation(pluginSettingId);
+    log.info('Installed');
 
-    // Redirect back to TRMNL to complete the install flow
-    return res.redirect(installation_callback_url);
+    // On to the settings form with a signed settings link — the only way in
+    // outside dev mode. It links back to TRMNL to complete the install flow.
+    const auth = { pluginSettingId: String(pluginSettingId), token: signSettingsToken(pluginSettingId) };
+    return res.redirect(settingsUrl(auth, {}, callbackUrl));
   } catch (err) {
-    console.error('Install error:', err);
+    log.error('Install error', { error: err.message, stack: err.stack });
     return res.status(500).send('Internal server error during installation');
   }
 });
@@ -72,29 +128,82 @@ app.get('/install', async (req, res) => {
 // TRMNL notifies us when installation is confirmed
 // ---------------------------------------------------------------------------
 app.post('/install/success', (req, res) => {
-  console.log('Install success webhook received:', JSON.stringify(req.body, null, 2));
+  log.info('Install success webhook received', { body: req.body });
   res.sendStatus(200);
 });
 
+// ---------------------------------------------------------------------------
+// GET /settings/link
+// A signed, short-lived settings URL for the installation whose access token
+// is presented (Authorization: Bearer …). The settings pages accept nothing
+// else outside dev mode.
+// ---------------------------------------------------------------------------
+app.get('/settings/link', (req, res) => {
+  const auth = authenticateDevice(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+  res.json({
+    url:        `/settings?token=${signSettingsToken(auth.pluginSettingId)}`,
+    expires_at: Math.floor(Date.now() / 1000) + SETTINGS_TOKEN_TTL,
+  });
+});
+
 // ---------------------------------------------------------------------------
 // GET /settings
-// Show a form for the user to enter their PostHog shared insight URL
+// Show a form for the user to enter their PostHog shared insight URL.
+// Needs ?token=<settings token> (issued by /install and /settings/link), or
+// in dev mode just ?plugin_setting_id=…
+// return_to — TRMNL's installation callback, linked from the page until the
+// user goes back (set by /install)
 // ---------------------------------------------------------------------------
-app.get('/settings', (req, res) => {
-  const { plugin_setting_id, saved, error } = req.query;
+app.get('/settings', async (req, res) => {
+  const { saved, warning, error } = req.query;
+  const returnTo = returnUrl(req.query.return_to);
 
-  if (!plugin_setting_id) {
-    return res.status(400).send('Missing plugin_setting_id');
+  const auth = authenticateSettings(req);
+  if (auth.error) {
+    return res.status(auth.status).send(escAttr(auth.error));
   }
+  const plugin_setting_id = auth.pluginSettingId;
 
   const installation = db.getInstallation(plugin_setting_id);
-  const currentUrl   = installation ? (installation.posthog_url || '') : '';
+  const sources      = installationSources(installation);
+
+  // Shared dashboards get extra tile rotation options (for the first
+  // dashboard among the sources); series names are offered for the display
+  // options
+  let tileSettings = '';
+  const seriesNames = new Set();
+  for (const source of sources) {
+    try {
+      const { insight } = await getInsight(sourceTarget(source));
+      for (const s of insight.multiSeries || []) seriesNames.add(s.label);
+      if (!tileSettings && Array.isArray(insight.tiles) && insight.tiles.length > 1) {
+        tileSettings = renderTileSettings(insight.tiles, db.getTileRotation(plugin_setting_id));
+      }
+    } catch (err) {
+      log.warn('Settings: could not load insight', { error: err.message, code: err.code });
+    }
+  }
+
+  // Any source row, including the blank one, can be previewed before saving
+  const previewOptions = [...sources, null]
+    .map((s, i) => `<option value="${i}">${s ? `Insight ${i + 1}` : sources.length ? 'New insight' : 'This insight'}</option>`)
+    .join('');
 
   const savedBanner = saved === '1'
     ? `<div class="banner banner--success">✓ Settings saved. Your display will update on the next refresh.</div>`
     : '';
+  const warningBanner = warning
+    ? `<div class="banner banner--warning">${escAttr(warning)}</div>`
+    : '';
   const errorBanner = error
-    ? `<div class="banner banner--error">⚠ ${escAttr(decodeURIComponent(error))}</div>`
+    ? `<div class="banner banner--error">⚠ ${escAttr(error)}</div>`
+    : '';
+  const installBanner = returnTo
+    ? `<div class="banner banner--success install">✓ Plugin installed. Connect an insight below and save, then
+       <a href="${escAttr(returnTo)}">return to TRMNL</a> to finish.</div>`
     : '';
 
   res.send(`<!DOCTYPE html>
@@ -127,7 +236,7 @@ app.get('/settings', (req, res) => {
     h1 { font-size: 1.25rem; margin-bottom: 0.25rem; }
     p.subtitle { font-size: 0.875rem; color: #666; margin-bottom: 1.5rem; }
     label { display: block; font-size: 0.875rem; font-weight: 600; margin-bottom: 0.375rem; }
-    input[type="url"] {
+    input[type="url"], input[type="text"], input[type="password"], textarea {
       width: 100%;
       padding: 0.625rem 0.75rem;
       border: 1px solid #ccc;
@@ -136,7 +245,21 @@ app.get('/settings', (req, res) => {
       outline: none;
       transition: border-color .15s;
     }
-    input[type="url"]:focus { border-color: #1d4ed8; }
+    input[type="url"]:focus, input[type="text"]:focus, textarea:focus { border-color: #1d4ed8; }
+    textarea { font-family: monospace; font-size: 0.8rem; resize: vertical; }
+    .source { border: 1px solid #ddd; border-radius: 6px; padding: 0.75rem 1rem 1rem; margin-bottom: 0.75rem; }
+    .source-head { display: flex; align-items: center; gap: 0.75rem; margin-bottom: 0.5rem; font-size: 0.8rem; }
+    .source-head strong { flex: 1; font-size: 0.875rem; }
+    .source-head label { display: flex; align-items: center; gap: 0.375rem; margin: 0; font-weight: 400; }
+    .source-head input[type="number"] { width: 3.5rem; padding: 0.2rem 0.3rem; border: 1px solid #ccc; border-radius: 4px; }
+    .source-row { display: flex; gap: 0.5rem; margin-top: 0.5rem; }
+    .source-row > div { flex: 1; }
+    .source-row > div.time { flex: 0 0 6.5rem; }
+    .source-row label { font-weight: 400; font-size: 0.75rem; color: #666; }
+    .source-head select { padding: 0.2rem 0.3rem; border: 1px solid #ccc; border-radius: 4px; font-size: 0.8rem; }
+    .source details { margin-top: 0.5rem; font-size: 0.8rem; }
+    .source summary { cursor: pointer; color: #666; }
+    .source-row input { width: 100%; padding: 0.4rem 0.5rem; border: 1px solid #ccc; border-radius: 6px; font-size: 0.85rem; }
     .hint { font-size: 0.75rem; color: #888; margin-top: 0.375rem; line-height: 1.5; }
     button {
       margin-top: 1.25rem;
@@ -152,6 +275,12 @@ app.get('/settings', (req, res) => {
       transition: background .15s;
     }
     button:hover { background: #333; }
+    button.secondary { background: #fff; color: #111; border: 1px solid #111; }
+    button.secondary:hover { background: #f3f4f6; }
+    .preview-controls { display: flex; gap: 0.5rem; align-items: center; margin-top: 0.75rem; }
+    .preview-controls select { padding: 0.55rem 0.4rem; border: 1px solid #ccc; border-radius: 6px; font-size: 0.85rem; }
+    .preview-controls button { margin-top: 0; flex: 1; }
+    iframe.preview { display: block; width: 100%; height: 700px; margin-top: 1rem; border: 0; }
     .banner {
       margin-top: 1rem;
       padding: 0.625rem 0.75rem;
@@ -164,11 +293,46 @@ app.get('/settings', (req, res) => {
       border: 1px solid #bbf7d0;
       color: #166534;
     }
+    .banner--warning {
+      background: #fffbeb;
+      border: 1px solid #fde68a;
+      color: #92400e;
+    }
     .banner--error {
       background: #fef2f2;
       border: 1px solid #fecaca;
       color: #991b1b;
     }
+    .banner.install { margin: 0 0 1.5rem; }
+    .banner a { color: inherit; font-weight: 600; }
+    fieldset.display { margin-top: 1.5rem; border: 1px solid #ddd; border-radius: 6px; padding: 0.75rem 1rem 1rem; }
+    fieldset.display legend { font-size: 0.875rem; font-weight: 600; padding: 0 0.25rem; }
+    fieldset.display > label:not(.check) { margin-top: 0.75rem; }
+    .display-row { display: flex; gap: 0.75rem; margin-top: 0.75rem; flex-wrap: wrap; }
+    .display-row label { display: flex; align-items: center; gap: 0.375rem; margin: 0; font-weight: 400; font-size: 0.8rem; }
+    .display-row select { padding: 0.3rem 0.4rem; border: 1px solid #ccc; border-radius: 4px; font-size: 0.8rem; }
+    fieldset.goal { margin-top: 1.5rem; border: 1px solid #ddd; border-radius: 6px; padding: 0.75rem 1rem 1rem; }
+    fieldset.goal legend { font-size: 0.875rem; font-weight: 600; padding: 0 0.25rem; }
+    .goal-row { display: flex; gap: 0.5rem; align-items: center; font-size: 0.8rem; }
+    .goal-row select, .goal-row input[type="number"] { padding: 0.3rem 0.4rem; border: 1px solid #ccc; border-radius: 4px; font-size: 0.8rem; }
+    .goal-row input[type="number"] { width: 8rem; }
+    fieldset.alerts { margin-top: 1.5rem; border: 1px solid #ddd; border-radius: 6px; padding: 0.75rem 1rem 1rem; }
+    fieldset.alerts legend { font-size: 0.875rem; font-weight: 600; padding: 0 0.25rem; }
+    .alert-row { display: flex; gap: 0.5rem; align-items: center; margin-top: 0.5rem; font-size: 0.8rem; }
+    .alert-row select, .alert-row input[type="number"] { padding: 0.3rem 0.4rem; border: 1px solid #ccc; border-radius: 4px; font-size: 0.8rem; }
+    .alert-row input[type="number"] { width: 6rem; }
+    .alert-row label { display: flex; align-items: center; gap: 0.25rem; margin: 0; font-weight: 400; }
+    fieldset.quiet { margin-top: 1.5rem; border: 1px solid #ddd; border-radius: 6px; padding: 0.75rem 1rem 1rem; }
+    fieldset.quiet legend { font-size: 0.875rem; font-weight: 600; padding: 0 0.25rem; }
+    .quiet-row { display: flex; gap: 0.5rem; align-items: center; font-size: 0.8rem; }
+    .quiet-row select, .quiet-row input[type="time"] { padding: 0.3rem 0.4rem; border: 1px solid #ccc; border-radius: 4px; font-size: 0.8rem; }
+    fieldset.tiles { margin-top: 1.5rem; border: 1px solid #ddd; border-radius: 6px; padding: 0.75rem 1rem 1rem; }
+    fieldset.tiles legend { font-size: 0.875rem; font-weight: 600; padding: 0 0.25rem; }
+    label.check { display: flex; align-items: center; gap: 0.5rem; font-weight: 400; margin: 0.25rem 0 0; }
+    table.tile-list { width: 100%; border-collapse: collapse; margin-top: 0.75rem; font-size: 0.8rem; }
+    table.tile-list th { text-align: left; font-weight: 600; color: #666; padding-bottom: 0.25rem; }
+    table.tile-list td { padding: 0.25rem 0; border-top: 1px solid #eee; }
+    table.tile-list input[type="number"] { width: 3.5rem; padding: 0.2rem 0.3rem; border: 1px solid #ccc; border-radius: 4px; }
     .examples { margin-top: 0.5rem; font-size: 0.75rem; color: #888; }
     .examples code {
       display: block;
@@ -183,24 +347,25 @@ app.get('/settings', (req, res) => {
 <body>
   <div class="card">
     <h1>PostHog Insight Viewer</h1>
-    <p class="subtitle">Connect a public PostHog shared insight to your TRMNL display.</p>
+    <p class="subtitle">Connect one or more PostHog insights to your TRMNL display.</p>
+    ${installBanner}
 
     <form method="POST" action="/settings">
       <input type="hidden" name="plugin_setting_id" value="${escAttr(plugin_setting_id)}">
+      <input type="hidden" name="settings_token" value="${escAttr(auth.token)}">
+      ${returnTo ? `<input type="hidden" name="return_to" value="${escAttr(returnTo)}">` : ''}
 
-      <label for="posthog_url">PostHog shared insight URL</label>
-      <input
-        type="url"
-        id="posthog_url"
-        name="posthog_url"
-        placeholder="https://us.posthog.com/shared/AbCdEf123"
-        value="${escAttr(currentUrl)}"
-        required
-        autocomplete="off"
-      >
+      ${renderSourceSettings(sources)}
       <p class="hint">
         In PostHog, open an insight → click <strong>Share</strong> → enable public sharing → copy the link.
         The URL must be publicly accessible (no login required).
+        For insights you can't share publicly, choose <strong>Private (API key)</strong> and use a
+        read-only personal API key with the <code>insight:read</code> scope; it is stored encrypted.
+        <strong>HogQL query</strong> runs your own SELECT instead (key needs <code>query:read</code>):
+        a single value shows as a big number, label/value pairs as a ranked list, anything else as a table.
+        With several insights, the display shows the next one on each refresh. Give an insight
+        a time window to show it only then (e.g. revenue 08:00–12:00, errors 12:00–18:00), in your
+        TRMNL account's time zone${installation?.time_zone ? ` (${escAttr(installation.time_zone)})` : ''}.
       </p>
       <div class="examples">
         Accepted formats:
@@ -208,11 +373,25 @@ app.get('/settings', (req, res) => {
         <code>https://eu.posthog.com/shared/&lt;token&gt;</code>
         <code>https://app.posthog.com/shared/&lt;token&gt;</code>
       </div>
+      ${tileSettings}
+      ${renderDisplaySettings(displayPrefs(db.getDisplayPrefs(plugin_setting_id)), [...seriesNames])}
+      ${renderGoalSettings(db.getGoal(plugin_setting_id))}
+      ${renderAlertSettings(db.getAlertRules(plugin_setting_id))}
+      ${renderQuietSettings(quietHours(plugin_setting_id), installation?.time_zone)}
 
       <button type="submit">Save settings</button>
+
+      <div class="preview-controls">
+        <select name="preview_source" aria-label="Insight to preview">${previewOptions}</select>
+        <button type="submit" class="secondary" formaction="/settings/preview" formtarget="preview">Preview</button>
+      </div>
+      <p class="hint">Preview draws the form as it is now, in all four layouts, without saving it.</p>
     </form>
     ${savedBanner}
+    ${warningBanner}
     ${errorBanner}
+    <iframe name="preview" class="preview" title="Layout preview"
+            srcdoc="${escAttr(renderPreviewPage(null))}"></iframe>
   </div>
 </body>
 </html>`);
@@ -220,28 +399,107 @@ app.get('/settings', (req, res) => {
 
 // ---------------------------------------------------------------------------
 // POST /settings
-// Save the PostHog URL for this installation
+// Save the PostHog URL(s) for this installation
 // ---------------------------------------------------------------------------
-app.post('/settings', (req, res) => {
-  const { plugin_setting_id, posthog_url } = req.body;
+app.post('/settings', async (req, res) => {
+  const auth = authenticateSettings(req);
+  if (auth.error) {
+    return res.status(auth.status).send(escAttr(auth.error));
+  }
+  const plugin_setting_id = auth.pluginSettingId;
+  const returnTo          = returnUrl(req.body.return_to);
+
+  const { sources, error: sourceError } = parseSourceSettings(
+    req.body,
+    installationSources(db.getInstallation(plugin_setting_id)),
+  );
+  const queryError = sourceError ? null : await checkQuerySources(sources);
+  // Fetch and parse each source now, so a link that isn't shared, points
+  // nowhere or holds nothing drawable is caught here rather than on the device
+  const { error: fetchError, warnings } = sourceError || queryError
+    ? { error: null, warnings: [] }
+    : await reviewSources(sources);
+  if (sourceError || queryError || fetchError) {
+    return res.redirect(settingsUrl(auth, { error: sourceError || queryError || fetchError }, returnTo));
+  }
 
-  if (!plugin_setting_id) {
-    return res.status(400).send('Missing plugin_setting_id');
+  const { prefs, error: displayError } = parseDisplaySettings(req.body);
+  const { goal, error: goalError } = parseGoalSettings(req.body);
+  const { rules: alertRules, error: alertError } = parseAlertSettings(req.body);
+  const { quiet, error: quietError } = parseQuietSettings(req.body);
+  if (displayError || goalError || alertError || quietError) {
+    return res.redirect(settingsUrl(auth, { error: displayError || goalError || alertError || quietError }, returnTo));
   }
 
-  const urlError = validatePosthogUrl(posthog_url);
-  if (urlError) {
-    return res.redirect(
-      `/settings?plugin_setting_id=${encodeURIComponent(plugin_setting_id)}` +
-      `&error=${encodeURIComponent(urlError)}`
+  // Dashboard tile rotation (fields only present when the URL is a dashboard)
+  const rotation = parseTileSettings(req.body);
+  if (rotation && rotation.enabled && rotation.excluded.length === rotation.order.length) {
+    return res.redirect(settingsUrl(auth, { error: 'Keep at least one tile in the rotation.' }, returnTo));
+  }
+
+  db.replaceInsightSources(plugin_setting_id, sources);
+  db.replaceAlertRules(plugin_setting_id, alertRules);
+  if (prefs) db.setDisplayPrefs(plugin_setting_id, prefs);
+  if (goal !== undefined) db.setGoal(plugin_setting_id, goal);
+  if (quiet !== undefined) db.setQuietHours(plugin_setting_id, quiet);
+  if (rotation) {
+    db.setTileRotation(
+      plugin_setting_id,
+      rotation.enabled,
+      JSON.stringify(rotation.order),
+      JSON.stringify(rotation.excluded),
     );
   }
+  log.info('Settings saved', { sources: sources.length, warnings: warnings.length });
 
-  db.setPosthogUrl(plugin_setting_id, posthog_url.trim());
-  console.log(`Settings saved: plugin_setting_id=${plugin_setting_id}`);
+  // Redirect back to the settings form with a confirmation (and anything the
+  // display will only partly show)
+  res.redirect(settingsUrl(
+    auth,
+    warnings.length ? { saved: 1, warning: warnings.join(' ') } : { saved: 1 },
+    returnTo,
+  ));
+});
 
-  // Redirect back to the settings form with a confirmation
-  res.redirect(`/settings?plugin_setting_id=${encodeURIComponent(plugin_setting_id)}&saved=1`);
+// ---------------------------------------------------------------------------
+// POST /settings/preview
+// Render the settings form as it stands — unsaved sources and options — in
+// all four layouts. Takes the same fields as POST /settings, plus
+// preview_source: the form row to preview (default: the first insight).
+// Nothing is saved and the insight cache is bypassed.
+//
+// Response: with Accept: application/json, the four markup fields as in
+// /markup plus the warnings saving would give (or { error }); otherwise an HTML page of scaled frames, which the
+// settings form targets at its preview iframe.
+// ---------------------------------------------------------------------------
+app.post('/settings/preview', async (req, res) => {
+  const wantsJson = req.accepts(['html', 'json']) === 'json';
+  const reply     = (status, layouts, error, warnings = []) => {
+    if (wantsJson) return res.status(status).json(layouts ? { ...layouts, warnings } : { error });
+    return res.status(status).send(renderPreviewPage(layouts, error, warnings));
+  };
+
+  const auth = authenticateSettings(req);
+  if (auth.error) {
+    return reply(auth.status, null, auth.error);
+  }
+
+  const { preview, error } = parsePreviewSettings(req.body, auth.pluginSettingId);
+  if (error) {
+    return reply(400, null, error);
+  }
+
+  let insight;
+  try {
+    insight = await fetchTarget(sourceTarget(sourceRow(preview.source)));
+  } catch (err) {
+    log.warn('Preview fetch error', { error: err.message, code: err.code });
+    return reply(502, null, fetchErrorMessage(err, preview.source));
+  }
+
+  // Drawn even when saving would refuse it, with the reason on top
+  const { error: reviewError, warnings } = reviewInsight(insight, preview.source.sourceType);
+  return reply(200, renderLayouts(previewInsight(insight, preview), preview.prefs), reviewError, warnings);
 });
 
 // ---------------------------------------------------------------------------
@@ -249,11 +507,12 @@ app.post('/settings', (req, res) => {
 // TRMNL polls this endpoint to refresh the plugin display.
 //
 // Request: application/x-www-form-urlencoded
-//   user_uuid  — UUID of the TRMNL user
-//   trmnl      — URL-encoded JSON blob with user/device/plugin metadata
-//                (includes plugin_setting_id, instance_name, etc.)
+//   Authorization — Bearer <access token> of the installation (required)
+//   user_uuid     — UUID of the TRMNL user
+//   trmnl         — URL-encoded JSON blob with user/device/plugin metadata
+//                   (includes plugin_setting_id, instance_name, etc.)
 //
-// Also supports GET with ?plugin_setting_id=... for local dev convenience.
+// Also supports GET with ?plugin_setting_id=... in dev mode (DEV_MODE=1).
 //
 // Response: application/json with all 4 layout variants required for
 // marketplace publication:
@@ -267,43 +526,11 @@ app.post('/markup', handleMarkup);
 app.get('/markup',  handleMarkup); // convenience for local dev / seed-test.js
 
 async function handleMarkup(req, res) {
-  // Resolve plugin_setting_id from body (TRMNL production) or query (local dev)
-  let pluginSettingId = req.query.plugin_setting_id || null;
-
-  if (!pluginSettingId && req.body) {
-    // TRMNL sends: user_uuid=...&trmnl=%7B%22plugin_setting_id%22%3A123%2C...%7D
-    try {
-      const trmnlRaw = req.body.trmnl;
-      if (trmnlRaw) {
-        const trmnlData = JSON.parse(
-          typeof trmnlRaw === 'string' ? trmnlRaw : JSON.stringify(trmnlRaw)
-        );
-        pluginSettingId =
-          trmnlData.plugin_setting_id ||
-          trmnlData.user?.plugin_setting_id ||
-          null;
-        if (pluginSettingId) pluginSettingId = String(pluginSettingId);
-      }
-    } catch (e) {
-      console.warn('Could not parse trmnl body:', e.message);
-    }
-
-    // Fallback: some versions send plugin_setting_id directly in the body
-    if (!pluginSettingId && req.body.plugin_setting_id) {
-      pluginSettingId = String(req.body.plugin_setting_id);
-    }
-
-    // Fallback: user_uuid in body (older TRMNL firmware)
-    if (!pluginSettingId && req.body.user_uuid) {
-      // Look up by access_token from Authorization header
-      const auth = req.headers.authorization || '';
-      const token = auth.replace(/^Bearer\s+/i, '').trim();
-      if (token) {
-        const inst = db.getInstallationByToken(token);
-        if (inst) pluginSettingId = inst.plugin_setting_id;
-      }
-    }
+  const auth = authenticateDevice(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
   }
+  const pluginSettingId = auth.pluginSettingId;
 
   const noConfigResponse = {
     markup:                 renderNoConfig(),
@@ -313,10 +540,6 @@ async function handleMarkup(req, res) {
     refresh_rate: 300,
   };
 
-  if (!pluginSettingId) {
-    return res.json(noConfigResponse);
-  }
-
   const installation = db.getInstallation(pluginSettingId);
 
   if (!installation) {
@@ -330,33 +553,176 @@ async function handleMarkup(req, res) {
     });
   }
 
-  if (!installation.posthog_url) {
-    return res.json(noConfigResponse);
-  }
-
+  let response;
+  let failed = false;
   try {
-    const insight = await fetchInsight(installation.posthog_url);
-    const full    = renderMarkup({ ...insight, posthogUrl: installation.posthog_url });
-    const errMsg  = null;
-
-    return res.json({
-      markup:                 full,
-      markup_half_vertical:   full,   // same content; TRMNL crops to fit
-      markup_half_horizontal: full,
-      markup_quadrant:        full,
-      refresh_rate: 1800, // 30 minutes
-    });
+    const screen = await loadScreen(installation);
+    response = screen
+      ? {
+        // markup, markup_half_vertical, markup_half_horizontal, markup_quadrant
+        ...renderLayouts(screen.insight, screen.prefs),
+        // As often as the data can change, or fast while an alert fires
+        refresh_rate: screen.insight.alert ? ALERT_REFRESH_RATE : insightRefreshRate(screen.insight),
+      }
+      : noConfigResponse;
   } catch (err) {
-    console.error('Markup fetch error:', err.message);
-    const errMarkup = renderError(`Could not load insight: ${err.message}`);
-    return res.json({
+    log.error('Markup fetch error', { error: err.message, code: err.code });
+    failed = true;
+    const errMarkup = renderError(screenErrorMessage(err));
+    response = {
       markup:                 errMarkup,
       markup_half_vertical:   errMarkup,
       markup_half_horizontal: errMarkup,
       markup_quadrant:        errMarkup,
-      refresh_rate: 300,
-    });
+      // Backs off with each failed poll in a row
+      refresh_rate: errorRefreshRate(
+        installation.error_streak + 1,
+        err.code === 'BUSY' ? BUSY_REFRESH_RATE : undefined,
+      ),
+    };
   }
+  response.refresh_rate = quietRefreshRate(response.refresh_rate, quietHours(pluginSettingId));
+
+  // Tells the prefetch scheduler when this device will be back
+  const timeZone = trmnlData(req)?.user?.time_zone_iana;
+  db.recordPoll(pluginSettingId, response.refresh_rate, {
+    failed,
+    timeZone: isTimeZone(timeZone) ? timeZone : null,
+  });
+  return res.json(response);
+}
+
+/**
+ * What one poll shows for an installation — shared by /markup and /image.
+ * Picks the source, applies dashboard rotation, table paging, the goal and
+ * alert rules. Returns { insight, prefs } ready for renderMarkup /
+ * renderImage, or null when no source is configured or active.
+ * advance: false repeats the rotation positions the last poll showed
+ * instead of moving each one on.
+ */
+async function loadScreen(installation, { advance = true } = {}) {
+  const pluginSettingId = installation.plugin_setting_id;
+  const lastShown       = advance ? null : db.lastRotationPositions(pluginSettingId);
+
+  // Several sources rotate per poll, limited to those whose time window is open
+  const source = pickSource(installation, lastShown);
+  if (!source) return null;
+
+  // Served from the insight cache; falls back to the last good result
+  // (flagged with staleSince) when PostHog is failing.
+  let { insight, staleSince } = await getInsight(sourceTarget(source));
+  // A source's own title wins over the installation-wide one
+  const prefs = displayPrefs(db.getDisplayPrefs(pluginSettingId));
+  const title = source.title_override || prefs?.title;
+  if (title) {
+    insight = { ...insight, title, dashboardName: title };
+  }
+
+  // Dashboard rotation: show the next tile on each poll instead of the grid
+  const rotation = db.getTileRotation(pluginSettingId);
+  if (rotation && rotation.enabled && Array.isArray(insight.tiles)) {
+    const tiles = rotationTiles(insight.tiles, rotation);
+    if (tiles.length > 0) {
+      const pos = (lastShown ? lastShown.tile : db.advanceTilePosition(pluginSettingId)) % tiles.length;
+      insight = { ...tiles[pos], page: { index: pos + 1, total: tiles.length } };
+    }
+  }
+
+  // Query results longer than a screen show their next page on each poll
+  if (insight.table) {
+    insight = { ...insight, tablePage: lastShown ? lastShown.tablePage : db.advanceTablePage(pluginSettingId) };
+  }
+
+  // Goals and alerts follow the series the display prefs pick
+  const shown = applyDisplayPrefs(insight, prefs);
+
+  // Goal line on the chart, or the progress-to-target layout
+  const goal = db.getGoal(pluginSettingId);
+  if (goal) {
+    insight = { ...insight, goal: goalView(goal, shown, { timeZone: installation.time_zone || undefined }) };
+  }
+
+  // Threshold alerts: the first rule that fires switches to the alert
+  // layout, and the device polls faster until the metric recovers
+  const alert = evaluateAlerts(db.getAlertRules(pluginSettingId), shown);
+  if (alert) {
+    log.info('Alert firing', { alert: alert.text });
+    insight = { ...insight, alert };
+  }
+
+  // staleSince is shown on the installation's clock
+  return {
+    insight: { ...insight, posthogUrl: source.posthog_url, staleSince, timeZone: installation.time_zone },
+    prefs,
+  };
+}
+
+// An installation's quiet hours as refresh.quietRefreshRate takes them, or null
+function quietHours(pluginSettingId) {
+  const row = db.getQuietHours(pluginSettingId);
+  return row ? { start: row.start_minute, end: row.end_minute, timeZone: row.time_zone } : null;
+}
+
+// ---------------------------------------------------------------------------
+// GET|POST /image
+// The same screen as /markup as a 1-bit bitmap, for BYOS servers and older
+// firmware. Authenticated like /markup (Bearer access token); query parameters:
+//   layout — full (800×480, default), half_vertical, half_horizontal, quadrant
+//   format — png (default) or bmp
+//   dither — floyd-steinberg (default) or ordered
+// A request counts as a poll (rotation and table pages advance) unless it
+// comes within IMAGE_REPEAT_WINDOW of the last one: a client fetching several
+// layouts or formats per refresh gets the same screen in each.
+// ---------------------------------------------------------------------------
+app.get('/image',  handleImage);
+app.post('/image', handleImage);
+
+async function handleImage(req, res) {
+  const { layout = 'full', format = 'png', dither = 'floyd-steinberg' } = req.query;
+  if (!LAYOUT_NAMES.includes(layout)) {
+    return res.status(400).json({ error: `Unknown layout "${layout}". Expected one of: ${LAYOUT_NAMES.join(', ')}.` });
+  }
+  if (!IMAGE_FORMATS[format]) {
+    return res.status(400).json({ error: `Unknown format "${format}". Expected png or bmp.` });
+  }
+  if (!DITHERS.includes(dither)) {
+    return res.status(400).json({ error: `Unknown dither "${dither}". Expected one of: ${DITHERS.join(', ')}.` });
+  }
+
+  const auth = authenticateDevice(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  const options       = { format, dither };
+  const noConfigImage = () => renderMessageImage(
+    'No PostHog URL configured. Visit plugin settings to add your shared insight URL.', 'Setup required', layout, options
+  );
+  const installation  = db.getInstallation(auth.pluginSettingId);
+
+  let image;
+  let failed = false;
+  if (!installation) {
+    image = renderMessageImage('Installation not found. Please reinstall the plugin.', 'Error', layout, options);
+  } else {
+    // A repeat isn't recorded either, so the window runs from the poll it repeats
+    const repeat = installation.last_polled_at > Math.floor(Date.now() / 1000) - IMAGE_REPEAT_WINDOW;
+    try {
+      const screen = await loadScreen(installation, { advance: !repeat });
+      image = screen ? renderImage(screen.insight, layout, { ...options, prefs: screen.prefs }) : noConfigImage();
+    } catch (err) {
+      log.error('Image fetch error', { error: err.message, code: err.code });
+      failed = true;
+      image = renderMessageImage(screenErrorMessage(err), 'Error', layout, options);
+    }
+    if (!repeat) db.recordPoll(installation.plugin_setting_id, null, { failed });
+  }
+
+  // Express answers If-None-Match with a 304 when the ETag matches
+  res.set('Content-Type', image.contentType);
+  res.set('ETag', image.etag);
+  res.set('Cache-Control', 'no-cache');
+  res.send(image.body);
 }
 
 // ---------------------------------------------------------------------------
@@ -366,31 +732,16 @@ app.delete('/uninstall', handleUninstall);
 app.post('/uninstall', handleUninstall);
 
 function handleUninstall(req, res) {
-  // TRMNL sends: { user_uuid: "..." } with Authorization: Bearer <access_token>
-  // Try multiple strategies to identify the installation to remove.
-
-  // Strategy 1: explicit plugin_setting_id (dev/fallback)
-  let pluginSettingId =
-    req.body?.plugin_setting_id ||
-    req.query?.plugin_setting_id;
-
-  // Strategy 2: look up by Bearer token
-  if (!pluginSettingId) {
-    const auth  = req.headers.authorization || '';
-    const token = auth.replace(/^Bearer\s+/i, '').trim();
-    if (token) {
-      const inst = db.getInstallationByToken(token);
-      if (inst) pluginSettingId = inst.plugin_setting_id;
-    }
-  }
-
-  if (pluginSettingId) {
-    db.deleteInstallation(pluginSettingId);
-    console.log(`Uninstalled: plugin_setting_id=${pluginSettingId}`);
-  } else {
-    console.warn('Uninstall received but could not identify installation:', req.body);
+  // TRMNL sends: { user_uuid: "..." } with Authorization: Bearer <access_token>.
+  // Only that token (or, in dev mode, a plugin_setting_id) removes anything.
+  const auth = authenticateDevice(req);
+  if (auth.error) {
+    log.warn('Uninstall refused', { error: auth.error, status: auth.status });
+    return res.status(auth.status).json({ error: auth.error });
   }
 
+  db.deleteInstallation(auth.pluginSettingId);
+  log.info('Uninstalled');
   res.sendStatus(200);
 }
 
@@ -400,12 +751,178 @@ function handleUninstall(req, res) {
 app.get('/health', (_req, res) => res.json({ status: 'ok' }));
 
 // ---------------------------------------------------------------------------
-// Start server
+// GET /metrics
+// Prometheus text format (see metrics.js). With METRICS_TOKEN set, scrapers
+// must send it as "Authorization: Bearer …".
+// ---------------------------------------------------------------------------
+gauge('installations', 'Installed plugin instances', [], () => db.countInstallations());
+gauge('posthog_requests_in_flight', 'PostHog requests running now', [], () => limiterStats().active);
+gauge('posthog_requests_queued', 'PostHog requests waiting for a limiter slot', [], () => limiterStats().queued);
+
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).send('Missing or wrong metrics token');
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+// ---------------------------------------------------------------------------
+// /admin — operator console
+// Lists every installation with its sources, when each was last fetched,
+// the last error and the insight type PostHog returned; an operator can
+// force a refresh, preview the current screen, delete an installation, and
+// delete the listed installations that never polled in ADMIN_IDLE_DAYS (left
+// behind by an uninstall TRMNL couldn't match to them). Installations that
+// polled and then stopped are only flagged — the device may just be offline.
+// Needs ADMIN_PASSWORD (see
+// auth.authenticateAdmin); browser POSTs also carry the admin form token.
+// GET /admin answers JSON to Accept: application/json.
 // ---------------------------------------------------------------------------
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`TRMNL PostHog plugin running on port ${PORT}`);
+app.use('/admin', (req, res, next) => {
+  const auth = authenticateAdmin(req);
+  if (auth.error) {
+    if (auth.status === 401) res.set('WWW-Authenticate', 'Basic realm="TRMNL PostHog admin", charset="UTF-8"');
+    return res.status(auth.status).send(escAttr(auth.error));
+  }
+  if (req.method === 'POST' && auth.via === 'basic' && !checkAdminFormToken(req.body?.form_token)) {
+    return res.status(403).send('Missing or stale form token. Reload the admin page and try again.');
+  }
+  next();
+});
+
+app.get('/admin', (req, res) => {
+  const rows = db.listInstallations().map(adminRow);
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.json({
+      installations: rows.map(({ installation: i, sources }) => ({
+        plugin_setting_id: i.plugin_setting_id,
+        created_at:        i.created_at,
+        last_polled_at:    i.last_polled_at,
+        refresh_rate:      i.refresh_rate,
+        error_streak:      i.error_streak,
+        idle:              isIdle(i),
+        never_polled:      isNeverPolled(i),
+        sources,
+      })),
+      idle_days: ADMIN_IDLE_DAYS,
+    });
+  }
+  res.send(renderAdminPage(rows, req.query));
 });
 
+app.post('/admin/installations/:id/refresh', async (req, res) => {
+  const installation = db.getInstallation(req.params.id);
+  if (!installation) {
+    return res.redirect(adminUrl({ error: `No installation ${req.params.id}.` }));
+  }
+  bindInstallation(installation.plugin_setting_id);
+
+  // Straight from PostHog whatever the cache holds; errors are recorded as usual
+  const sources  = installationSources(installation);
+  const failures = [];
+  for (const [i, source] of sources.entries()) {
+    try {
+      await refreshInsight(sourceTarget(source));
+    } catch (err) {
+      failures.push(`Insight ${i + 1}: ${err.message}`);
+    }
+  }
+  log.info('Admin refresh', { sources: sources.length, failed: failures.length });
+  res.redirect(adminUrl(failures.length
+    ? { error: `Refresh of ${installation.plugin_setting_id} failed. ${failures.join(' ')}` }
+    : { notice: `Refreshed ${sources.length} insight(s) for ${installation.plugin_setting_id}.` }));
+});
+
+// The installation's screen from the cached insight, with its saved display
+// options, goal and alerts. Unlike a poll it doesn't advance any rotation.
+app.get('/admin/installations/:id/preview', async (req, res) => {
+  const installation = db.getInstallation(req.params.id);
+  if (!installation) {
+    return res.status(404).send(escAttr(`No installation ${req.params.id}.`));
+  }
+  const pluginSettingId = installation.plugin_setting_id;
+  bindInstallation(pluginSettingId);
+
+  const sources = installationSources(installation);
+  const index   = Math.min(Math.max(parseInt(req.query.source, 10) || 0, 0), Math.max(sources.length - 1, 0));
+  const source  = sources[index];
+
+  let layouts = null;
+  let error   = null;
+  if (!source) {
+    error = 'No insight configured.';
+  } else {
+    try {
+      const { insight, staleSince } = await getInsight(sourceTarget(source));
+      const prefs = displayPrefs(db.getDisplayPrefs(pluginSettingId));
+      const shown = previewInsight(insight, {
+        source: { titleOverride: source.title_override, posthogUrl: source.posthog_url },
+        prefs,
+        goal:     db.getGoal(pluginSettingId),
+        rules:    db.getAlertRules(pluginSettingId),
+        timeZone: installation.time_zone,
+      });
+      layouts = renderLayouts({ ...shown, staleSince, timeZone: installation.time_zone }, prefs);
+    } catch (err) {
+      error = `Could not load insight: ${err.message}`;
+    }
+  }
+  res.send(renderAdminPreview(installation, sources, index, renderPreviewPage(layouts, error)));
+});
+
+app.post('/admin/installations/:id/delete', (req, res) => {
+  const installation = db.getInstallation(req.params.id);
+  if (!installation) {
+    return res.redirect(adminUrl({ error: `No installation ${req.params.id}.` }));
+  }
+  bindInstallation(installation.plugin_setting_id);
+  db.deleteInstallation(installation.plugin_setting_id);
+  log.info('Admin deleted installation');
+  res.redirect(adminUrl({ notice: `Deleted installation ${installation.plugin_setting_id}.` }));
+});
+
+// Deletes the never-polled installations the admin page listed (posted back
+// as plugin_setting_ids), skipping any that have polled since
+app.post('/admin/never-polled/delete', (req, res) => {
+  const posted = [].concat(req.body?.plugin_setting_ids ?? []).map(String);
+  const ids    = db.deleteNeverPolledInstallations(idleSince(), posted);
+  log.info('Admin deleted never-polled installations', { plugin_setting_ids: ids });
+  const skipped = posted.length - ids.length;
+  res.redirect(adminUrl({
+    notice: `Deleted ${ids.length} never-polled installation(s) and their settings.`
+      + (skipped ? ` Kept ${skipped} that polled since or no longer exist.` : ''),
+  }));
+});
+
+// ---------------------------------------------------------------------------
+// Start server (when run directly; the tests in test/ start the app themselves)
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  // Open the database (checking ENCRYPTION_KEY and migrating) before taking
+  // requests: a bad key or a failed migration stops the server here
+  try {
+    db.getDb();
+  } catch (err) {
+    log.error('Cannot start', { error: err.message });
+    process.exit(1);
+  }
+  app.listen(PORT, '0.0.0.0', () => {
+    log.info('TRMNL PostHog plugin running', { port: Number(PORT) });
+    if (DEV_MODE) {
+      log.warn('DEV_MODE is on: requests are accepted with a bare plugin_setting_id. Never enable this in production.');
+    }
+    if (PREFETCH_ENABLED) {
+      // Keep insights fresh ahead of each device's next poll (see scheduler.js)
+      startPrefetch((installation, at) => screenSources(installation, at).map(sourceTarget));
+    } else {
+      log.info('Prefetch is off (PREFETCH=0): /markup refreshes stale insights itself.');
+    }
+  });
+}
+
+module.exports = app;
+
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
@@ -439,6 +956,9 @@ function validatePosthogUrl(raw) {
   if (url.protocol !== 'https:') {
     return 'PostHog URL must use HTTPS.';
   }
+  if (!DEV_MODE && isPrivateHost(url.hostname)) {
+    return 'PostHog URL must point to a public host.';
+  }
 
   if (!url.pathname.match(/^\/shared\/[A-Za-z0-9_-]+/)) {
     return 'PostHog URL must include a /shared/<token> path. ' +
@@ -456,6 +976,1222 @@ function validatePosthogUrl(raw) {
   return null; // valid
 }
 
+/**
+ * The installation's insight sources in display order. Rows saved before
+ * sources existed only have installations.posthog_url; treat that as one
+ * always-active source.
+ */
+function installationSources(installation) {
+  if (!installation) return [];
+  const sources = db.getInsightSources(installation.plugin_setting_id);
+  if (sources.length > 0) return sources;
+  return installation.posthog_url
+    ? [{ posthog_url: installation.posthog_url, title_override: null, active_from: null, active_to: null }]
+    : [];
+}
+
+/**
+ * Choose the source to show on this poll: rotate through the sources whose
+ * time window is open now (all of them if none is), one step per call —
+ * or, given the positions a poll last showed (db.lastRotationPositions),
+ * that poll's source again.
+ */
+function pickSource(installation, lastShown = null, now = new Date()) {
+  const pool = screenSources(installation, now);
+  if (pool.length <= 1) return pool[0] || null;
+
+  const position = lastShown ? lastShown.source : db.advanceSourcePosition(installation.plugin_setting_id);
+  return pool[position % pool.length];
+}
+
+// The sources a poll at `now` may show: those whose time window is open on
+// the installation's wall clock (its time zone, UTC until a poll reports
+// one), or all of them if none is
+function screenSources(installation, now = new Date()) {
+  const sources = installationSources(installation);
+  if (sources.length <= 1) return sources;
+
+  const minute = minuteOfDay(now, installation.time_zone || undefined);
+  const open   = sources.filter((s) => inTimeWindow(s.active_from, s.active_to, minute));
+  return open.length > 0 ? open : sources;
+}
+
+/**
+ * Read the source rows from a POST /settings body. Fields are suffixed with
+ * the row's index on the rendered form:
+ *   source_type_<n>   — 'shared' (public share link), 'api' (private insight)
+ *                       or 'hogql' (HogQL query)
+ *   source_url_<n>    — share link (shared)
+ *   source_host_<n>, source_project_<n>, source_key_<n> (api, hogql)
+ *   source_insight_<n> (api), source_query_<n> (hogql)
+ *   source_title_<n>, source_from_<n>, source_to_<n>, source_order_<n>, source_remove_<n>
+ * A bare posthog_url field is accepted as a single source for scripts and
+ * older forms.
+ *
+ * `existing` are the sources as rendered, so a blank API key field keeps the
+ * key already stored for that row (only while the host is unchanged).
+ * Returns { sources, error } — sources ready for db.replaceInsightSources.
+ */
+function parseSourceSettings(body, existing = []) {
+  const rows  = [];
+  const field = (name, n) => String(body[`${name}_${n}`] || '').trim();
+
+  if (body.posthog_url !== undefined && !Object.keys(body).some((k) => k.startsWith('source_type_'))) {
+    rows.push({ n: 0, type: 'shared', url: String(body.posthog_url).trim(), rank: 0 });
+  }
+
+  for (const name of Object.keys(body)) {
+    const m = name.match(/^source_type_(\d+)$/);
+    if (!m) continue;
+    const n    = m[1];
+    const type = ['api', 'hogql'].includes(body[name]) ? body[name] : 'shared';
+    if (body[`source_remove_${n}`] === '1') continue;
+
+    const row = {
+      n,
+      type,
+      url:     field('source_url', n),
+      host:    field('source_host', n),
+      project: field('source_project', n),
+      insight: field('source_insight', n),
+      key:     field('source_key', n),
+      query:   field('source_query', n),
+      title:   field('source_title', n),
+      from:    field('source_from', n),
+      to:      field('source_to', n),
+    };
+    // Untouched rows (e.g. the blank "add another" row) are skipped
+    const filled = { shared: row.url, api: row.project || row.insight, hogql: row.project || row.query };
+    if (!filled[type]) continue;
+
+    const rank = parseInt(body[`source_order_${n}`], 10);
+    rows.push({ ...row, rank: isNaN(rank) ? Infinity : rank });
+  }
+
+  if (rows.length === 0) return { sources: [], error: 'Add at least one PostHog insight.' };
+
+  rows.sort((a, b) => a.rank - b.rank || Number(a.n) - Number(b.n));
+
+  const sources = [];
+  for (const [i, row] of rows.entries()) {
+    const label = rows.length > 1 ? `Insight ${i + 1}: ` : '';
+
+    if (Boolean(row.from) !== Boolean(row.to)) {
+      return { sources: [], error: `${label}Set both a start and an end time, or neither.` };
+    }
+    const activeFrom = row.from ? parseClock(row.from) : null;
+    const activeTo   = row.to ? parseClock(row.to) : null;
+    if (activeFrom === undefined || activeTo === undefined) {
+      return { sources: [], error: `${label}Times must be in HH:MM format.` };
+    }
+    if (activeFrom !== null && activeFrom === activeTo) {
+      return { sources: [], error: `${label}Start and end time must differ.` };
+    }
+
+    const common = {
+      titleOverride: row.title ? row.title.slice(0, 120) : null,
+      activeFrom,
+      activeTo,
+    };
+
+    if (row.type === 'shared') {
+      const urlError = validatePosthogUrl(row.url);
+      if (urlError) return { sources: [], error: label + urlError };
+      sources.push({ ...common, sourceType: 'shared', posthogUrl: row.url });
+      continue;
+    }
+
+    const apiError = validateApiSource(row) || (row.type === 'hogql' ? validateHogQL(row.query) : null);
+    if (apiError) return { sources: [], error: label + apiError };
+
+    const apiHost  = new URL(row.host).origin;
+    const previous = existing[row.n];
+    let apiKeyEnc  = null;
+    if (row.key) {
+      try {
+        apiKeyEnc = encryptSecret(row.key);
+      } catch (err) {
+        log.error('Could not encrypt API key', { error: err.message });
+        return { sources: [], error: `${label}API keys can't be stored on this server right now.` };
+      }
+    } else if (previous && previous.api_key_enc && previous.api_host === apiHost) {
+      apiKeyEnc = previous.api_key_enc;
+    } else {
+      return { sources: [], error: `${label}A personal API key is required.` };
+    }
+
+    if (row.type === 'hogql') {
+      sources.push({
+        ...common,
+        sourceType: 'hogql',
+        // Link to the SQL editor in the PostHog app — shown in settings, not fetched
+        posthogUrl: `${apiHost}/project/${row.project}/sql`,
+        apiHost,
+        projectId:  row.project,
+        hogqlQuery: row.query,
+        apiKeyEnc,
+      });
+      continue;
+    }
+
+    sources.push({
+      ...common,
+      sourceType: 'api',
+      // Link to the insight in the PostHog app — shown in settings, not fetched
+      posthogUrl: `${apiHost}/project/${row.project}/insights/${row.insight}`,
+      apiHost,
+      projectId:  row.project,
+      insightRef: row.insight,
+      apiKeyEnc,
+    });
+  }
+
+  return { sources, error: null };
+}
+
+/**
+ * Validate the fields of a private (API key) source.
+ * Returns null if valid, or an error string if not.
+ */
+function validateApiSource({ type, host, project, insight }) {
+  let url;
+  try {
+    url = new URL(host);
+  } catch {
+    return 'PostHog host is not a valid URL.';
+  }
+  // Plain HTTP and private addresses only in dev mode, for a local server
+  // (e.g. stub-posthog.js); the limiter refuses names that resolve inward
+  const isLocal = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+  if (url.protocol !== 'https:' && !(DEV_MODE && isLocal && url.protocol === 'http:')) {
+    return 'PostHog host must use HTTPS.';
+  }
+  if (!DEV_MODE && isPrivateHost(url.hostname)) {
+    return 'PostHog host must be a public address.';
+  }
+  if (url.hostname.endsWith('posthog.com') && !POSTHOG_CLOUD_HOSTS.has(url.hostname)) {
+    return `Unrecognised PostHog cloud host "${url.hostname}". ` +
+           'Expected us.posthog.com, eu.posthog.com, or app.posthog.com.';
+  }
+  if (!/^\d+$/.test(project)) {
+    return 'Project ID must be a number (Project settings → Project ID).';
+  }
+  if (type === 'api' && !/^[A-Za-z0-9_-]+$/.test(insight)) {
+    return 'Insight ID must be the numeric ID or short ID from the insight URL.';
+  }
+  return null;
+}
+
+const MAX_QUERY_LENGTH = 4000; // characters
+
+/**
+ * Local checks on a HogQL query before PostHog is asked to validate it:
+ * a single read-only SELECT of sensible length.
+ * Returns null if valid, or an error string if not.
+ */
+function validateHogQL(query) {
+  if (!query) return 'Enter a HogQL query.';
+  if (query.length > MAX_QUERY_LENGTH) {
+    return `Query is too long (max ${MAX_QUERY_LENGTH} characters).`;
+  }
+  const statement = query.replace(/;\s*$/, '');
+  if (!/^\s*(select|with)\b/i.test(statement)) {
+    return 'Query must be a SELECT statement.';
+  }
+  if (statement.includes(';')) {
+    return 'Enter a single query (no semicolons between statements).';
+  }
+  return null;
+}
+
+/**
+ * Have PostHog validate each HogQL source's query (syntax, tables, columns)
+ * before it is saved. Returns null if all are valid, or an error string.
+ */
+async function checkQuerySources(sources) {
+  for (const [i, source] of sources.entries()) {
+    if (source.sourceType !== 'hogql') continue;
+    const label = sources.length > 1 ? `Insight ${i + 1}: ` : '';
+    try {
+      const error = await checkHogQLQuery({
+        apiHost:   source.apiHost,
+        projectId: source.projectId,
+        query:     source.hogqlQuery,
+        apiKey:    decryptSecret(source.apiKeyEnc),
+      });
+      if (error) return `${label}Query is not valid: ${error}`;
+    } catch (err) {
+      return `${label}Could not check the query with PostHog: ${err.message}`;
+    }
+  }
+  return null;
+}
+
+// Displays drawn as PostHog draws them; anything else falls back to the
+// chart planView() picks
+const NATIVE_DISPLAYS = new Set([
+  '', 'ActionsLineGraph', 'ActionsBar', 'ActionsStackedBar', 'ActionsUnstackedBar',
+  'ActionsPie', 'ActionsBarValue', 'BoldNumber', 'HogQLTable',
+]);
+
+const VIEW_NAMES = {
+  line: 'a line chart', multiline: 'a line chart', bar: 'a bar chart', pie: 'a pie chart',
+  ranked: 'a ranked list', bignum: 'a big number', funnel: 'a funnel', retention: 'a retention grid',
+  paths: 'a list of paths', table: 'a table',
+};
+
+/**
+ * Fetch and parse each source the way the device will (bypassing the cache)
+ * before it is saved. Returns { error, warnings }: error when a source can't
+ * be shown at all, warnings for sources shown only in part or, for share
+ * links, not checked because PostHog couldn't be reached. A source with an
+ * API key is never saved unchecked: the key must have worked once.
+ */
+async function reviewSources(sources) {
+  const warnings = [];
+  for (const [i, source] of sources.entries()) {
+    const label = sources.length > 1 ? `Insight ${i + 1}: ` : '';
+    let insight;
+    try {
+      insight = await fetchTarget(sourceTarget(sourceRow(source)));
+    } catch (err) {
+      // (EPRIVATE: the host resolves to a private address — not an outage)
+      if ((err.name === 'FetchError' && err.code !== 'EPRIVATE') || err.code === 'BUSY' || err.status >= 500) {
+        log.warn('Settings: could not check insight', { error: err.message, code: err.code });
+        if (source.sourceType !== 'shared') {
+          return {
+            error:    `${label}Could not check the API key: PostHog could not be reached (${err.message}). ` +
+                      'Try saving again in a moment.',
+            warnings: [],
+          };
+        }
+        // An outage shouldn't block saving a link that may well be fine
+        warnings.push(`${label}Not checked: PostHog could not be reached (${err.message}).`);
+        continue;
+      }
+      return { error: label + fetchErrorMessage(err, source), warnings: [] };
+    }
+
+    const review = reviewInsight(insight, source.sourceType);
+    if (review.error) return { error: label + review.error, warnings: [] };
+    warnings.push(...review.warnings.map((w) => label + w));
+  }
+  return { error: null, warnings };
+}
+
+// What to tell the user when PostHog refuses a source (see posthog.posthogError)
+function fetchErrorMessage(err, source) {
+  switch (err.code) {
+    case 'NOT_SHARED':
+      return 'This insight isn\'t shared publicly. In PostHog, open it → Share → turn on sharing, then copy the link.';
+    case 'NOT_FOUND':
+      return source.sourceType === 'shared'
+        ? 'PostHog has no shared insight at this link (404). Check the link; sharing may have been turned off or the link reset.'
+        : `PostHog has no insight ${source.insightRef} in project ${source.projectId} (404).`;
+    case 'UNAUTHORIZED':
+      return err.message;
+    case 'BUSY':
+      return 'Too many requests to PostHog right now. Try again in a moment.';
+    default:
+      return `Could not load insight: ${err.message}`;
+  }
+}
+
+// What the device shows when an insight can't be loaded and nothing is cached
+function screenErrorMessage(err) {
+  return err.code === 'BUSY'
+    ? 'PostHog is busy. This screen will update on the next refresh.'
+    : `Could not load insight: ${err.message}`;
+}
+
+/**
+ * Judge a freshly parsed insight: { error } when the display would have
+ * nothing to show (unsupported kind, empty result), { warnings } when it
+ * shows only part of it. Dashboards are judged by their tiles.
+ */
+function reviewInsight(insight, sourceType) {
+  if (insight.type === 'empty') {
+    return { error: 'This dashboard has no insights with data to show.', warnings: [] };
+  }
+
+  if (Array.isArray(insight.tiles)) {
+    const blank = insight.tiles.filter((t) => reviewInsight(t, sourceType).error);
+    if (blank.length === insight.tiles.length) {
+      return { error: 'None of this dashboard\'s insights can be shown.', warnings: [] };
+    }
+    const names = blank.map((t) => `"${t.title}"`).join(', ');
+    return {
+      error:    null,
+      warnings: blank.length ? [`Dashboard tiles without a supported chart show "No chart data": ${names}.`] : [],
+    };
+  }
+
+  if (insight.kind && !SUPPORTED_KINDS.has(insight.kind)) {
+    const sql = /HogQL|DataVisualization/.test(insight.kind) ? ' For SQL insights, use a HogQL query source.' : '';
+    return {
+      error:    `${insight.kind} insights aren't supported. Use a trends, funnel, retention, paths, lifecycle ` +
+                `or stickiness insight.${sql}`,
+      warnings: [],
+    };
+  }
+
+  const { view } = planView(insight, LAYOUTS.full);
+  if (view === 'empty') {
+    // A query can fairly return nothing yet (e.g. today's errors)
+    if (sourceType === 'hogql') {
+      return { error: null, warnings: ['The query returns no rows right now; the display shows "No chart data" until it does.'] };
+    }
+    return { error: 'The insight returned no data to chart. Check its date range and filters in PostHog.', warnings: [] };
+  }
+
+  const warnings = [];
+  if (!NATIVE_DISPLAYS.has(insight.display)) {
+    warnings.push(`The "${insight.display}" display isn't available, so it shows as ${VIEW_NAMES[view] || 'a chart'}.`);
+  }
+  if (insight.type === 'LIFECYCLE') {
+    warnings.push('Lifecycle insights show each status as a line rather than stacked bars.');
+  }
+  if (insight.type === 'PATHS') {
+    warnings.push('Paths insights show the busiest paths as a list rather than a flow diagram.');
+  }
+  return { error: null, warnings };
+}
+
+/**
+ * What cache.getInsight() needs to load a source: the share URL, or an API
+ * descriptor with the decrypted key.
+ */
+function sourceTarget(source) {
+  if (source.source_type === 'hogql') {
+    return {
+      apiHost:   source.api_host,
+      projectId: source.project_id,
+      query:     source.hogql_query,
+      apiKey:    decryptSecret(source.api_key_enc),
+    };
+  }
+  if (source.source_type === 'api') {
+    return {
+      apiHost:    source.api_host,
+      projectId:  source.project_id,
+      insightRef: source.insight_ref,
+      apiKey:     decryptSecret(source.api_key_enc),
+    };
+  }
+  return source.posthog_url;
+}
+
+// A parsed source (see parseSourceSettings) as the row sourceTarget() reads
+function sourceRow(source) {
+  return {
+    source_type:  source.sourceType,
+    posthog_url:  source.posthogUrl,
+    api_host:     source.apiHost,
+    project_id:   source.projectId,
+    insight_ref:  source.insightRef,
+    hogql_query:  source.hogqlQuery,
+    api_key_enc:  source.apiKeyEnc,
+  };
+}
+
+/**
+ * Read what POST /settings/preview draws from a settings form body: the
+ * source on row preview_source (or the first in order) and the display, goal
+ * and alert settings, validated as POST /settings would.
+ * Returns { preview, error }; preview is { source, prefs, goal, rules }.
+ */
+function parsePreviewSettings(body, pluginSettingId) {
+  const row    = body.preview_source;
+  // Only the chosen row's source fields, so that row is the one parsed
+  const fields = row === undefined ? body : Object.fromEntries(Object.entries(body).filter(([name]) => {
+    const m = name.match(/^source_[a-z]+_(\d+)$/);
+    return !m || m[1] === String(row);
+  }));
+
+  const installation = db.getInstallation(pluginSettingId);
+  const { sources, error } = parseSourceSettings(fields, installationSources(installation));
+  if (error) return { preview: null, error };
+
+  const { prefs, error: displayError } = parseDisplaySettings(body);
+  const { goal, error: goalError } = parseGoalSettings(body);
+  const { rules, error: alertError } = parseAlertSettings(body);
+  if (displayError || goalError || alertError) {
+    return { preview: null, error: displayError || goalError || alertError };
+  }
+
+  return {
+    preview: { source: sources[0], prefs, goal: goal || null, rules, timeZone: installation?.time_zone },
+    error:   null,
+  };
+}
+
+/**
+ * loadScreen() for the preview: the form's title, goal and alerts applied to
+ * a freshly fetched insight. Dashboards show their grid and query results
+ * their first page.
+ */
+function previewInsight(insight, { source, prefs, goal, rules, timeZone }) {
+  const title = source.titleOverride || prefs?.title;
+  if (title) {
+    insight = { ...insight, title, dashboardName: title };
+  }
+
+  const shown = applyDisplayPrefs(insight, prefs);
+  if (goal) {
+    insight = { ...insight, goal: goalView(goal, shown, { timeZone: timeZone || undefined }) };
+  }
+  const alert = evaluateAlerts(rules, shown);
+  if (alert) {
+    insight = { ...insight, alert };
+  }
+  return { ...insight, posthogUrl: source.posthogUrl };
+}
+
+/**
+ * The page shown in the settings preview iframe: the four layouts at
+ * PREVIEW_SCALE, or empty frames with a message (or an error) before the
+ * first preview.
+ */
+function renderPreviewPage(layouts, error = null, warnings = []) {
+  const frames = Object.keys(PREVIEW_LABELS).map((name) => {
+    const { width, height } = LAYOUTS[name];
+    return `
+  <figure>
+    <div class="screen" style="width:${width * PREVIEW_SCALE}px;height:${height * PREVIEW_SCALE}px">
+      <div class="device" style="width:${width}px;height:${height}px">${layouts ? layouts[LAYOUT_FIELDS[name]] : ''}</div>
+    </div>
+    <figcaption>${PREVIEW_LABELS[name]} · ${width}×${height}</figcaption>
+  </figure>`;
+  }).join('');
+
+  const message = error
+    ? `<div class="banner">⚠ ${escAttr(error)}</div>`
+    : layouts ? '' : '<p class="hint">Press Preview to see the form\'s settings on each layout.</p>';
+  const notes   = warnings.map((w) => `<p class="hint">${escAttr(w)}</p>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Preview</title>
+  <style>
+    *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111; }
+    .frames { display: flex; flex-wrap: wrap; gap: 0.5rem 6px; }
+    .screen { position: relative; overflow: hidden; border: 1px solid #111; box-sizing: content-box; background: #fff; }
+    .device { position: absolute; top: 0; left: 0; transform: scale(${PREVIEW_SCALE}); transform-origin: 0 0; background: #fff; color: #000; }
+    figcaption { font-size: 0.7rem; color: #888; margin-top: 0.2rem; }
+    .hint { font-size: 0.75rem; color: #888; margin-bottom: 0.5rem; }
+    .banner { margin-bottom: 0.5rem; padding: 0.5rem 0.625rem; border-radius: 6px; font-size: 0.8rem; line-height: 1.5;
+              background: #fef2f2; border: 1px solid #fecaca; color: #991b1b; }
+  </style>
+</head>
+<body>
+  ${message}${notes}
+  <div class="frames">${frames}
+  </div>
+</body>
+</html>`;
+}
+
+// "HH:MM" → minutes after midnight, or undefined if malformed
+function parseClock(str) {
+  const m = String(str).match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : undefined;
+}
+
+// Minutes after midnight → "HH:MM" (empty for NULL)
+function formatClock(minutes) {
+  if (minutes == null) return '';
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Settings rows for each source plus one blank row for adding another.
+ * Plain form fields so the page works without JavaScript: the type select
+ * decides whether the share link, the private-insight or the query fields
+ * are used.
+ */
+function renderSourceSettings(sources) {
+  const rows = [...sources, null];
+  const only = sources.length <= 1;
+
+  return rows.map((s, i) => {
+    const isNew = s === null;
+    const type  = isNew ? 'shared' : s.source_type || 'shared';
+    const isApi = type !== 'shared';
+    const val   = (col) => escAttr(isNew ? '' : s[col]);
+    const head  = isNew
+      ? `<strong>${sources.length ? 'Add another insight' : 'PostHog insight'}</strong>`
+      : `<strong>Insight ${i + 1}</strong>
+          <label>Order <input type="number" min="1" name="source_order_${i}" value="${i + 1}"></label>
+          ${only ? '' : `<label><input type="checkbox" name="source_remove_${i}" value="1"> Remove</label>`}`;
+
+    return `
+      <div class="source">
+        <div class="source-head">
+          ${head}
+          <select name="source_type_${i}" aria-label="Source type">
+            <option value="shared" ${type === 'shared' ? 'selected' : ''}>Public share link</option>
+            <option value="api" ${type === 'api' ? 'selected' : ''}>Private (API key)</option>
+            <option value="hogql" ${type === 'hogql' ? 'selected' : ''}>HogQL query (API key)</option>
+          </select>
+        </div>
+        <input
+          type="url"
+          id="source_url_${i}"
+          name="source_url_${i}"
+          aria-label="PostHog shared insight URL"
+          placeholder="https://us.posthog.com/shared/AbCdEf123"
+          value="${isApi ? '' : val('posthog_url')}"
+          autocomplete="off"
+        >
+        <details ${isApi ? 'open' : ''}>
+          <summary>Private insight / HogQL query settings</summary>
+          <div class="source-row">
+            <div>
+              <label for="source_host_${i}">PostHog host</label>
+              <input type="text" id="source_host_${i}" name="source_host_${i}"
+                     value="${isApi ? val('api_host') : 'https://us.posthog.com'}">
+            </div>
+          </div>
+          <div class="source-row">
+            <div>
+              <label for="source_project_${i}">Project ID</label>
+              <input type="text" id="source_project_${i}" name="source_project_${i}"
+                     inputmode="numeric" value="${val('project_id')}">
+            </div>
+            <div>
+              <label for="source_insight_${i}">Insight ID or short ID (private insight)</label>
+              <input type="text" id="source_insight_${i}" name="source_insight_${i}"
+                     value="${val('insight_ref')}">
+            </div>
+          </div>
+          <div class="source-row">
+            <div>
+              <label for="source_key_${i}">Personal API key (insight:read / query:read)</label>
+              <input type="password" id="source_key_${i}" name="source_key_${i}" autocomplete="off"
+                     placeholder="${isApi ? 'Saved — leave blank to keep' : 'phx_…'}">
+            </div>
+          </div>
+          <div class="source-row">
+            <div>
+              <label for="source_query_${i}">HogQL query</label>
+              <textarea id="source_query_${i}" name="source_query_${i}" rows="5" spellcheck="false"
+                        maxlength="${MAX_QUERY_LENGTH}"
+                        placeholder="SELECT properties.$browser, count() FROM events GROUP BY 1 ORDER BY 2 DESC LIMIT 10"
+                        >${val('hogql_query')}</textarea>
+            </div>
+          </div>
+        </details>
+        <div class="source-row">
+          <div>
+            <label for="source_title_${i}">Title override</label>
+            <input type="text" id="source_title_${i}" name="source_title_${i}" maxlength="120"
+                   placeholder="Use the insight's name" value="${val('title_override')}">
+          </div>
+          <div class="time">
+            <label for="source_from_${i}">Show from</label>
+            <input type="time" id="source_from_${i}" name="source_from_${i}"
+                   value="${isNew ? '' : formatClock(s.active_from)}">
+          </div>
+          <div class="time">
+            <label for="source_to_${i}">until</label>
+            <input type="time" id="source_to_${i}" name="source_to_${i}"
+                   value="${isNew ? '' : formatClock(s.active_to)}">
+          </div>
+        </div>
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Order and filter dashboard tiles for rotation using the saved settings.
+ * Tiles added to the dashboard since the settings were saved go last.
+ */
+function rotationTiles(tiles, rotation) {
+  const order    = JSON.parse(rotation.tile_order || '[]');
+  const excluded = new Set(JSON.parse(rotation.excluded_tiles || '[]'));
+  const rank     = (t) => {
+    const i = order.indexOf(t.key);
+    return i === -1 ? order.length : i;
+  };
+  return tiles
+    .map((t, i) => ({ t, i }))
+    .filter(({ t }) => !excluded.has(t.key))
+    .sort((a, b) => rank(a.t) - rank(b.t) || a.i - b.i)
+    .map(({ t }) => t);
+}
+
+/**
+ * Read the tile rotation fields from a POST /settings body.
+ * Fields are flat (tile_order_<key>, tile_include_<key>) because the body
+ * parser would turn numeric bracket keys into arrays.
+ * Returns { enabled, order, excluded } or null when the form had no tiles.
+ */
+function parseTileSettings(body) {
+  const entries = Object.keys(body)
+    .map((name, i) => {
+      const m = name.match(/^tile_order_(.+)$/);
+      if (!m) return null;
+      const n = parseInt(body[name], 10);
+      return { key: m[1], rank: isNaN(n) ? Infinity : n, i };
+    })
+    .filter(Boolean);
+
+  if (entries.length === 0) return null;
+
+  const order = entries
+    .sort((a, b) => a.rank - b.rank || a.i - b.i)
+    .map((e) => e.key);
+
+  return {
+    enabled:  body.rotate_tiles === '1',
+    order,
+    excluded: order.filter((key) => body[`tile_include_${key}`] !== '1'),
+  };
+}
+
+function renderTileSettings(tiles, rotation) {
+  const enabled = rotation && rotation.enabled;
+  const ordered = rotation ? rotationTiles(tiles, { ...rotation, excluded_tiles: '[]' }) : tiles;
+  const skipped = new Set(rotation ? JSON.parse(rotation.excluded_tiles || '[]') : []);
+
+  const rows = ordered.map((t, i) => `
+          <tr>
+            <td><input type="number" min="1" name="tile_order_${escAttr(t.key)}" value="${i + 1}"
+                       aria-label="Position of ${escAttr(t.title)}"></td>
+            <td><input type="checkbox" name="tile_include_${escAttr(t.key)}" value="1"
+                       ${skipped.has(t.key) ? '' : 'checked'} aria-label="Include ${escAttr(t.title)}"></td>
+            <td>${escAttr(t.title)}</td>
+          </tr>`).join('');
+
+  return `
+      <fieldset class="tiles">
+        <legend>Dashboard tiles</legend>
+        <label class="check">
+          <input type="checkbox" name="rotate_tiles" value="1" ${enabled ? 'checked' : ''}>
+          Show one tile per refresh instead of the grid
+        </label>
+        <p class="hint">
+          Set the order tiles rotate in, and untick any you want to skip.
+        </p>
+        <table class="tile-list">
+          <tr><th>Order</th><th>Show</th><th>Tile</th></tr>${rows}
+        </table>
+      </fieldset>`;
+}
+
+/**
+ * Read display preferences from a POST /settings body (display_title,
+ * display_chart, display_series, display_numbers, display_decimals,
+ * display_hide_meta). Returns { prefs, error }; prefs is null when the
+ * form had no display fields.
+ */
+function parseDisplaySettings(body) {
+  if (body.display_chart === undefined) return { prefs: null, error: null };
+
+  const title = String(body.display_title || '').trim();
+  if (title.length > MAX_TITLE_LENGTH) {
+    return { prefs: null, error: `Title must be at most ${MAX_TITLE_LENGTH} characters.` };
+  }
+  if (!Object.hasOwn(CHART_TYPES, body.display_chart)) {
+    return { prefs: null, error: 'Unknown chart type.' };
+  }
+
+  // Checkboxes for known series, or a comma-separated list
+  const picked = [].concat(body.display_series ?? [])
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+  const series = [...new Set(picked)];
+  if (series.length > MAX_SERIES_CHOICES) {
+    return { prefs: null, error: `Choose at most ${MAX_SERIES_CHOICES} series.` };
+  }
+  if (series.some((name) => name.length > 200)) {
+    return { prefs: null, error: 'Series names must be at most 200 characters.' };
+  }
+
+  if (!Object.hasOwn(NUMBER_FORMATS, body.display_numbers)) {
+    return { prefs: null, error: 'Unknown number format.' };
+  }
+  const rawDecimals = String(body.display_decimals ?? '').trim();
+  const decimals    = rawDecimals === '' ? null : Number(rawDecimals);
+  if (decimals !== null && !(Number.isInteger(decimals) && decimals >= 0 && decimals <= MAX_DECIMALS)) {
+    return { prefs: null, error: `Decimal places must be a whole number from 0 to ${MAX_DECIMALS}.` };
+  }
+
+  return {
+    prefs: {
+      title,
+      chartType:    body.display_chart,
+      series,
+      numberFormat: body.display_numbers,
+      decimals,
+      hideMeta:     body.display_hide_meta === '1',
+    },
+    error: null,
+  };
+}
+
+/**
+ * Display options for the settings form. knownSeries are the series names
+ * of the configured insights, offered as checkboxes; saved names that no
+ * insight has right now are kept in the free-text field.
+ */
+function renderDisplaySettings(prefs, knownSeries = []) {
+  const p = prefs || { title: '', chartType: 'auto', series: [], numberFormat: 'compact', decimals: null, hideMeta: false };
+  const options = (table, selected) => Object.entries(table)
+    .map(([key, label]) =>
+      `<option value="${escAttr(key)}" ${key === selected ? 'selected' : ''}>${escAttr(label)}</option>`)
+    .join('');
+  const decimals = [['', 'Automatic'], ...Array.from({ length: MAX_DECIMALS + 1 }, (_, i) => [String(i), String(i)])]
+    .map(([value, label]) =>
+      `<option value="${value}" ${String(p.decimals ?? '') === value ? 'selected' : ''}>${label}</option>`)
+    .join('');
+
+  const known   = new Set(knownSeries.map((n) => n.toLowerCase()));
+  const chosen  = new Set(p.series.map((n) => n.toLowerCase()));
+  const others  = p.series.filter((n) => !known.has(n.toLowerCase()));
+  const checks  = knownSeries.map((name) => `
+        <label class="check">
+          <input type="checkbox" name="display_series" value="${escAttr(name)}" ${chosen.has(name.toLowerCase()) ? 'checked' : ''}>
+          ${escAttr(name)}
+        </label>`).join('');
+
+  return `
+      <fieldset class="display">
+        <legend>Display</legend>
+        <label for="display_title">Title</label>
+        <input type="text" id="display_title" name="display_title" maxlength="${MAX_TITLE_LENGTH}"
+               value="${escAttr(p.title)}" placeholder="Use the insight's name">
+        <div class="display-row">
+          <label>Chart <select name="display_chart">${options(CHART_TYPES, p.chartType)}</select></label>
+          <label>Numbers <select name="display_numbers">${options(NUMBER_FORMATS, p.numberFormat)}</select></label>
+          <label>Decimals <select name="display_decimals">${decimals}</select></label>
+        </div>
+        <label for="display_series_other">Series to show</label>${checks}
+        <input type="text" id="display_series_other" name="display_series" value="${escAttr(others.join(', '))}"
+               placeholder="${knownSeries.length ? 'Other series names, comma-separated' : 'Series names, comma-separated (blank shows all)'}">
+        <label class="check">
+          <input type="checkbox" name="display_hide_meta" value="1" ${p.hideMeta ? 'checked' : ''}>
+          Hide the type and date range line above the title
+        </label>
+        <p class="hint">
+          A title set on an individual insight above takes precedence. Line and bar apply to
+          charts over time; other insights keep their own chart. The first chosen series
+          becomes the headline number.
+        </p>
+      </fieldset>`;
+}
+
+/**
+ * Read the goal from a POST /settings body (goal_value, goal_period,
+ * goal_display). Returns { goal, error }: goal is null when the value is
+ * blank (clears it), or undefined when the form had no goal fields.
+ */
+function parseGoalSettings(body) {
+  if (body.goal_value === undefined) return { goal: undefined, error: null };
+
+  const raw = String(body.goal_value).trim();
+  if (!raw) return { goal: null, error: null };
+
+  const value = Number(raw);
+  if (!isFinite(value) || value <= 0) {
+    return { goal: null, error: 'Goal must be a positive number.' };
+  }
+  if (!Object.hasOwn(GOAL_PERIODS, body.goal_period)) {
+    return { goal: null, error: 'Choose a goal period.' };
+  }
+  const display = body.goal_display === 'progress' ? 'progress' : 'line';
+  return { goal: { value, period: body.goal_period, display }, error: null };
+}
+
+function renderGoalSettings(goal) {
+  const periods = Object.entries(GOAL_PERIODS)
+    .map(([key, label]) =>
+      `<option value="${key}" ${(goal ? goal.period : 'month') === key ? 'selected' : ''}>per ${label.toLowerCase()}</option>`)
+    .join('');
+  const progress = goal && goal.display === 'progress';
+
+  return `
+      <fieldset class="goal">
+        <legend>Goal</legend>
+        <div class="goal-row">
+          <input type="number" step="any" min="0" name="goal_value" aria-label="Goal value"
+                 value="${goal ? escAttr(String(goal.value)) : ''}" placeholder="10000">
+          <select name="goal_period" aria-label="Goal period">${periods}</select>
+        </div>
+        <label class="check">
+          <input type="radio" name="goal_display" value="line" ${progress ? '' : 'checked'}>
+          Goal line on the chart
+        </label>
+        <label class="check">
+          <input type="radio" name="goal_display" value="progress" ${progress ? 'checked' : ''}>
+          Progress bar: total so far this period, % complete and the pace still needed
+        </label>
+        <p class="hint">
+          On a chart, the goal is split across its interval — 10,000 a month on a daily chart
+          is a line at about 323 a day. Leave the value empty for no goal.
+        </p>
+      </fieldset>`;
+}
+
+/**
+ * Read quiet hours from a POST /settings body: quiet_from and quiet_to
+ * (HH:MM, may wrap midnight) and quiet_time_zone (IANA). Both times empty
+ * clears them. Returns { quiet, error } — quiet is undefined when the form
+ * had no quiet hours fields.
+ */
+function parseQuietSettings(body) {
+  if (body.quiet_from === undefined) return { quiet: undefined, error: null };
+
+  const from = String(body.quiet_from || '').trim();
+  const to   = String(body.quiet_to || '').trim();
+  if (!from && !to) return { quiet: null, error: null };
+  if (!from || !to) return { quiet: null, error: 'Set both a start and an end for quiet hours, or neither.' };
+
+  const start = parseClock(from);
+  const end   = parseClock(to);
+  if (start === undefined || end === undefined) {
+    return { quiet: null, error: 'Quiet hours must be in HH:MM format.' };
+  }
+  if (start === end) return { quiet: null, error: 'Quiet hours must start and end at different times.' };
+
+  const timeZone = String(body.quiet_time_zone || '');
+  if (!isTimeZone(timeZone)) return { quiet: null, error: 'Choose a time zone for quiet hours.' };
+  return { quiet: { start, end, timeZone }, error: null };
+}
+
+// defaultZone: the zone TRMNL last reported for the user, offered when none is saved
+function renderQuietSettings(quiet, defaultZone) {
+  const selected = quiet ? quiet.timeZone : defaultZone || 'UTC';
+  const zones    = [...new Set(['UTC', selected, ...Intl.supportedValuesOf('timeZone')])];
+  const options  = zones
+    .map((zone) => `<option value="${escAttr(zone)}" ${zone === selected ? 'selected' : ''}>${escAttr(zone)}</option>`)
+    .join('');
+
+  return `
+      <fieldset class="quiet">
+        <legend>Quiet hours</legend>
+        <div class="quiet-row">
+          <input type="time" name="quiet_from" aria-label="Quiet from" value="${quiet ? formatClock(quiet.start) : ''}">
+          to
+          <input type="time" name="quiet_to" aria-label="Quiet until" value="${quiet ? formatClock(quiet.end) : ''}">
+          <select name="quiet_time_zone" aria-label="Time zone">${options}</select>
+        </div>
+        <p class="hint">
+          The display refreshes at most every few hours between these times (alerts included) and
+          catches up when they end, e.g. 20:00 to 07:00 overnight. Leave both empty for none.
+        </p>
+      </fieldset>`;
+}
+
+/**
+ * Read alert rules from a POST /settings body: alert_metric_<n>,
+ * alert_op_<n>, alert_value_<n> and alert_remove_<n> per rendered row.
+ * Rows without a value are skipped. Returns { rules, error }.
+ */
+function parseAlertSettings(body) {
+  const rules = [];
+  for (const name of Object.keys(body)) {
+    const m = name.match(/^alert_metric_(\d+)$/);
+    if (!m) continue;
+    const n   = m[1];
+    const raw = String(body[`alert_value_${n}`] || '').trim();
+    if (!raw || body[`alert_remove_${n}`] === '1') continue;
+
+    const label    = `Alert ${rules.length + 1}: `;
+    const metric   = body[name];
+    const operator = body[`alert_op_${n}`];
+    const value    = Number(raw);
+    if (!Object.hasOwn(METRICS, metric))     return { rules: [], error: `${label}Unknown metric.` };
+    if (!Object.hasOwn(OPERATORS, operator)) return { rules: [], error: `${label}Unknown comparison.` };
+    if (!isFinite(value))                    return { rules: [], error: `${label}Threshold must be a number.` };
+
+    rules.push({ n: Number(n), metric, operator, value });
+  }
+
+  if (rules.length > MAX_ALERT_RULES) {
+    return { rules: [], error: `Set at most ${MAX_ALERT_RULES} alert rules.` };
+  }
+  rules.sort((a, b) => a.n - b.n);
+  return { rules: rules.map(({ metric, operator, value }) => ({ metric, operator, value })), error: null };
+}
+
+/**
+ * Alert rule rows (saved rules plus one blank row) for the settings form.
+ */
+function renderAlertSettings(rules) {
+  const rows = rules.length < MAX_ALERT_RULES ? [...rules, null] : rules;
+
+  const options = (table, selected) => Object.entries(table)
+    .map(([key, { label }]) =>
+      `<option value="${escAttr(key)}" ${key === selected ? 'selected' : ''}>${escAttr(label)}</option>`)
+    .join('');
+
+  const rowsHtml = rows.map((r, i) => `
+        <div class="alert-row">
+          <select name="alert_metric_${i}" aria-label="Metric">${options(METRICS, r ? r.metric : 'headline')}</select>
+          <select name="alert_op_${i}" aria-label="Comparison">${options(OPERATORS, r ? r.operator : '>')}</select>
+          <input type="number" step="any" name="alert_value_${i}" aria-label="Threshold"
+                 value="${r ? escAttr(String(r.value)) : ''}" placeholder="500">
+          ${r ? `<label><input type="checkbox" name="alert_remove_${i}" value="1"> Remove</label>` : ''}
+        </div>`).join('');
+
+  return `
+      <fieldset class="alerts">
+        <legend>Alerts</legend>
+        <p class="hint">
+          When a rule matches, the display switches to a black alert screen and refreshes every
+          ${ALERT_REFRESH_RATE / 60} minutes until the metric recovers. Percentages (e.g. funnel
+          conversion) compare as plain numbers: 20 means 20%.
+        </p>${rowsHtml}
+      </fieldset>`;
+}
+
+// Back to the settings form, keeping its settings token
+function settingsUrl(auth, params = {}, returnTo = null) {
+  const query = new URLSearchParams({ plugin_setting_id: auth.pluginSettingId, token: auth.token, ...params });
+  if (returnTo) query.set('return_to', returnTo);
+  return `/settings?${query}`;
+}
+
+// An absolute http(s) URL to send the user back to, or null
+function returnUrl(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+  try {
+    const url = new URL(raw);
+    return ['https:', 'http:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Admin console
+// ---------------------------------------------------------------------------
+
+// Installations with no poll for this long are flagged as likely abandoned
+const ADMIN_IDLE_DAYS = 7;
+
+// Unix seconds before which a poll (or, never polled, the install) is idle
+function idleSince() {
+  return Math.floor(Date.now() / 1000) - ADMIN_IDLE_DAYS * 86400;
+}
+
+// No poll for ADMIN_IDLE_DAYS: flagged, but only deleted one by one
+function isIdle(installation) {
+  return (installation.last_polled_at || installation.created_at) < idleSince();
+}
+
+// Matches db.listNeverPolledInstallations(): offered for bulk deletion
+function isNeverPolled(installation) {
+  return !installation.last_polled_at && installation.created_at < idleSince();
+}
+
+function adminUrl(params) {
+  return `/admin?${new URLSearchParams(params)}`;
+}
+
+/**
+ * What the console shows for one installation:
+ *   { installation, sources: [{ label, cacheKey, fetchedAt, error, errorAt, type }] }
+ * where fetchedAt / error / type come from the source's insight cache row.
+ */
+function adminRow(installation) {
+  const sources = installationSources(installation).map((source) => {
+    const item = { label: adminSourceLabel(source), cacheKey: null, fetchedAt: null, error: null, errorAt: null, type: null };
+    try {
+      item.cacheKey = cacheKey(sourceTarget(source));
+    } catch (err) {
+      return { ...item, error: err.message };
+    }
+
+    const cached = db.getCachedInsight(item.cacheKey);
+    if (!cached) return item;
+    let insight = null;
+    try {
+      insight = cached.insight_json ? JSON.parse(cached.insight_json) : null;
+    } catch {
+      // shown without a type
+    }
+    return {
+      ...item,
+      fetchedAt: cached.fetched_at,
+      error:     cached.last_error,
+      errorAt:   cached.last_error_at,
+      type:      insight && adminInsightType(insight),
+    };
+  });
+  return { installation, sources };
+}
+
+function adminSourceLabel(source) {
+  if (source.source_type === 'api') {
+    return `Private insight ${source.insight_ref} · project ${source.project_id} · ${source.api_host}`;
+  }
+  if (source.source_type === 'hogql') {
+    return `HogQL query · project ${source.project_id} · ${source.api_host}`;
+  }
+  return source.posthog_url;
+}
+
+// e.g. "TRENDS · ActionsLineGraph (TrendsQuery)", or "Dashboard · 4 tiles"
+function adminInsightType(insight) {
+  if (Array.isArray(insight.tiles)) return `Dashboard · ${insight.tiles.length} tiles`;
+  const label = [insight.type, insight.display].filter(Boolean).join(' · ');
+  return insight.kind && insight.kind !== insight.type ? `${label} (${insight.kind})` : label;
+}
+
+// Unix seconds → "2026-10-19 14:05 UTC" (empty for NULL)
+function formatAdminTime(seconds) {
+  if (!seconds) return '';
+  return `${new Date(seconds * 1000).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function renderAdminPage(rows, { notice, error } = {}) {
+  const formToken = adminFormToken();
+  const button    = (action, label, confirm = null) => `
+          <form method="POST" action="${escAttr(action)}"${confirm ? ` onsubmit="return confirm(${escAttr(JSON.stringify(confirm))})"` : ''}>
+            <input type="hidden" name="form_token" value="${escAttr(formToken)}">
+            <button type="submit">${label}</button>
+          </form>`;
+
+  const body = rows.map(({ installation: i, sources }) => {
+    const id   = encodeURIComponent(i.plugin_setting_id);
+    const idle = isIdle(i);
+    const poll = i.last_polled_at
+      ? `Last poll ${formatAdminTime(i.last_polled_at)}${i.refresh_rate ? `, next in ${i.refresh_rate}s` : ''}`
+      : 'Never polled';
+    const cells = sources.length
+      ? sources.map((s) => `
+          <div class="src">
+            <div class="url">${escAttr(s.label)}</div>
+            <div>${s.type ? escAttr(s.type) : '<span class="muted">no data yet</span>'}</div>
+            <div class="muted">${s.fetchedAt ? `Fetched ${formatAdminTime(s.fetchedAt)}` : 'Never fetched'}</div>
+            ${s.error ? `<div class="err">${escAttr(s.error)}${s.errorAt ? ` · ${formatAdminTime(s.errorAt)}` : ''}</div>` : ''}
+          </div>`).join('')
+      : '<span class="muted">No insight configured</span>';
+
+    return `
+      <tr${idle ? ' class="idle"' : ''}>
+        <td>
+          <strong>${escAttr(i.plugin_setting_id)}</strong>
+          <div class="muted">Installed ${formatAdminTime(i.created_at)}</div>
+          <div class="muted">${poll}</div>
+          ${i.error_streak ? `<div class="err">${i.error_streak} failed poll(s) in a row</div>` : ''}
+          ${idle ? `<div class="err">${i.last_polled_at
+            ? `No poll for over ${ADMIN_IDLE_DAYS} days — offline or uninstalled`
+            : `Never polled in ${ADMIN_IDLE_DAYS} days — likely uninstalled`}</div>` : ''}
+        </td>
+        <td>${cells}</td>
+        <td class="actions">
+          ${button(`/admin/installations/${id}/refresh`, 'Refresh')}
+          <a href="/admin/installations/${id}/preview">Preview</a>
+          ${button(`/admin/installations/${id}/delete`, 'Delete',
+            `Delete installation ${i.plugin_setting_id} and all its settings?`)}
+        </td>
+      </tr>`;
+  }).join('');
+
+  // The bulk delete posts back exactly the ids listed here
+  const neverPolled = rows.map(({ installation }) => installation).filter(isNeverPolled);
+  const neverNote   = neverPolled.length
+    ? `<p>${neverPolled.length} installation(s) were set up over ${ADMIN_IDLE_DAYS} days ago and have never polled. TRMNL
+        can uninstall without the server being able to tell which installation it was, so these are likely gone:</p>
+        <ul>${neverPolled.map((i) => `<li>${escAttr(i.plugin_setting_id)}</li>`).join('')}</ul>
+        <form method="POST" action="/admin/never-polled/delete" onsubmit="return confirm(${escAttr(JSON.stringify(
+          `Delete these ${neverPolled.length} installation(s) and all their settings?`))})">
+          <input type="hidden" name="form_token" value="${escAttr(formToken)}">
+          ${neverPolled.map((i) => `<input type="hidden" name="plugin_setting_ids[]" value="${escAttr(i.plugin_setting_id)}">`).join('')}
+          <button type="submit">Delete these installations</button>
+        </form>`
+    : `<p class="muted">No installation set up over ${ADMIN_IDLE_DAYS} days ago is still waiting for its first poll.</p>`;
+  const offline = rows.filter(({ installation }) => isIdle(installation) && installation.last_polled_at).length;
+  const offlineNote = offline
+    ? `<p class="muted">${offline} installation(s) polled before but not in the last ${ADMIN_IDLE_DAYS} days. Their
+        devices may just be offline, so they are not deleted in bulk; use Delete on a row to remove one.</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Admin · TRMNL PostHog</title>
+  <style>
+    *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #111; padding: 1.5rem; font-size: 0.85rem; }
+    h1 { font-size: 1.25rem; margin-bottom: 1rem; }
+    h2 { font-size: 1rem; margin: 1.5rem 0 0.5rem; }
+    table { width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #ddd; }
+    th, td { text-align: left; vertical-align: top; padding: 0.5rem 0.75rem; border-bottom: 1px solid #eee; }
+    th { font-size: 0.75rem; color: #666; font-weight: 600; }
+    tr.idle { background: #fffbeb; }
+    ul { margin: 0.5rem 0 0.75rem 1.25rem; font-family: monospace; }
+    .src + .src { margin-top: 0.5rem; padding-top: 0.5rem; border-top: 1px dashed #eee; }
+    .url { word-break: break-all; font-family: monospace; font-size: 0.8rem; }
+    .muted { color: #888; }
+    .err { color: #991b1b; }
+    .actions { white-space: nowrap; }
+    .actions form, .actions a { display: inline-block; margin-right: 0.5rem; }
+    button { padding: 0.3rem 0.6rem; background: #111; color: #fff; border: none; border-radius: 4px; font-size: 0.8rem; cursor: pointer; }
+    a { color: #1d4ed8; }
+    .banner { margin-bottom: 1rem; padding: 0.5rem 0.75rem; border-radius: 6px; }
+    .banner--success { background: #f0fdf4; border: 1px solid #bbf7d0; color: #166534; }
+    .banner--error { background: #fef2f2; border: 1px solid #fecaca; color: #991b1b; }
+  </style>
+</head>
+<body>
+  <h1>Installations (${rows.length})</h1>
+  ${notice ? `<div class="banner banner--success">✓ ${escAttr(notice)}</div>` : ''}
+  ${error ? `<div class="banner banner--error">⚠ ${escAttr(error)}</div>` : ''}
+  <table>
+    <thead><tr><th>Installation</th><th>Insights · type · last fetch · last error</th><th></th></tr></thead>
+    <tbody>${body || '<tr><td colspan="3" class="muted">No installations yet.</td></tr>'}
+    </tbody>
+  </table>
+  <h2>Never-polled installations</h2>
+  ${neverNote}
+  ${offlineNote}
+</body>
+</html>`;
+}
+
+// previewPage: renderPreviewPage() output for the chosen source
+function renderAdminPreview(installation, sources, index, previewPage) {
+  const id   = encodeURIComponent(installation.plugin_setting_id);
+  const tabs = sources.length > 1
+    ? `<p>${sources.map((s, i) => i === index
+      ? `<strong>Insight ${i + 1}</strong>`
+      : `<a href="/admin/installations/${id}/preview?source=${i}">Insight ${i + 1}</a>`).join(' · ')}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Preview ${escAttr(installation.plugin_setting_id)} · Admin</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111; padding: 1.5rem; font-size: 0.85rem; }
+    h1 { font-size: 1.1rem; margin-bottom: 0.5rem; }
+    p { margin-bottom: 0.5rem; }
+    a { color: #1d4ed8; }
+    .muted { color: #888; }
+    iframe { width: 100%; height: 700px; border: none; }
+  </style>
+</head>
+<body>
+  <p><a href="/admin">← Installations</a></p>
+  <h1>${escAttr(installation.plugin_setting_id)}</h1>
+  ${sources[index] ? `<p class="muted">${escAttr(adminSourceLabel(sources[index]))}</p>` : ''}
+  ${tabs}
+  <iframe title="Preview" srcdoc="${escAttr(previewPage)}"></iframe>
+</body>
+</html>`;
+}
+
 function escAttr(str) {
   return String(str || '')
     .replace(/&/g, '&amp;')
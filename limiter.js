@@ -0,0 +1,215 @@
+/**
+ * Concurrency and rate limits for outbound PostHog requests.
+ *
+ * Every request to PostHog goes through limitedFetch(), which holds it until
+ *   - fewer than POSTHOG_MAX_CONCURRENT requests are running overall, and
+ *     fewer than POSTHOG_MAX_PER_HOST against its host;
+ *   - fewer than POSTHOG_RATE_PER_MINUTE requests started overall in the
+ *     last minute, and fewer than POSTHOG_HOST_RATE_PER_MINUTE against its
+ *     host;
+ *   - the host isn't cooling down after answering 429 (Retry-After).
+ *
+ * Requests only connect to public addresses (see network.js), redirects
+ * included: they are followed here, each Location checked first, at most
+ * MAX_REDIRECTS deep.
+ *
+ * Requests wait in a queue, first come first served per host. When the
+ * queue is full, or a request has waited POSTHOG_MAX_QUEUE_WAIT seconds,
+ * it is shed: rejected with an Error whose code is 'BUSY' (same shape as
+ * posthog.posthogError), which callers show as "PostHog is busy" rather
+ * than as a broken insight.
+ */
+
+const fetch = require('node-fetch');
+const { log } = require('./log');
+const { refusePrivate, agentFor } = require('./network');
+const { upstreamResponses, requestsShed, hostLabel } = require('./metrics');
+
+const MAX_CONCURRENT = envNumber('POSTHOG_MAX_CONCURRENT', 8);
+const MAX_PER_HOST   = envNumber('POSTHOG_MAX_PER_HOST', 4);
+const RATE           = envNumber('POSTHOG_RATE_PER_MINUTE', 240);
+const HOST_RATE      = envNumber('POSTHOG_HOST_RATE_PER_MINUTE', 120);
+const MAX_QUEUE_WAIT = envNumber('POSTHOG_MAX_QUEUE_WAIT', 15); // seconds
+const MAX_QUEUED     = 200;
+const WINDOW_MS      = 60 * 1000;
+const DEFAULT_RETRY  = 30; // seconds to back off after a 429 without Retry-After
+const MAX_REDIRECTS  = 5;
+const REDIRECTS      = new Set([301, 302, 303, 307, 308]);
+
+const queue  = [];        // [{ host, resolve, reject, timer }]
+const hosts  = new Map(); // host → { active, starts, pausedUntil }
+const starts = [];        // start times of all requests in the last minute
+let active   = 0;
+let wakeup   = null;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return n > 0 ? n : fallback;
+}
+
+function busyError(message) {
+  const err  = new Error(message);
+  err.code   = 'BUSY';
+  err.status = null;
+  return err;
+}
+
+function hostState(host) {
+  if (!hosts.has(host)) hosts.set(host, { active: 0, starts: [], pausedUntil: 0 });
+  return hosts.get(host);
+}
+
+function prune(times, now) {
+  while (times.length && times[0] <= now - WINDOW_MS) times.shift();
+}
+
+/**
+ * fetch() under the limits. The body is read before the slot is released,
+ * so a slow download still counts as a running request; the returned
+ * Response can be read as usual.
+ */
+async function limitedFetch(url, options) {
+  refusePrivate(url);
+  const host = new URL(url).host;
+  try {
+    await acquire(host);
+  } catch (err) {
+    requestsShed.inc({ host: hostLabel(host) });
+    throw err;
+  }
+  try {
+    const res  = await followRedirects(url, options);
+    const body = await res.buffer();
+    upstreamResponses.inc({ host: hostLabel(host), status: res.status });
+    if (res.status === 429) pauseHost(host, res.headers.get('retry-after'));
+    return new fetch.Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+  } catch (err) {
+    if (err.name === 'FetchError') upstreamResponses.inc({ host: hostLabel(host), status: 'error' });
+    throw err;
+  } finally {
+    release(host);
+  }
+}
+
+// fetch() one hop at a time, so every Location passes refusePrivate() before
+// it is requested. Like fetch's own redirects: 303 (and 301/302 after a
+// POST) turn into a GET without a body, and credentials stay on their host.
+async function followRedirects(url, options = {}) {
+  let current = url;
+  let request = options;
+  for (let hop = 0; ; hop++) {
+    const res = await fetch(current, { ...request, redirect: 'manual', agent: agentFor });
+    const location = REDIRECTS.has(res.status) && res.headers.get('location');
+    if (!location) return res;
+    if (hop >= MAX_REDIRECTS) throw new fetch.FetchError(`maximum redirect reached at: ${current}`, 'max-redirect');
+
+    const next = new URL(location, current);
+    refusePrivate(next.href);
+    const method = (request.method || 'GET').toUpperCase();
+    if (res.status === 303 || (method === 'POST' && res.status !== 307 && res.status !== 308)) {
+      request = { ...request, method: 'GET', body: undefined };
+    }
+    if (next.host !== new URL(current).host) {
+      const headers = new fetch.Headers(request.headers);
+      headers.delete('authorization');
+      headers.delete('cookie');
+      request = { ...request, headers };
+    }
+    current = next.href;
+  }
+}
+
+function acquire(host) {
+  if (queue.length >= MAX_QUEUED) {
+    return Promise.reject(busyError('Too many PostHog requests queued; request shed'));
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = { host, resolve, reject, timer: null };
+    waiter.timer = setTimeout(() => {
+      queue.splice(queue.indexOf(waiter), 1);
+      reject(busyError(`Waited ${MAX_QUEUE_WAIT}s for a PostHog request slot (${host}); request shed`));
+    }, MAX_QUEUE_WAIT * 1000);
+    queue.push(waiter);
+    pump();
+  });
+}
+
+function release(host) {
+  active--;
+  hostState(host).active--;
+  pump();
+}
+
+// Start every queued request the limits allow; come back when a rate window
+// or a 429 pause ends if something is still waiting on one.
+function pump() {
+  const now = Date.now();
+  prune(starts, now);
+  let retryAt = Infinity;
+
+  for (let i = 0; i < queue.length && active < MAX_CONCURRENT; i++) {
+    const waiter = queue[i];
+    const state  = hostState(waiter.host);
+    prune(state.starts, now);
+
+    if (state.active >= MAX_PER_HOST) continue; // a release will pump again
+    if (state.pausedUntil > now) {
+      retryAt = Math.min(retryAt, state.pausedUntil);
+      continue;
+    }
+    if (starts.length >= RATE) {
+      retryAt = Math.min(retryAt, starts[0] + WINDOW_MS);
+      break;
+    }
+    if (state.starts.length >= HOST_RATE) {
+      retryAt = Math.min(retryAt, state.starts[0] + WINDOW_MS);
+      continue;
+    }
+
+    queue.splice(i--, 1);
+    clearTimeout(waiter.timer);
+    active++;
+    state.active++;
+    starts.push(now);
+    state.starts.push(now);
+    waiter.resolve();
+  }
+
+  clearTimeout(wakeup);
+  wakeup = null;
+  if (retryAt !== Infinity) {
+    wakeup = setTimeout(pump, Math.max(retryAt - now, 10));
+    wakeup.unref();
+  }
+}
+
+// Retry-After is either seconds or an HTTP date
+function pauseHost(host, retryAfter) {
+  let seconds = retryAfter ? Number(retryAfter) : NaN;
+  if (!(seconds >= 0)) {
+    const date = Date.parse(retryAfter || '');
+    seconds = Number.isNaN(date) ? DEFAULT_RETRY : Math.max(0, (date - Date.now()) / 1000);
+  }
+  hostState(host).pausedUntil = Date.now() + seconds * 1000;
+  log.warn('PostHog rate limited us; pausing requests to host', { host, pause_s: Math.round(seconds) });
+}
+
+/**
+ * Current load, for logs and diagnostics:
+ *   { active, queued, startedLastMinute, hosts: { [host]: { active, queued, pausedUntil } } }
+ */
+function limiterStats() {
+  const now = Date.now();
+  prune(starts, now);
+  const byHost = {};
+  for (const [host, state] of hosts) {
+    byHost[host] = {
+      active:      state.active,
+      queued:      queue.filter((w) => w.host === host).length,
+      pausedUntil: state.pausedUntil > now ? state.pausedUntil : null,
+    };
+  }
+  return { active, queued: queue.length, startedLastMinute: starts.length, hosts: byHost };
+}
+
+module.exports = { limitedFetch, limiterStats };
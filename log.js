@@ -0,0 +1,93 @@
+/**
+ * Structured logging: one JSON object per line,
+ *   { time, level, msg, request_id, plugin_setting_id, ...fields }
+ * errors on stderr, everything else on stdout.
+ *
+ * request_id and plugin_setting_id come from the request being handled:
+ * requestContext() (Express middleware) gives each request an id — the
+ * caller's X-Request-Id if it sent a sane one — and bindInstallation() adds
+ * the installation once auth.js has established it. Both follow the
+ * request's async work, including background refreshes it starts; lines
+ * logged outside a request (startup, the prefetch scheduler) leave them out.
+ *
+ * Share tokens in string fields (e.g. a fetch error quoting the share URL)
+ * are masked: they grant access to their insight.
+ *
+ *   log.info('Settings saved');
+ *   log.error('Markup fetch failed', { error: err.message, code: err.code });
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const context       = new AsyncLocalStorage();
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+const SHARE_PATH_RE = /(\/shared\/)[A-Za-z0-9_-]+/g;
+
+function write(level, msg, fields = {}) {
+  const store = context.getStore();
+  const line  = {
+    time:              new Date().toISOString(),
+    level,
+    msg,
+    request_id:        store?.requestId,
+    plugin_setting_id: store?.pluginSettingId,
+    ...maskShareTokens(fields),
+  };
+  (level === 'error' ? process.stderr : process.stdout).write(`${JSON.stringify(line)}\n`);
+}
+
+function maskShareTokens(fields) {
+  const masked = {};
+  for (const [name, value] of Object.entries(fields)) {
+    masked[name] = typeof value === 'string' ? value.replace(SHARE_PATH_RE, '$1…') : value;
+  }
+  return masked;
+}
+
+const log = {
+  info:  (msg, fields) => write('info', msg, fields),
+  warn:  (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+/**
+ * Middleware: run the rest of the request inside its logging context, echo
+ * the id as X-Request-Id, and log one line per request when it finishes.
+ * onFinish(req, res, seconds) is called first (e.g. to count it in metrics).
+ */
+function requestContext(onFinish = () => {}) {
+  return (req, res, next) => {
+    const given     = req.get('x-request-id');
+    const requestId = given && REQUEST_ID_RE.test(given) ? given : crypto.randomUUID();
+    const started   = process.hrtime.bigint();
+    const store     = { requestId, pluginSettingId: undefined };
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      onFinish(req, res, seconds);
+      context.run(store, () => log.info('Request', {
+        method:      req.method,
+        route:       routeName(req),
+        status:      res.statusCode,
+        duration_ms: Math.round(seconds * 1000),
+      }));
+    });
+    context.run(store, next);
+  };
+}
+
+// The matched route pattern (not the raw path, which carries query tokens)
+function routeName(req) {
+  return req.route ? req.route.path : 'unmatched';
+}
+
+// Tag the rest of this request's log lines with its installation
+function bindInstallation(pluginSettingId) {
+  const store = context.getStore();
+  if (store) store.pluginSettingId = String(pluginSettingId);
+}
+
+module.exports = { log, requestContext, bindInstallation, routeName };
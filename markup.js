@@ -16,59 +16,214 @@
  *  ├─────────────────────────────────────────────────────┤
  *  │  [logo]  PostHog Insight  · Pageview count          │  40px
  *  └─────────────────────────────────────────────────────┘
+ *
+ * Mashup layouts (half_vertical, half_horizontal, quadrant) get their own
+ * geometry from LAYOUTS: a headline number above the chart, fewer axis ticks,
+ * shorter legends, and — in the 240px-high boxes — an axis-less sparkline.
  */
 
+const crypto = require('crypto');
+const { applyDisplayPrefs, formatNumber } = require('./display');
+const { minuteOfDay } = require('./refresh');
+
 const FONT       = "-apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
 const TITLE_H    = 40;   // px — height of the bottom title bar
 const PAD_H      = 18;   // px — horizontal padding for the content area
 const PAD_V      = 16;   // px — top padding for the content area
 
+// Per-layout geometry. `chartW`/`chartH` are the SVG viewBox of the chart
+// area; `compact` layouts drop the meta line and axis labels (sparkline mode).
+//   xTicks / yTicks — max axis labels      labelLen — legend/step label chars
+//   rows            — max list/legend rows bigSize  — BoldNumber font size
+//   tiles           — max dashboard tiles in the grid (1 = first tile only)
+const LAYOUTS = {
+  full: {
+    width: 800, height: 480, chartW: 760, chartH: 240, barH: TITLE_H, padV: PAD_V,
+    compact: false, headline: false, titleSize: 24,
+    xTicks: 6, yTicks: 4, labelLen: 32, rows: 6, bigSize: 72, tiles: 6,
+  },
+  half_vertical: {
+    width: 400, height: 480, chartW: 364, chartH: 260, barH: TITLE_H, padV: PAD_V,
+    compact: false, headline: true, titleSize: 18,
+    xTicks: 3, yTicks: 3, labelLen: 16, rows: 6, bigSize: 56, tiles: 2,
+  },
+  half_horizontal: {
+    width: 800, height: 240, chartW: 764, chartH: 90, barH: 32, padV: 10,
+    compact: true, headline: true, titleSize: 15,
+    xTicks: 4, yTicks: 0, labelLen: 28, rows: 3, bigSize: 48, tiles: 2,
+  },
+  quadrant: {
+    width: 400, height: 240, chartW: 364, chartH: 90, barH: 32, padV: 10,
+    compact: true, headline: true, titleSize: 14,
+    xTicks: 2, yTicks: 0, labelLen: 14, rows: 3, bigSize: 40, tiles: 1,
+  },
+};
+
+// TRMNL response field for each layout
+const LAYOUT_FIELDS = {
+  full:            'markup',
+  half_vertical:   'markup_half_vertical',
+  half_horizontal: 'markup_half_horizontal',
+  quadrant:        'markup_quadrant',
+};
+
 // ---------------------------------------------------------------------------
 // Main render
 // ---------------------------------------------------------------------------
 
-function renderMarkup({ title, type, display = '', primaryValue, secondaryLabel, series }) {
+function renderMarkup(insight, layout = 'full', prefs = null) {
+  insight    = applyDisplayPrefs(insight, prefs);
+  const { title, primaryValue, secondaryLabel, comparison = null, staleSince = null, timeZone } = insight;
+  const L    = displayLayout(layout, prefs);
+  const plan = planView(insight, L);
+
+  // A firing threshold alert takes over the whole screen
+  if (plan.view === 'alert')     return renderAlert(insight, L);
+  // Shared dashboards get a tile grid where the layout has room for one
+  if (plan.view === 'dashboard') return renderDashboard(insight, L);
+
+  const chart    = renderChart(plan, insight, L);
+  const headline = plan.showHeadline
+    ? renderHeadline(primaryValue, secondaryLabel, L, comparison)
+    : '';
+
+  return renderFrame({ L, metaLine: plan.metaLine, title, headline, chart, staleSince, timeZone, page: plan.page });
+}
+
+/**
+ * Layout geometry with the installation's display prefs folded in:
+ * numbers — { numberFormat, decimals } for chart values and axes
+ * hideMeta — drop the meta line above the title
+ */
+function displayLayout(layout, prefs = null) {
+  const L = LAYOUTS[layout] || LAYOUTS.full;
+  if (!prefs) return L;
+  return {
+    ...L,
+    numbers:  { numberFormat: prefs.numberFormat, decimals: prefs.decimals },
+    hideMeta: prefs.hideMeta,
+  };
+}
+
+/**
+ * Decide what a layout shows for an insight — the markup and the bitmap
+ * renderer (image.js) both start here so they always agree.
+ * Returns { view, metaLine, showHeadline, page, tablePageIndex, barMode, goalLine }
+ *   view — alert, dashboard, progress, bignum, table, pie, ranked, bar,
+ *          funnel, retention, paths, multiline, line or empty
+ */
+function planView(insight, L) {
+  const {
+    type, display = '', series, multiSeries = [], retention = null,
+    table = null, tablePage = 0, goal = null,
+  } = insight;
+  let { page = null } = insight;
+
+  if (insight.alert) return { view: 'alert', page };
+  if (Array.isArray(insight.tiles) && insight.tiles.length >= 2 && L.tiles >= 2) {
+    return { view: 'dashboard', page };
+  }
+
   const typeLabel = formatType(type, display);
-  const safeTitle = esc(title);
 
   // Derived flags
   const isPie     = display === 'ActionsPie';
   const isBigNum  = display === 'BoldNumber';
-  const isBar     = display.startsWith('ActionsBar') || display === 'ActionsUnstackedBar' ||
-                    display === 'ActionsStackedBar' || display === 'ActionsBarValue';
+  const isBarVal  = display === 'ActionsBarValue';
+  const isBar     = !isBarVal && (display.startsWith('ActionsBar') ||
+                    display === 'ActionsUnstackedBar' || display === 'ActionsStackedBar');
+  const barMode   = display === 'ActionsUnstackedBar' ? 'grouped' : 'stacked';
+  const isTable   = display === 'HogQLTable' && table && table.rows.length > 0;
+  const isGoal    = goal && goal.display === 'progress';
+  const goalLine  = goal && goal.display === 'line' ? goal.line : null;
+
+  // Long query results page through on successive polls (tablePage is a
+  // running counter); the marker shares the bottom bar with tile rotation.
+  let tablePageIndex = 0;
+  if (isTable) {
+    const pages    = Math.ceil(table.rows.length / tableRowsPerPage(L));
+    tablePageIndex = tablePage % pages;
+    if (pages > 1 && !page) page = { index: tablePageIndex + 1, total: pages };
+  }
 
   // Choose chart renderer by insight type / display variant
-  const chart = (() => {
-    if (isBigNum)                                         return renderBigNumber(primaryValue, secondaryLabel);
-    if (isPie    && series && series.length >= 2)         return renderPieChart(series);
-    if (isBar    && series && series.length >= 2)         return renderBarChart(series);
-    if (type === 'FUNNEL' && series && series.length >= 2) return renderFunnelChart(series);
-    if (type === 'PATHS'  && series && series.length >= 1) return renderPathsList(series, primaryValue);
-    if (series && series.length >= 2)                     return renderLineChart(series);
-    return renderEmptyChart();
+  const view = (() => {
+    if (isGoal)                                           return 'progress';
+    if (isBigNum)                                         return 'bignum';
+    if (isTable)                                          return 'table';
+    if (isPie    && series && series.length >= 2)         return 'pie';
+    if (isBarVal && series && series.length >= 1)         return 'ranked';
+    if (isBar    && series && series.length >= 2)         return 'bar';
+    if (type === 'FUNNEL' && series && series.length >= 2) return 'funnel';
+    // The cohort grid needs room; compact layouts fall through to the average curve
+    if (type === 'RETENTION' && retention && !L.compact)   return 'retention';
+    if (type === 'PATHS'  && series && series.length >= 1) return 'paths';
+    if (multiSeries.length >= 2 && series && series.length >= 2) return 'multiline';
+    if (series && series.length >= 2)                     return 'line';
+    return 'empty';
   })();
 
   // Meta line: "TRENDS • Jan 2024 – Feb 2026"
-  // For big number and pie, the series labels are not dates — skip date range.
-  const dateRange = (isBigNum || isPie) ? '' : seriesDateRange(series);
+  // For big number, pie and ranked bars, the series labels are not dates — skip date range.
+  const dateRange = (isBigNum || isPie || isBarVal || isTable) ? '' : seriesDateRange(series);
   // Type label is uppercased; date range keeps its natural case (e.g. "Jan 2024 – Feb 2026")
-  const metaLine  = `${typeLabel.toUpperCase()}${dateRange ? ' \u2022 ' + dateRange : ''}`;
+  const metaLine  = isGoal
+    ? `GOAL \u2022 ${goal.progress.periodLabel}`
+    : `${typeLabel.toUpperCase()}${dateRange ? ' \u2022 ' + dateRange : ''}`;
+
+  // Mashup layouts lead with the headline number (BoldNumber already is one;
+  // a table's row count isn't worth the space)
+  const showHeadline = Boolean(L.headline && !isBigNum && !isTable && !isGoal);
+
+  return { view, metaLine, showHeadline, page, tablePageIndex, barMode, goalLine };
+}
+
+// Chart area markup for a planned view (everything except alert/dashboard)
+function renderChart(plan, insight, L) {
+  const {
+    primaryValue, secondaryLabel, series, multiSeries = [], retention,
+    comparison = null, table, goal,
+  } = insight;
+  switch (plan.view) {
+    case 'progress':  return renderProgress(goal.progress, L);
+    case 'bignum':    return renderBigNumber(primaryValue, secondaryLabel, L, comparison);
+    case 'table':     return renderTable(table, L, plan.tablePageIndex);
+    case 'pie':       return renderPieChart(series, L);
+    case 'ranked':    return renderRankedBars(series, L);
+    case 'bar':       return renderBarChart(series, L, multiSeries, plan.barMode, plan.goalLine);
+    case 'funnel':    return renderFunnelChart(series, L);
+    case 'retention': return renderRetentionGrid(retention, L);
+    case 'paths':     return renderPathsList(series, primaryValue, L);
+    case 'multiline': return renderMultiLineChart(multiSeries, L, plan.goalLine);
+    case 'line':      return renderLineChart(series, L, comparison, plan.goalLine);
+    default:          return renderEmptyChart();
+  }
+}
 
+/**
+ * Page shell shared by single insights and dashboards: meta line, title,
+ * optional headline, chart area, and the bottom title bar.
+ */
+function renderFrame({ L, metaLine, title, headline = '', chart, staleSince = null, timeZone, page = null }) {
   return `
-<div style="position:absolute;top:0;left:0;right:0;bottom:${TITLE_H}px;
+<div style="position:absolute;top:0;left:0;right:0;bottom:${L.barH}px;
             display:flex;flex-direction:column;
-            padding:${PAD_V}px ${PAD_H}px 0;
+            padding:${L.padV}px ${PAD_H}px 0;
             font-family:${FONT};">
 
-  <!-- Meta line -->
+  ${L.compact || L.hideMeta ? '' : `<!-- Meta line -->
   <div style="flex-shrink:0;font-size:11px;font-weight:600;letter-spacing:0.08em;
-              opacity:0.4;margin-bottom:6px;"
-    >${esc(metaLine)}</div>
+              opacity:0.4;margin-bottom:6px;white-space:nowrap;overflow:hidden;
+              text-overflow:ellipsis;"
+    >${esc(metaLine)}</div>`}
 
   <!-- Insight title -->
-  <div style="flex-shrink:0;font-size:24px;font-weight:700;letter-spacing:-0.4px;
-              margin-bottom:14px;line-height:1.15;"
-    >${safeTitle}</div>
+  <div style="flex-shrink:0;font-size:${L.titleSize}px;font-weight:700;letter-spacing:-0.4px;
+              margin-bottom:${L.compact ? 4 : 14}px;line-height:1.15;${L.headline ? `
+              white-space:nowrap;overflow:hidden;text-overflow:ellipsis;` : ''}"
+    >${esc(title)}</div>
+
+  ${headline}
 
   <!-- Chart area — grows to fill remaining space -->
   <div style="flex:1;min-height:0;display:flex;flex-direction:column;">
@@ -78,36 +233,192 @@ function renderMarkup({ title, type, display = '', primaryValue, secondaryLabel,
 </div>
 
 <!-- Bottom title bar — fully self-contained, no external CSS needed -->
-<div style="position:absolute;bottom:0;left:0;right:0;height:${TITLE_H}px;
-            border-top:1px solid #e0e0e0;
-            display:flex;align-items:center;gap:8px;
-            padding:0 ${PAD_H}px;
-            font-family:${FONT};">
-  <img src="https://app.posthog.com/static/posthog-logo.svg"
-       style="height:18px;width:auto;flex-shrink:0;" alt=""
-       onerror="this.style.display='none'">
-  <span style="font-size:13px;font-weight:600;white-space:nowrap;overflow:hidden;
-               text-overflow:ellipsis;">${safeTitle}</span>
+${renderBottomBar(title, { barH: L.barH, staleSince, timeZone, page })}
+`.trim();
+}
+
+/**
+ * Render every TRMNL layout variant, keyed by response field name
+ * (markup, markup_half_vertical, markup_half_horizontal, markup_quadrant).
+ */
+function renderLayouts(insight, prefs = null) {
+  const out = {};
+  for (const [layout, field] of Object.entries(LAYOUT_FIELDS)) {
+    out[field] = renderMarkup(insight, layout, prefs);
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Alert layout — inverted (white on black) so a firing threshold stands out
+// from across the room; shows the current value and the rule that fired.
+// ---------------------------------------------------------------------------
+
+function renderAlert({ title, dashboardName, alert, staleSince = null, timeZone, page = null }, L) {
+  const name = title || dashboardName || '';
+  return `
+<div style="position:absolute;top:0;left:0;right:0;bottom:${L.barH}px;
+            display:flex;flex-direction:column;justify-content:center;align-items:center;
+            text-align:center;padding:${L.padV}px ${PAD_H}px;
+            background:black;color:white;font-family:${FONT};">
+  <div style="font-size:${L.compact ? 11 : 14}px;font-weight:700;letter-spacing:0.2em;
+              text-transform:uppercase;">&#9888; Alert</div>
+  <div style="margin-top:${L.compact ? 4 : 10}px;max-width:100%;font-size:${L.titleSize}px;font-weight:600;
+              white-space:nowrap;overflow:hidden;text-overflow:ellipsis;"
+    >${esc(name)}</div>
+  <div style="margin-top:${L.compact ? 4 : 12}px;font-size:${L.bigSize}px;font-weight:700;
+              letter-spacing:-2px;line-height:1;font-variant-numeric:tabular-nums;"
+    >${esc(alert.value)}</div>
+  <div style="margin-top:${L.compact ? 6 : 14}px;padding:${L.compact ? 2 : 4}px 10px;
+              border:2px solid white;border-radius:4px;font-size:${L.compact ? 12 : 16}px;font-weight:600;"
+    >${esc(truncate(alert.text, L.labelLen * 2))}</div>
 </div>
+
+${renderBottomBar(name, { barH: L.barH, staleSince, timeZone, page })}
 `.trim();
 }
 
+// ---------------------------------------------------------------------------
+// Dashboard grid — 2, 4 or 6 mini tiles. Wide tiles (per the dashboard's
+// layout metadata) span two cells when there's room.
+// ---------------------------------------------------------------------------
+
+const TILE_GAP = 8; // px between grid cells
+
+function renderDashboard({ dashboardName, tiles, staleSince = null, timeZone }, L) {
+  const { cols, rows, cellW, cellH, placed } = dashboardGrid(tiles, L);
+
+  const cells = placed.map(({ tile, span }) =>
+    renderTile(tile, span, { ...tileLayout(cellW * span + TILE_GAP * (span - 1), cellH), numbers: L.numbers })
+  ).join('');
+
+  const grid = `<div style="flex:1;min-height:0;display:grid;gap:${TILE_GAP}px;
+              grid-template-columns:repeat(${cols},1fr);
+              grid-template-rows:repeat(${rows},1fr);">
+  ${cells}
+</div>`;
+
+  return renderFrame({
+    L, metaLine: dashboardMetaLine(placed, tiles), title: dashboardName, chart: grid, staleSince, timeZone,
+  });
+}
+
+/**
+ * Which tiles fit the layout's grid, and the size of one cell.
+ * Returns { cols, rows, cellW, cellH, placed: [{ tile, span }] }
+ */
+function dashboardGrid(tiles, L) {
+  // 6 tiles → 3×2, up to 4 → 2×2, 2 → side by side (stacked on a tall half)
+  const capacity = Math.min(L.tiles, tiles.length > 4 ? 6 : tiles.length > 2 ? 4 : 2);
+  const cols     = L.width < 800 ? 1 : capacity === 6 ? 3 : 2;
+  const rows     = Math.ceil(capacity / cols);
+
+  // Fill cells in order; a wide tile that no longer fits shrinks to one cell.
+  // Two-cell grids ignore spans — a wide tile would leave room for nothing else.
+  const placed = [];
+  let used = 0;
+  for (const tile of tiles) {
+    if (used >= capacity) break;
+    const span = capacity > 2 ? Math.min(tile.span || 1, cols, capacity - used) : 1;
+    placed.push({ tile, span });
+    used += span;
+  }
+
+  // Approximate the chart area left under the meta line and title
+  const gridW = L.width - PAD_H * 2;
+  const gridH = L.height - L.barH - L.padV - (L.compact ? 24 : 64);
+  const cellW = (gridW - TILE_GAP * (cols - 1)) / cols;
+  const cellH = (gridH - TILE_GAP * (rows - 1)) / rows;
+
+  return { cols, rows, cellW, cellH, placed };
+}
+
+function dashboardMetaLine(placed, tiles) {
+  const shown = placed.length;
+  return `DASHBOARD \u2022 ${shown < tiles.length ? `${shown} of ` : ''}${tiles.length} tiles`;
+}
+
+// Layout geometry for a single dashboard tile of the given pixel size
+function tileLayout(width, height) {
+  return {
+    width, height,
+    chartW: Math.round(width - 20), chartH: Math.max(24, Math.round(height - 70)),
+    compact: true, headline: true,
+    xTicks: 0, yTicks: 0, labelLen: Math.floor(width / 14), rows: 4,
+  };
+}
+
+// Mini renderer: tile title, headline number, then a sparkline or small funnel
+function renderTile(tile, span, T) {
+  const { title, primaryValue, secondaryLabel, comparison = null } = tile;
+  const change = comparison ? formatChange(comparison.change) : '';
+  const mini   = tileChart(tile, T);
+
+  return `<div style="grid-column:span ${span};min-width:0;min-height:0;overflow:hidden;
+              display:flex;flex-direction:column;
+              border:1px solid #000;border-radius:6px;padding:8px 10px;">
+    <div style="flex-shrink:0;font-size:11px;font-weight:600;opacity:0.55;
+                white-space:nowrap;overflow:hidden;text-overflow:ellipsis;"
+      >${esc(title)}</div>
+    <div style="flex-shrink:0;display:flex;align-items:baseline;gap:6px;margin:4px 0;
+                white-space:nowrap;overflow:hidden;">
+      <span style="font-size:24px;font-weight:700;letter-spacing:-0.5px;line-height:1;
+                   font-variant-numeric:tabular-nums;">${esc(String(primaryValue))}</span>
+      ${change ? `<span style="font-size:11px;font-weight:600;">${esc(change)}</span>` : ''}
+      ${secondaryLabel ? `<span style="font-size:10px;opacity:0.45;overflow:hidden;
+                   text-overflow:ellipsis;">${esc(truncate(secondaryLabel, T.labelLen))}</span>` : ''}
+    </div>
+    <div style="flex:1;min-height:0;display:flex;flex-direction:column;">${mini}</div>
+  </div>`;
+}
+
+// Tile mini chart (SVG): a small funnel, a sparkline, or nothing when the
+// headline number says it all
+function tileChart({ type, display = '', series = [], comparison = null }, T) {
+  if (type === 'FUNNEL' && series.length >= 2)  return renderFunnelChart(series, T);
+  // Non-time-series displays: the headline number says it all
+  if (display === 'BoldNumber' || display === 'ActionsPie' ||
+      display === 'ActionsBarValue' || type === 'PATHS') return '';
+  if (series.length >= 2)                        return renderLineChart(series, T, comparison);
+  return '';
+}
+
+// ---------------------------------------------------------------------------
+// Headline — primary value + label, shown above the chart in mashup layouts
+// ---------------------------------------------------------------------------
+
+function renderHeadline(primaryValue, secondaryLabel, L, comparison = null) {
+  const size   = L.compact ? 26 : 34;
+  const change = comparison ? formatChange(comparison.change) : '';
+  return `<div style="flex-shrink:0;display:flex;align-items:baseline;gap:10px;
+              margin-bottom:${L.compact ? 4 : 10}px;white-space:nowrap;overflow:hidden;">
+    <span style="font-size:${size}px;font-weight:700;letter-spacing:-1px;line-height:1;
+                 font-variant-numeric:tabular-nums;">${esc(String(primaryValue))}</span>
+    ${change ? `<span style="font-size:13px;font-weight:600;">${esc(change)}</span>` : ''}
+    ${secondaryLabel ? `<span style="font-size:12px;opacity:0.45;overflow:hidden;
+                 text-overflow:ellipsis;">${esc(truncate(secondaryLabel, L.labelLen * 2))}</span>` : ''}
+  </div>`;
+}
+
 // ---------------------------------------------------------------------------
 // Line / area chart  (TRENDS, LIFECYCLE, STICKINESS, RETENTION)
 // ---------------------------------------------------------------------------
 
-function renderLineChart(series) {
+function renderLineChart(series, L = LAYOUTS.full, comparison = null, goalLine = null) {
   const values = series.map((s) => s.value);
   const labels = series.map((s) => s.label);
-
-  const { ticks: yTicks, axisMax } = niceYAxis(Math.max(...values));
-
-  const VW   = 760;
-  const VH   = 240;
-  const padT = 10;
-  const padB = 26;
-  const padL = 52;
-  const padR = 8;
+  const prev   = comparison ? comparison.previousSeries.map((s) => s.value) : [];
+
+  // Scale over both periods so the previous one never clips
+  const { ticks: yTicks, axisMax } = niceYAxis(Math.max(...values, ...prev), L.yTicks, goalLine?.value);
+
+  // Full-size layouts label the two periods; compact ones rely on the headline
+  const legendH = prev.length && !L.compact ? 20 : 0;
+  const VW   = L.chartW;
+  const VH   = L.chartH;
+  const pad  = chartPadding(L);
+  const padT = pad.padT + legendH;
+  const { padB, padL, padR } = pad;
   const innerW = VW - padL - padR;
   const innerH = VH - padT - padB;
 
@@ -126,38 +437,166 @@ function renderLineChart(series) {
     .map((v, i) => `${xOf(i).toFixed(1)},${yOf(v).toFixed(1)}`)
     .join(' ');
 
-  const yAxisSvg = yTicks.map((tick) => {
-    const y = yOf(tick).toFixed(1);
-    return `<line x1="${padL}" y1="${y}" x2="${VW - padR}" y2="${y}"
-        stroke="black" stroke-width="0.5" opacity="0.25"/>
-  <text x="${padL - 6}" y="${y}" text-anchor="end" dominant-baseline="middle"
-        style="font-size:10px;fill:black;opacity:0.5;font-family:monospace;"
-        >${esc(formatAxisNum(tick))}</text>`;
-  }).join('\n  ');
-
-  const xIdxs   = evenlySpaced(values.length, Math.min(values.length, 6));
-  const xAxisSvg = xIdxs.map((i) => {
-    const x      = xOf(i).toFixed(1);
-    const anchor = i === 0 ? 'start' : i === values.length - 1 ? 'end' : 'middle';
-    return `<text x="${x}" y="${VH - 4}" text-anchor="${anchor}"
-      style="font-size:10px;fill:black;opacity:0.4;font-family:monospace;"
-      >${esc(labels[i] || '')}</text>`;
-  }).join('');
+  // Previous period: faint dashed line behind the current one, on its own
+  // index scale in case the periods differ in length by a point
+  const xPrev   = (i) => padL + (i / Math.max(prev.length - 1, 1)) * innerW;
+  const prevSvg = prev.length >= 2
+    ? `<polyline points="${prev.map((v, i) => `${xPrev(i).toFixed(1)},${yOf(v).toFixed(1)}`).join(' ')}"
+    fill="none" stroke="black" stroke-width="${L.compact ? 1.25 : 1.5}" stroke-dasharray="4 4"
+    opacity="0.45" stroke-linejoin="round"/>`
+    : '';
+
+  const change    = comparison ? formatChange(comparison.change) : '';
+  const legendSvg = legendH ? renderLegend([
+    {
+      label:  change ? `This period (${change})` : 'This period',
+      swatch: (x, y) => `<line x1="${x}" y1="${y}" x2="${x + 24}" y2="${y}" stroke="black" stroke-width="2.5"/>`,
+    },
+    {
+      label:  'Previous period',
+      swatch: (x, y) => `<line x1="${x}" y1="${y}" x2="${x + 24}" y2="${y}" stroke="black"
+        stroke-width="1.5" stroke-dasharray="4 4" opacity="0.45"/>`,
+    },
+  ], L, padL, pad.padT + legendH / 2 - 2, VW) : '';
+
+  const yAxisSvg = renderYAxis(L.yTicks ? yTicks : [], yOf, padL, VW - padR, L);
+  const xAxisSvg = renderXAxis(labels, L.xTicks, xOf, VH);
 
   return `<svg viewBox="0 0 ${VW} ${VH}" width="100%" height="100%"
      xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMidYMid meet"
      style="display:block;overflow:visible;">
 
+  ${legendSvg}
+
   ${yAxisSvg}
 
+  ${prevSvg}
+
   <path d="${areaD}" fill="black" fill-opacity="0.12"/>
 
+  ${goalLine ? renderGoalLine(goalLine, yOf, padL, VW - padR, L) : ''}
+
   <polyline points="${linePts}"
-    fill="none" stroke="black" stroke-width="2.5"
+    fill="none" stroke="black" stroke-width="${L.compact ? 2 : 2.5}"
     stroke-linejoin="round" stroke-linecap="round"/>
 
   <circle cx="${xOf(values.length - 1).toFixed(1)}" cy="${yOf(values[values.length - 1]).toFixed(1)}"
-    r="4" fill="black"/>
+    r="${L.compact ? 3 : 4}" fill="black"/>
+
+  <line x1="${padL}" y1="${baseY}" x2="${VW - padR}" y2="${baseY}"
+        stroke="black" stroke-width="1" opacity="0.2"/>
+
+  ${xAxisSvg}
+
+</svg>`;
+}
+
+// ---------------------------------------------------------------------------
+// Multi-series line chart — one stroke per series, told apart by dash
+// pattern and marker shape (no colour or grey tints on 1-bit e-ink)
+// ---------------------------------------------------------------------------
+
+const LINE_STYLES = [
+  { dash: '',         marker: 'circle',   hollow: false },
+  { dash: '8 4',      marker: 'square',   hollow: true  },
+  { dash: '2 4',      marker: 'triangle', hollow: false },
+  { dash: '12 4 3 4', marker: 'diamond',  hollow: true  },
+];
+
+function renderMultiLineChart(multiSeries, L = LAYOUTS.full, goalLine = null) {
+  const lines   = multiSeries.slice(0, LINE_STYLES.length);
+  const longest = lines.reduce((a, s) => (s.series.length > a.length ? s.series : a), []);
+  const n       = longest.length;
+  const labels  = longest.map((p) => p.label);
+
+  // Previous-period twins, when the insight compares periods
+  const prevs     = lines.map((s) => s.previousSeries || []);
+  const hasPrev   = prevs.some((prev) => prev.length >= 2);
+
+  // Scale over every series (and both periods) so none of them clips, below
+  // zero too (lifecycle's dormant users are negative)
+  const allValues = [...lines.map((s) => s.series), ...prevs].flatMap((points) => points.map((p) => p.value));
+  const { ticks: yTicks, axisMin, axisMax } = niceYAxis(
+    Math.max(...allValues), L.yTicks, goalLine?.value, Math.min(...allValues),
+  );
+
+  const VW      = L.chartW;
+  const VH      = L.chartH;
+  const legendH = L.compact ? 14 : 20;
+  const pad     = chartPadding(L);
+  const padT    = pad.padT + legendH;
+  const { padB, padL, padR } = pad;
+  const innerW  = VW - padL - padR;
+  const innerH  = VH - padT - padB;
+
+  const xOf = (i) => padL + (i / Math.max(n - 1, 1)) * innerW;
+  const yOf = (v) => padT + innerH - ((v - axisMin) / (axisMax - axisMin || 1)) * innerH;
+  const baseY = yOf(0).toFixed(1);
+
+  const strokeW   = L.compact ? 1.75 : 2.5;
+  const markerR   = L.compact ? 2.5 : 4;
+  const markerIdx = evenlySpaced(n, Math.min(n, L.compact ? 4 : 8));
+
+  // Previous period: each series' twin faint and thin behind it, in the
+  // series' dash pattern, on its own index scale like renderLineChart's
+  const prevW   = L.compact ? 1 : 1.25;
+  const prevSvg = prevs.map((prev, si) => {
+    if (prev.length < 2) return '';
+    const style = LINE_STYLES[si];
+    const xPrev = (i) => padL + (i / Math.max(prev.length - 1, 1)) * innerW;
+    return `<polyline points="${prev.map((p, i) => `${xPrev(i).toFixed(1)},${yOf(p.value).toFixed(1)}`).join(' ')}"
+    fill="none" stroke="black" stroke-width="${prevW}"${style.dash ? ` stroke-dasharray="${style.dash}"` : ''}
+    opacity="0.35" stroke-linejoin="round"/>`;
+  }).join('\n  ');
+
+  const linesSvg = lines.map((s, si) => {
+    const style = LINE_STYLES[si];
+    const pts   = s.series
+      .map((p, i) => `${xOf(i).toFixed(1)},${yOf(p.value).toFixed(1)}`)
+      .join(' ');
+    const markers = markerIdx
+      .filter((i) => i < s.series.length)
+      .map((i) => renderMarker(style, xOf(i), yOf(s.series[i].value), markerR))
+      .join('');
+    return `<polyline points="${pts}"
+    fill="none" stroke="black" stroke-width="${strokeW}"${style.dash ? ` stroke-dasharray="${style.dash}"` : ''}
+    stroke-linejoin="round" stroke-linecap="round"/>
+  ${markers}`;
+  }).join('\n  ');
+
+  const legendSvg = renderLegend(
+    lines.map((s, si) => {
+      const style = LINE_STYLES[si];
+      return {
+        label:  s.label || `Series ${si + 1}`,
+        swatch: (x, y) => `<line x1="${x}" y1="${y}" x2="${x + 24}" y2="${y}" stroke="black"
+        stroke-width="${strokeW}"${style.dash ? ` stroke-dasharray="${style.dash}"` : ''}/>
+  ${renderMarker(style, x + 12, y, markerR)}`,
+      };
+    }).concat(hasPrev ? [{
+      label:  'Previous period',
+      swatch: (x, y) => `<line x1="${x}" y1="${y}" x2="${x + 24}" y2="${y}" stroke="black"
+        stroke-width="${prevW}" opacity="0.35"/>`,
+    }] : []),
+    L, padL, pad.padT + legendH / 2 - 2, VW,
+  );
+
+  const yAxisSvg = renderYAxis(L.yTicks ? yTicks : [], yOf, padL, VW - padR, L);
+  const xAxisSvg = renderXAxis(labels, L.xTicks, xOf, VH);
+
+  return `<svg viewBox="0 0 ${VW} ${VH}" width="100%" height="100%"
+     xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMidYMid meet"
+     style="display:block;overflow:visible;">
+
+  ${legendSvg}
+
+  ${yAxisSvg}
+
+  ${prevSvg}
+
+  ${linesSvg}
+
+  ${goalLine ? renderGoalLine(goalLine, yOf, padL, VW - padR, L) : ''}
 
   <line x1="${padL}" y1="${baseY}" x2="${VW - padR}" y2="${baseY}"
         stroke="black" stroke-width="1" opacity="0.2"/>
@@ -167,34 +606,123 @@ function renderLineChart(series) {
 </svg>`;
 }
 
+function renderMarker({ marker, hollow }, x, y, r) {
+  const paint = hollow
+    ? 'fill="white" stroke="black" stroke-width="1.5"'
+    : 'fill="black"';
+  const cx = x.toFixed(1), cy = y.toFixed(1);
+  switch (marker) {
+    case 'square':
+      return `<rect x="${(x - r).toFixed(1)}" y="${(y - r).toFixed(1)}" width="${r * 2}" height="${r * 2}" ${paint}/>`;
+    case 'triangle':
+      return `<polygon points="${cx},${(y - r * 1.2).toFixed(1)} ${(x + r * 1.1).toFixed(1)},${(y + r * 0.8).toFixed(1)} ${(x - r * 1.1).toFixed(1)},${(y + r * 0.8).toFixed(1)}" ${paint}/>`;
+    case 'diamond':
+      return `<polygon points="${cx},${(y - r * 1.3).toFixed(1)} ${(x + r * 1.3).toFixed(1)},${cy} ${cx},${(y + r * 1.3).toFixed(1)} ${(x - r * 1.3).toFixed(1)},${cy}" ${paint}/>`;
+    default:
+      return `<circle cx="${cx}" cy="${cy}" r="${r}" ${paint}/>`;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Retention cohort grid — the triangle: one row per cohort, one column per
+// period, each cell shaded by % retained
+// ---------------------------------------------------------------------------
+
+// Grayscale steps that survive e-ink dithering; text flips to white on the
+// two darkest
+const RETENTION_SHADES = [
+  { min: 75, opacity: 0.9 },
+  { min: 50, opacity: 0.65 },
+  { min: 25, opacity: 0.4 },
+  { min: 10, opacity: 0.2 },
+  { min: 0,  opacity: 0.06 },
+];
+
+function renderRetentionGrid({ periods, cohorts }, L = LAYOUTS.full) {
+  const VW      = L.chartW;
+  const VH      = L.chartH;
+  const narrow  = L.width < 800;
+  const labelW  = narrow ? 52 : 64;
+  const sizeW   = narrow ? 0 : 52;   // cohort size column (full width only)
+  const headerH = 18;
+
+  // Fit as many periods/cohorts as the box allows; keep the most recent cohorts
+  const cols   = Math.min(periods.length, Math.floor((VW - labelW - sizeW) / (narrow ? 32 : 40)));
+  const cellW  = (VW - labelW - sizeW) / Math.max(cols, 1);
+  const maxRows = Math.max(1, Math.floor((VH - headerH) / 16));
+  const rows   = cohorts.slice(-maxRows);
+  const cellH  = Math.min(24, (VH - headerH) / rows.length);
+  const fontPx = cellH < 18 || narrow ? 9 : 10;
+
+  const x0 = labelW + sizeW;
+
+  const headerSvg = periods.slice(0, cols).map((p, i) => `<text x="${(x0 + i * cellW + cellW / 2).toFixed(1)}" y="12"
+        text-anchor="middle" style="font-size:${fontPx}px;fill:black;opacity:0.5;font-family:monospace;"
+        >${esc(narrow ? String(i) : p)}</text>`).join('\n  ');
+
+  const rowsSvg = rows.map((c, r) => {
+    const y  = headerH + r * cellH;
+    const ty = (y + cellH / 2).toFixed(1);
+    const cells = c.values.slice(0, cols).map((pct, i) => {
+      const shade = RETENTION_SHADES.find((s) => pct >= s.min);
+      const dark  = shade.opacity >= 0.65;
+      const x     = x0 + i * cellW;
+      return `<rect x="${(x + 1).toFixed(1)}" y="${(y + 1).toFixed(1)}" width="${(cellW - 2).toFixed(1)}" height="${(cellH - 2).toFixed(1)}"
+        fill="black" opacity="${shade.opacity}"/>
+  <text x="${(x + cellW / 2).toFixed(1)}" y="${ty}" text-anchor="middle" dominant-baseline="middle"
+        style="font-size:${fontPx}px;fill:${dark ? 'white' : 'black'};font-family:monospace;"
+        >${pct}%</text>`;
+    }).join('\n  ');
+    return `<text x="0" y="${ty}" dominant-baseline="middle"
+        style="font-size:${fontPx}px;fill:black;font-family:${FONT};">${esc(truncate(c.label, 10))}</text>
+  ${sizeW ? `<text x="${labelW + sizeW - 8}" y="${ty}" text-anchor="end" dominant-baseline="middle"
+        style="font-size:${fontPx}px;fill:black;opacity:0.5;font-family:monospace;"
+        >${esc(formatNum(c.size, L))}</text>` : ''}
+  ${cells}`;
+  }).join('\n  ');
+
+  return `<svg viewBox="0 0 ${VW} ${VH}" width="100%" height="100%"
+     xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMidYMin meet"
+     style="display:block;overflow:visible;">
+  ${headerSvg}
+  ${rowsSvg}
+</svg>`;
+}
+
 // ---------------------------------------------------------------------------
 // Funnel chart — horizontal bars, one per step
 // ---------------------------------------------------------------------------
 
-function renderFunnelChart(series) {
+function renderFunnelChart(series, L = LAYOUTS.full) {
   const maxVal  = series[0].value || 1;   // first step = 100%
-  const VW      = 760;
-  const rowH    = 36;
-  const labelW  = 200;                    // left column for step labels
-  const barMaxW = VW - labelW - 80;       // right column for bars (leave 80px for pct)
-  const VH      = Math.min(series.length * (rowH + 8) + 10, 240);
-
-  const rows = series.map((step, i) => {
+  const steps   = series.slice(0, L.rows);
+  const VW      = L.chartW;
+  const gapY    = L.compact ? 4 : 8;
+  const rowH    = Math.max(14, Math.min(36, Math.floor(L.chartH / steps.length) - gapY));
+  const labelW  = Math.round(VW * (L.compact ? 0.3 : 0.26)); // left column for step labels
+  const pctW    = L.compact ? 48 : 80;                       // right column for pct
+  const barMaxW = VW - labelW - pctW;
+  const VH      = Math.min(steps.length * (rowH + gapY) + 10, L.chartH);
+  const fontPx  = rowH < 24 ? 10 : 12;
+
+  const rows = steps.map((step, i) => {
     const pct     = maxVal > 0 ? ((step.value / maxVal) * 100).toFixed(1) : '0';
     const barW    = (step.value / maxVal) * barMaxW;
-    const y       = i * (rowH + 8);
-    const safeLabel = esc(truncate(step.label || `Step ${i + 1}`, 28));
-    const countStr  = esc(formatAxisNum(step.value));
+    const y       = i * (rowH + gapY);
+    const safeLabel = esc(truncate(step.label || `Step ${i + 1}`, Math.min(28, L.labelLen)));
+    const countStr  = esc(formatNum(step.value, L));
+    // Narrow layouts have no room for the raw count next to the bar
+    const valueStr  = L.width < 800 ? `${pct}%` : `${countStr} (${pct}%)`;
 
     return `
   <!-- Step ${i + 1} -->
   <text x="0" y="${y + rowH * 0.65}" dominant-baseline="auto"
-        style="font-size:12px;fill:black;font-family:${FONT};">${safeLabel}</text>
-  <rect x="${labelW}" y="${y + 4}" width="${barW.toFixed(1)}" height="${rowH - 8}"
+        style="font-size:${fontPx}px;fill:black;font-family:${FONT};">${safeLabel}</text>
+  <rect x="${labelW}" y="${y + 4}" width="${barW.toFixed(1)}" height="${Math.max(rowH - 8, 6)}"
         fill="black" opacity="${i === 0 ? '0.85' : '0.55'}" rx="2"/>
   <text x="${labelW + barW + 8}" y="${y + rowH * 0.65}" dominant-baseline="auto"
-        style="font-size:11px;fill:black;opacity:0.7;font-family:monospace;"
-        >${countStr} (${pct}%)</text>`;
+        style="font-size:${fontPx - 1}px;fill:black;opacity:0.7;font-family:monospace;"
+        >${valueStr}</text>`;
   }).join('');
 
   return `<svg viewBox="0 0 ${VW} ${VH}" width="100%" height="100%"
@@ -208,13 +736,16 @@ function renderFunnelChart(series) {
 // Big number (BoldNumber) — single headline stat
 // ---------------------------------------------------------------------------
 
-function renderBigNumber(primaryValue, secondaryLabel) {
+function renderBigNumber(primaryValue, secondaryLabel, L = LAYOUTS.full, comparison = null) {
+  const change = comparison ? formatChange(comparison.change) : '';
   return `<div style="flex:1;display:flex;flex-direction:column;align-items:center;
-                      justify-content:center;text-align:center;padding:0 24px;">
-  <div style="font-size:72px;font-weight:700;letter-spacing:-2px;line-height:1;
+                      justify-content:center;text-align:center;padding:0 ${L.compact ? 8 : 24}px;">
+  <div style="font-size:${L.bigSize}px;font-weight:700;letter-spacing:-2px;line-height:1;
               font-variant-numeric:tabular-nums;">${esc(String(primaryValue))}</div>
-  ${secondaryLabel ? `<div style="margin-top:14px;font-size:14px;opacity:0.45;
-                                  letter-spacing:0.03em;">${esc(secondaryLabel)}</div>` : ''}
+  ${secondaryLabel ? `<div style="margin-top:${L.compact ? 6 : 14}px;font-size:14px;opacity:0.45;
+                                  letter-spacing:0.03em;">${esc(truncate(secondaryLabel, L.labelLen * 2))}</div>` : ''}
+  ${change ? `<div style="margin-top:${L.compact ? 4 : 10}px;font-size:${L.compact ? 13 : 16}px;font-weight:600;"
+    >${esc(change)}${L.compact ? '' : ' vs previous period'}</div>` : ''}
 </div>`;
 }
 
@@ -222,12 +753,16 @@ function renderBigNumber(primaryValue, secondaryLabel) {
 // Pie chart (ActionsPie) — SVG donut with legend
 // ---------------------------------------------------------------------------
 
-function renderPieChart(series) {
+function renderPieChart(series, L = LAYOUTS.full) {
   const total = series.reduce((s, d) => s + d.value, 0) || 1;
 
-  // Layout: pie on the left, legend on the right
-  const CX = 140, CY = 120, R = 100, RI = 52; // outer/inner radius (donut)
-  const VW = 760, VH = 240;
+  // Layout: pie on the left, legend on the right.
+  // Radius fits the chart height, but never more than a quarter of the width
+  // so narrow layouts keep room for the legend.
+  const VW = L.chartW, VH = L.chartH;
+  const R  = Math.floor(Math.min(VH / 2 - 20, VW / 4 - 10, 100));
+  const RI = Math.round(R * 0.52);          // outer/inner radius (donut)
+  const CX = R + 40, CY = VH / 2;
 
   // Build arc paths
   let angle = -Math.PI / 2; // start at top
@@ -257,15 +792,16 @@ function renderPieChart(series) {
     `<path d="${d}" fill="black" opacity="${opacity}" stroke="white" stroke-width="1.5"/>`
   ).join('\n  ');
 
-  // Legend: right side, up to 6 items
-  const legendX = CX * 2 + 20;
-  const legendItems = series.slice(0, 6).map((item, i) => {
-    const y = 20 + i * 34;
+  // Legend: right side, up to L.rows items spread over the chart height
+  const legendX = CX + R + 60;
+  const rowStep = Math.min(34, Math.floor((VH - 20) / Math.min(series.length, L.rows)));
+  const legendItems = series.slice(0, L.rows).map((item, i) => {
+    const y = 10 + i * rowStep;
     return `<rect x="${legendX}" y="${y}" width="12" height="12" rx="2"
           fill="black" opacity="${OPACITIES[i % OPACITIES.length]}"/>
   <text x="${legendX + 18}" y="${y + 9}" dominant-baseline="middle"
         style="font-size:11px;fill:black;font-family:${FONT};"
-        >${esc(truncate(item.label, 32))}</text>
+        >${esc(truncate(item.label, L.labelLen))}</text>
   <text x="${VW - 4}" y="${y + 9}" text-anchor="end" dominant-baseline="middle"
         style="font-size:11px;fill:black;opacity:0.55;font-family:monospace;"
         >${slices[i].pct}%</text>`;
@@ -281,67 +817,121 @@ function renderPieChart(series) {
 
 // ---------------------------------------------------------------------------
 // Vertical bar chart (ActionsBar and variants)
+// Multi-series: ActionsBar / ActionsStackedBar stack, ActionsUnstackedBar
+// groups. Series are told apart by fill pattern rather than grey level.
 // ---------------------------------------------------------------------------
 
-function renderBarChart(series) {
-  const values = series.map((s) => s.value);
-  const labels = series.map((s) => s.label);
-
-  const { ticks: yTicks, axisMax } = niceYAxis(Math.max(...values));
+// Pattern ids carry a per-chart suffix: one page can hold several bar charts
+// (mashups, the settings preview's layouts), and a url(#id) shared between
+// them would resolve to whichever chart's <defs> comes first
+const BAR_SERIES = 4; // one fill each below
+const barFills = (id) => [
+  'fill="black" fill-opacity="0.75"',
+  `fill="url(#ph-bar-hatch-${id})" stroke="black" stroke-width="0.75"`,
+  `fill="url(#ph-bar-dots-${id})" stroke="black" stroke-width="0.75"`,
+  'fill="white" stroke="black" stroke-width="1.25"',
+];
+
+const barPatternDefs = (id) => `<defs>
+    <pattern id="ph-bar-hatch-${id}" width="5" height="5" patternUnits="userSpaceOnUse"
+             patternTransform="rotate(45)">
+      <rect width="5" height="5" fill="white"/>
+      <line x1="0" y1="0" x2="0" y2="5" stroke="black" stroke-width="2"/>
+    </pattern>
+    <pattern id="ph-bar-dots-${id}" width="4" height="4" patternUnits="userSpaceOnUse">
+      <rect width="4" height="4" fill="white"/>
+      <circle cx="2" cy="2" r="1" fill="black"/>
+    </pattern>
+  </defs>`;
+
+// Derived from what the chart draws rather than a counter, so the same
+// insight renders to the same markup every time
+function barChartId(groups, L, mode) {
+  const drawn = JSON.stringify([groups, L.chartW, L.chartH, mode]);
+  return crypto.createHash('sha1').update(drawn).digest('hex').slice(0, 8);
+}
 
-  const VW    = 760;
-  const VH    = 240;
-  const padT  = 10;
-  const padB  = 26;
-  const padL  = 52;
-  const padR  = 8;
+function renderBarChart(series, L = LAYOUTS.full, multiSeries = [], mode = 'stacked', goalLine = null) {
+  // A single series is drawn as one group; several are stacked or grouped
+  const groups  = multiSeries.length >= 2
+    ? multiSeries.slice(0, BAR_SERIES)
+    : [{ label: '', series }];
+  const k       = groups.length;
+  const stacked = mode === 'stacked';
+  const n       = Math.max(...groups.map((g) => g.series.length));
+  const labels  = (groups.find((g) => g.series.length === n) || groups[0]).series.map((s) => s.label);
+  const valueAt = (g, i) => g.series[i]?.value || 0;
+  const chartId = barChartId(groups, L, mode);
+  const fills   = barFills(chartId);
+
+  // Stacked bars scale to the tallest column total, grouped bars to the tallest bar
+  const peak = stacked
+    ? Math.max(...labels.map((_, i) => groups.reduce((sum, g) => sum + valueAt(g, i), 0)))
+    : Math.max(...groups.flatMap((g) => g.series.map((s) => s.value)));
+  const { ticks: yTicks, axisMax } = niceYAxis(peak, L.yTicks, goalLine?.value);
+
+  const VW      = L.chartW;
+  const VH      = L.chartH;
+  const legendH = k > 1 ? (L.compact ? 14 : 20) : 0;
+  const pad     = chartPadding(L);
+  const padT    = pad.padT + legendH;
+  const { padB, padL, padR } = pad;
   const innerW = VW - padL - padR;
   const innerH = VH - padT - padB;
 
   // Bar width: leave 20% gap between bars, min 2px
-  const n    = values.length;
   const barW = Math.max(2, Math.floor((innerW / n) * 0.72));
   const gap  = (innerW - barW * n) / Math.max(n - 1, 1);
+  // Grouped mode splits each bar slot between the series
+  const subW = stacked ? barW : Math.max(1, barW / k);
 
   const xOf  = (i) => padL + i * (barW + gap);
   const yOf  = (v) => padT + innerH - (v / (axisMax || 1)) * innerH;
   const baseY = padT + innerH;
 
-  const barsSvg = values.map((v, i) => {
-    const x = xOf(i);
-    const y = yOf(v);
-    const h = Math.max(1, baseY - y);
-    return `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barW}" height="${h.toFixed(1)}"
-        fill="black" opacity="0.75" rx="1"/>`;
-  }).join('\n  ');
-
-  const yAxisSvg = yTicks.map((tick) => {
-    const y = yOf(tick).toFixed(1);
-    return `<line x1="${padL}" y1="${y}" x2="${VW - padR}" y2="${y}"
-        stroke="black" stroke-width="0.5" opacity="0.25"/>
-  <text x="${padL - 6}" y="${y}" text-anchor="end" dominant-baseline="middle"
-        style="font-size:10px;fill:black;opacity:0.5;font-family:monospace;"
-        >${esc(formatAxisNum(tick))}</text>`;
+  const barsSvg = labels.map((_, i) => {
+    let stackTop = 0;
+    return groups.map((g, gi) => {
+      const v = valueAt(g, i);
+      if (stacked && v <= 0) return '';
+      const lo = stacked ? stackTop : 0;
+      stackTop += v;
+      const x  = stacked ? xOf(i) : xOf(i) + gi * subW;
+      const y  = yOf(lo + v);
+      const h  = Math.max(1, yOf(lo) - y);
+      return `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${subW.toFixed(1)}" height="${h.toFixed(1)}"
+        ${fills[gi]} rx="${k > 1 ? 0 : 1}"/>`;
+    }).join('');
   }).join('\n  ');
 
+  const legendSvg = k > 1
+    ? renderLegend(
+        groups.map((g, gi) => ({
+          label:  g.label || `Series ${gi + 1}`,
+          swatch: (x, y) => `<rect x="${x + 6}" y="${y - 6}" width="12" height="12" ${fills[gi]}/>`,
+        })),
+        L, padL, pad.padT + legendH / 2 - 2, VW,
+      )
+    : '';
+
+  const yAxisSvg = renderYAxis(L.yTicks ? yTicks : [], yOf, padL, VW - padR, L);
   // X-axis labels: show evenly-spaced subset to avoid overlap
-  const xIdxs   = evenlySpaced(n, Math.min(n, 6));
-  const xAxisSvg = xIdxs.map((i) => {
-    const x      = (xOf(i) + barW / 2).toFixed(1);
-    const anchor = i === 0 ? 'start' : i === n - 1 ? 'end' : 'middle';
-    return `<text x="${x}" y="${VH - 4}" text-anchor="${anchor}"
-      style="font-size:10px;fill:black;opacity:0.4;font-family:monospace;"
-      >${esc(labels[i] || '')}</text>`;
-  }).join('');
+  const xAxisSvg = renderXAxis(labels, L.xTicks, (i) => xOf(i) + barW / 2, VH);
 
   return `<svg viewBox="0 0 ${VW} ${VH}" width="100%" height="100%"
      xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMidYMid meet"
      style="display:block;overflow:visible;">
 
+  ${k > 1 ? barPatternDefs(chartId) : ''}
+
+  ${legendSvg}
+
   ${yAxisSvg}
 
   ${barsSvg}
 
+  ${goalLine ? renderGoalLine(goalLine, yOf, padL, VW - padR, L) : ''}
+
   <line x1="${padL}" y1="${baseY}" x2="${VW - padR}" y2="${baseY}"
         stroke="black" stroke-width="1" opacity="0.2"/>
 
@@ -350,17 +940,97 @@ function renderBarChart(series) {
 </svg>`;
 }
 
+// Labelled horizontal goal line — dash-dot so it never reads as a data series
+function renderGoalLine({ value, label }, yOf, x1, x2, L) {
+  const y = yOf(value).toFixed(1);
+  return `<line x1="${x1}" y1="${y}" x2="${x2}" y2="${y}"
+        stroke="black" stroke-width="${L.compact ? 1.25 : 1.5}" stroke-dasharray="10 3 2 3"/>
+  <text x="${x2}" y="${(Number(y) - 4).toFixed(1)}" text-anchor="end"
+        style="font-size:${L.compact ? 9 : 11}px;font-weight:700;fill:black;font-family:${FONT};
+               paint-order:stroke;stroke:white;stroke-width:3px;"
+        >${esc(label)}</text>`;
+}
+
+// ---------------------------------------------------------------------------
+// Progress to goal — cumulative value against the target for the period,
+// with a tick where a steady pace would be and the run-rate still needed
+// ---------------------------------------------------------------------------
+
+function renderProgress({ current, target, pct, expectedPct, needed, neededUnit, left, leftUnit }, L = LAYOUTS.full) {
+  const filled  = Math.min(100, Math.max(0, pct));
+  const barH    = L.compact ? 16 : 28;
+  const reached = current >= target;
+  const units   = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+  const status  = reached
+    ? 'Goal reached'
+    : `Need ${formatAxisNum(Math.ceil(needed), L)}/${neededUnit} \u00b7 ${units(left, leftUnit)} left`;
+
+  return `<div style="flex:1;display:flex;flex-direction:column;justify-content:center;
+                      gap:${L.compact ? 6 : 14}px;font-family:${FONT};">
+  <div style="display:flex;align-items:baseline;gap:10px;white-space:nowrap;">
+    <span style="font-size:${Math.round(L.bigSize * 0.8)}px;font-weight:700;letter-spacing:-1.5px;line-height:1;
+                 font-variant-numeric:tabular-nums;">${esc(formatNum(Math.round(current), L))}</span>
+    <span style="font-size:${L.compact ? 13 : 18}px;opacity:0.5;">/ ${esc(formatNum(target, L))}</span>
+    <span style="margin-left:auto;font-size:${L.compact ? 16 : 24}px;font-weight:700;">${Math.floor(pct)}%</span>
+  </div>
+  <div style="position:relative;height:${barH}px;border:2px solid black;border-radius:4px;">
+    <div style="position:absolute;top:0;left:0;bottom:0;width:${filled.toFixed(1)}%;background:black;"></div>
+    ${reached ? '' : `<div style="position:absolute;top:-6px;bottom:-6px;left:${expectedPct.toFixed(1)}%;
+                border-left:2px dashed ${expectedPct <= filled ? 'white' : 'black'};"></div>`}
+  </div>
+  <div style="font-size:${L.compact ? 11 : 14}px;font-weight:600;white-space:nowrap;overflow:hidden;
+              text-overflow:ellipsis;">${esc(status)}</div>
+</div>`;
+}
+
+// ---------------------------------------------------------------------------
+// Ranked horizontal bars (ActionsBarValue) — one bar per series total
+// ---------------------------------------------------------------------------
+
+function renderRankedBars(series, L = LAYOUTS.full) {
+  const rows    = series.slice(0, L.rows);
+  const maxVal  = Math.max(...rows.map((r) => r.value)) || 1;
+  const VW      = L.chartW;
+  const gapY    = L.compact ? 4 : 8;
+  const rowH    = Math.max(14, Math.min(32, Math.floor(L.chartH / rows.length) - gapY));
+  const labelW  = Math.round(VW * (L.compact ? 0.3 : 0.26));
+  const valW    = L.compact ? 44 : 64;
+  const barMaxW = VW - labelW - valW;
+  const VH      = Math.min(rows.length * (rowH + gapY) + 10, L.chartH);
+  const fontPx  = rowH < 24 ? 10 : 12;
+
+  const rowsSvg = rows.map((row, i) => {
+    const barW = (row.value / maxVal) * barMaxW;
+    const y    = i * (rowH + gapY);
+    return `
+  <text x="0" y="${y + rowH * 0.65}" dominant-baseline="auto"
+        style="font-size:${fontPx}px;fill:black;font-family:${FONT};"
+        >${esc(truncate(row.label || `Series ${i + 1}`, Math.min(28, L.labelLen)))}</text>
+  <rect x="${labelW}" y="${y + 4}" width="${barW.toFixed(1)}" height="${Math.max(rowH - 8, 6)}"
+        fill="black" opacity="${i === 0 ? '0.85' : '0.55'}" rx="2"/>
+  <text x="${labelW + barW + 8}" y="${y + rowH * 0.65}" dominant-baseline="auto"
+        style="font-size:${fontPx - 1}px;fill:black;opacity:0.7;font-family:monospace;"
+        >${esc(formatNum(row.value, L))}</text>`;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${VW} ${VH}" width="100%" height="100%"
+     xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMinYMin meet"
+     style="display:block;overflow:visible;">
+  ${rowsSvg}
+</svg>`;
+}
+
 // ---------------------------------------------------------------------------
 // Paths list — ranked table of top paths
 // ---------------------------------------------------------------------------
 
-function renderPathsList(series, totalCount) {
-  const rows = series.map((p, i) => {
+function renderPathsList(series, totalCount, L = LAYOUTS.full) {
+  const rows = series.slice(0, L.rows).map((p, i) => {
     const rank  = i + 1;
-    const label = esc(truncate(p.label, 60));
-    const val   = esc(formatAxisNum(p.value));
+    const label = esc(truncate(p.label, Math.min(60, L.labelLen * 2)));
+    const val   = esc(formatNum(p.value, L));
     const bg    = i % 2 === 0 ? 'background:rgba(0,0,0,0.03);' : '';
-    return `<div style="display:flex;align-items:center;gap:10px;padding:7px 8px;
+    return `<div style="display:flex;align-items:center;gap:10px;padding:${L.compact ? 3 : 7}px 8px;
                         border-radius:4px;${bg}">
       <span style="font-size:11px;opacity:0.35;font-variant-numeric:tabular-nums;
                    min-width:16px;text-align:right;">${rank}</span>
@@ -371,13 +1041,54 @@ function renderPathsList(series, totalCount) {
     </div>`;
   }).join('');
 
+  // The headline already shows the total in mashup layouts
+  const heading = L.headline ? '' : `<div style="font-size:11px;opacity:0.4;text-transform:uppercase;letter-spacing:0.07em;
+              margin-bottom:6px;padding:0 8px;">Top paths · ${esc(String(totalCount))} total</div>`;
+
   return `<div style="flex:1;display:flex;flex-direction:column;gap:0;overflow:hidden;">
-  <div style="font-size:11px;opacity:0.4;text-transform:uppercase;letter-spacing:0.07em;
-              margin-bottom:6px;padding:0 8px;">Top paths · ${esc(String(totalCount))} total</div>
+  ${heading}
   ${rows}
 </div>`;
 }
 
+// ---------------------------------------------------------------------------
+// Query result table — one page of rows per poll; columns beyond what fits
+// the layout are dropped.
+// ---------------------------------------------------------------------------
+
+/**
+ * Rows that fit on one page of a table in this layout (excluding the header).
+ */
+function tableRowsPerPage(L) {
+  return Math.max(1, Math.floor(L.chartH / (L.compact ? 18 : 24)) - 1);
+}
+
+function renderTable({ columns, rows }, L = LAYOUTS.full, pageIndex = 0) {
+  const perPage  = tableRowsPerPage(L);
+  const maxCols  = Math.max(2, Math.floor(L.chartW / 110));
+  const cols     = columns.slice(0, maxCols);
+  const cellLen  = Math.max(6, Math.floor(L.chartW / cols.length / 7));
+  const pageRows = rows.slice(pageIndex * perPage, (pageIndex + 1) * perPage);
+  const fontPx   = L.compact ? 11 : 13;
+  const padY     = L.compact ? 2 : 4;
+  // Right-align columns whose cells are all numbers
+  const numeric  = cols.map((_, c) => rows.every((r) => r[c] === '' || !isNaN(Number(r[c]))));
+
+  const cell = (value, c, tag, extra = '') => `<${tag} style="padding:${padY}px 6px;text-align:${numeric[c] ? 'right' : 'left'};
+        white-space:nowrap;overflow:hidden;text-overflow:ellipsis;${extra}">${esc(truncate(value, cellLen))}</${tag}>`;
+
+  const head = cols.map((c, i) => cell(c, i, 'th',
+    'font-size:10px;font-weight:600;letter-spacing:0.06em;text-transform:uppercase;opacity:0.5;border-bottom:1px solid black;')).join('');
+  const body = pageRows.map((r, i) => `<tr style="${i % 2 ? 'background:rgba(0,0,0,0.04);' : ''}">
+      ${cols.map((_, c) => cell(r[c] ?? '', c, 'td', numeric[c] ? 'font-family:monospace;' : '')).join('')}
+    </tr>`).join('');
+
+  return `<table style="width:100%;border-collapse:collapse;table-layout:fixed;font-size:${fontPx}px;font-family:${FONT};">
+  <thead><tr>${head}</tr></thead>
+  <tbody>${body}</tbody>
+</table>`;
+}
+
 // ---------------------------------------------------------------------------
 // Empty state
 // ---------------------------------------------------------------------------
@@ -393,15 +1104,30 @@ function renderEmptyChart() {
 // Error / no-config states
 // ---------------------------------------------------------------------------
 
-function renderBottomBar(instanceText) {
-  return `<div style="position:absolute;bottom:0;left:0;right:0;height:${TITLE_H}px;
+/**
+ * Bottom title bar: logo + text, with optional right-aligned markers
+ *   page       — { index, total } when rotating through dashboard tiles
+ *   staleSince — unix seconds of the last good fetch when serving stale data,
+ *                shown on the clock of timeZone (the installation's)
+ */
+function renderBottomBar(instanceText, { barH = TITLE_H, staleSince = null, timeZone, page = null } = {}) {
+  const markers = [
+    staleSince ? `stale since ${formatClock(staleSince, timeZone)}` : '',
+    page ? `${page.index} / ${page.total}` : '',
+  ].filter(Boolean);
+
+  return `<div style="position:absolute;bottom:0;left:0;right:0;height:${barH}px;
             border-top:1px solid #e0e0e0;
             display:flex;align-items:center;gap:8px;
             padding:0 ${PAD_H}px;font-family:${FONT};">
   <img src="https://app.posthog.com/static/posthog-logo.svg"
        style="height:18px;width:auto;flex-shrink:0;" alt=""
        onerror="this.style.display='none'">
-  <span style="font-size:13px;font-weight:600;">${esc(instanceText)}</span>
+  <span style="font-size:13px;font-weight:600;white-space:nowrap;overflow:hidden;
+               text-overflow:ellipsis;">${esc(instanceText)}</span>
+  ${markers.length ? `<span style="margin-left:auto;flex-shrink:0;font-size:11px;opacity:0.55;
+               white-space:nowrap;font-variant-numeric:tabular-nums;"
+    >${esc(markers.join(' \u00b7 '))}</span>` : ''}
 </div>`;
 }
 
@@ -436,23 +1162,79 @@ ${renderBottomBar('Setup required')}`.trim();
 // Helpers
 // ---------------------------------------------------------------------------
 
-function niceYAxis(rawMax) {
-  if (rawMax <= 0) return { ticks: [0], axisMax: 1 };
-  const roughStep = rawMax / 4;
+// `include` (e.g. a goal line) is kept on the axis even when the data stays below it;
+// the axis starts at 0 unless `rawMin` is negative
+function niceYAxis(rawMax, tickCount = 4, include = null, rawMin = 0) {
+  if (include > rawMax) rawMax = include;
+  rawMax = Math.max(rawMax, 0);
+  rawMin = Math.min(rawMin, 0);
+  if (rawMax - rawMin <= 0) return { ticks: [0], axisMin: 0, axisMax: 1 };
+  const roughStep = (rawMax - rawMin) / (tickCount || 2);
   const magnitude = Math.pow(10, Math.floor(Math.log10(roughStep)));
   const step = magnitude * ([1, 2, 2.5, 5, 10].find((s) => s * magnitude >= roughStep) || 1);
+  const axisMin = Math.floor(rawMin / step) * step;
   const axisMax = Math.ceil(rawMax / step) * step;
   const ticks = [];
-  for (let t = 0; t <= axisMax + step * 0.01; t += step) ticks.push(Math.round(t));
-  return { ticks, axisMax };
+  for (let t = axisMin; t <= axisMax + step * 0.01; t += step) ticks.push(Math.round(t));
+  return { ticks, axisMin, axisMax };
+}
+
+// SVG padding around the plot area. Sparklines (compact) have no y labels,
+// so the left gutter collapses.
+function chartPadding(L) {
+  return {
+    padT: L.compact ? 4 : 10,
+    padB: L.xTicks ? (L.compact ? 16 : 26) : 4,
+    padL: L.yTicks ? (L.width < 800 ? 40 : 52) : 4,
+    padR: 8,
+  };
+}
+
+// One-row legend across the top of a chart, labels shortened to fit their
+// slot. Each item supplies a 24px-wide swatch drawn at (x, y).
+function renderLegend(items, L, x0, y, x1) {
+  const slotW    = (x1 - x0) / items.length;
+  const maxChars = Math.max(3, Math.min(L.labelLen, Math.floor((slotW - 40) / 6)));
+  return items.map((item, i) => {
+    const x = x0 + i * slotW;
+    return `${item.swatch(x, y)}
+  <text x="${x + 30}" y="${y}" dominant-baseline="middle"
+        style="font-size:${L.compact ? 10 : 11}px;fill:black;font-family:${FONT};"
+        >${esc(truncate(item.label, maxChars))}</text>`;
+  }).join('\n  ');
+}
+
+function renderYAxis(ticks, yOf, x1, x2, L) {
+  return ticks.map((tick) => {
+    const y = yOf(tick).toFixed(1);
+    return `<line x1="${x1}" y1="${y}" x2="${x2}" y2="${y}"
+        stroke="black" stroke-width="0.5" opacity="0.25"/>
+  <text x="${x1 - 6}" y="${y}" text-anchor="end" dominant-baseline="middle"
+        style="font-size:10px;fill:black;opacity:0.5;font-family:monospace;"
+        >${esc(formatAxisNum(tick, L))}</text>`;
+  }).join('\n  ');
+}
+
+function renderXAxis(labels, maxTicks, xOf, VH) {
+  if (!maxTicks) return '';
+  const n = labels.length;
+  return evenlySpaced(n, Math.min(n, maxTicks)).map((i) => {
+    const x      = xOf(i).toFixed(1);
+    const anchor = i === 0 ? 'start' : i === n - 1 ? 'end' : 'middle';
+    return `<text x="${x}" y="${VH - 4}" text-anchor="${anchor}"
+      style="font-size:10px;fill:black;opacity:0.4;font-family:monospace;"
+      >${esc(labels[i] || '')}</text>`;
+  }).join('');
 }
 
-function formatAxisNum(n) {
-  const num = Number(n);
-  if (isNaN(num)) return String(n);
-  if (num >= 1_000_000) return (num / 1_000_000).toFixed(num % 1_000_000 === 0 ? 0 : 1) + 'M';
-  if (num >= 1_000)     return (num / 1_000).toFixed(num % 1_000 === 0 ? 0 : 1) + 'K';
-  return String(num);
+// Data values in the installation's number format (L.numbers, from its
+// display prefs); axis ticks keep to whole steps
+function formatNum(n, L) {
+  return formatNumber(n, L.numbers);
+}
+
+function formatAxisNum(n, L) {
+  return formatNumber(n, L.numbers, { axis: true });
 }
 
 function evenlySpaced(total, count) {
@@ -477,8 +1259,25 @@ function formatType(type, display = '') {
   if (display === 'ActionsBar' || display === 'ActionsUnstackedBar' ||
       display === 'ActionsStackedBar' || display === 'ActionsBarValue') return 'Bar chart';
   if (display === 'ActionsAreaGraph') return 'Area chart';
+  if (display === 'HogQLTable')     return 'SQL query';
   return { TRENDS: 'Trends', FUNNEL: 'Funnel', RETENTION: 'Retention',
-           PATHS: 'Paths', LIFECYCLE: 'Lifecycle', STICKINESS: 'Stickiness' }[type] || type || 'Insight';
+           PATHS: 'Paths', LIFECYCLE: 'Lifecycle', STICKINESS: 'Stickiness',
+           HOGQL: 'SQL query' }[type] || type || 'Insight';
+}
+
+// Percent change → "▲ 12.4%" / "▼ 3.0%" (arrows, not colour, for 1-bit screens)
+function formatChange(change) {
+  if (change === null || change === undefined || !isFinite(change)) return '';
+  const rounded = Math.abs(change).toFixed(1);
+  if (rounded === '0.0') return '\u2013 0.0%';
+  return `${change > 0 ? '\u25B2' : '\u25BC'} ${rounded}%`;
+}
+
+// Unix seconds → "HH:MM" on the wall clock of an IANA time zone (UTC when
+// the installation hasn't reported one)
+function formatClock(unixSeconds, timeZone) {
+  const minute = minuteOfDay(new Date(unixSeconds * 1000), timeZone || undefined);
+  return `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
 }
 
 function truncate(str, len) {
@@ -491,4 +1290,10 @@ function esc(str) {
     .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
-module.exports = { renderMarkup, renderError, renderNoConfig };
+module.exports = {
+  renderMarkup, renderLayouts, renderError, renderNoConfig,
+  // Shared with the bitmap renderer (image.js) and the settings preview
+  LAYOUTS, LAYOUT_FIELDS, PAD_H, TILE_GAP,
+  planView, renderChart, dashboardGrid, dashboardMetaLine, tileLayout, tileChart,
+  displayLayout, tableRowsPerPage, formatChange, formatClock, formatNum, formatAxisNum, truncate,
+};
@@ -0,0 +1,144 @@
+/**
+ * Prometheus metrics, served as text (exposition format 0.0.4) by
+ * GET /metrics.
+ *
+ * A small in-process registry rather than a client library: counters and
+ * histograms keyed by label values, plus gauges read when scraped.
+ *
+ *   http_requests_total{method,route,status}
+ *   posthog_fetch_duration_seconds{source,outcome}   histogram — one fetch and
+ *                                                    parse of a source
+ *                                                    (shared, api or hogql)
+ *   posthog_upstream_responses_total{host,status}    every HTTP answer from
+ *                                                    PostHog (status 'error'
+ *                                                    for network failures)
+ *   posthog_requests_shed_total{host}                dropped by limiter.js
+ *     host is a PostHog cloud host or 'other' (self-hosted instances are
+ *     typed in by users, so they'd make the label unbounded)
+ *   insight_parse_failures_total{type,display,reason}
+ *     reason: 'result' (the parser threw), 'exported_data_json' /
+ *     'api_response_json' (unreadable response), 'unsupported_kind' or
+ *     'empty' (parsed, but nothing to draw)
+ *   installations, posthog_requests_in_flight,
+ *   posthog_requests_queued                          gauges
+ */
+
+const metrics = new Map(); // name → { type, help, labels, series: Map, buckets?, collect? }
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function register(name, type, help, labels = [], extra = {}) {
+  const metric = { name, type, help, labels, series: new Map(), ...extra };
+  metrics.set(name, metric);
+  return metric;
+}
+
+// Label values in declaration order, as one Map key
+function seriesKey(metric, labelValues) {
+  return JSON.stringify(metric.labels.map((l) => String(labelValues[l] ?? '')));
+}
+
+function counter(name, help, labels) {
+  const metric = register(name, 'counter', help, labels);
+  return {
+    inc(labelValues = {}, by = 1) {
+      const key = seriesKey(metric, labelValues);
+      metric.series.set(key, (metric.series.get(key) || 0) + by);
+    },
+  };
+}
+
+function histogram(name, help, labels, buckets = DEFAULT_BUCKETS) {
+  const metric = register(name, 'histogram', help, labels, { buckets });
+  return {
+    observe(labelValues, value) {
+      const key    = seriesKey(metric, labelValues);
+      const series = metric.series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => { if (value <= le) series.counts[i]++; });
+      series.sum   += value;
+      series.count += 1;
+      metric.series.set(key, series);
+    },
+  };
+}
+
+// collect() returns the current value, or [{ labels, value }] for several series
+function gauge(name, help, labels, collect) {
+  register(name, 'gauge', help, labels, { collect });
+}
+
+/**
+ * Everything registered, in Prometheus text format. A gauge whose collect()
+ * throws is left out rather than failing the scrape.
+ */
+function renderMetrics() {
+  const out = [];
+  for (const metric of metrics.values()) {
+    out.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+
+    if (metric.type === 'gauge') {
+      let value;
+      try {
+        value = metric.collect();
+      } catch {
+        continue;
+      }
+      const rows = Array.isArray(value) ? value : [{ labels: {}, value }];
+      for (const row of rows) out.push(`${metric.name}${labelText(metric.labels, row.labels)} ${row.value}`);
+      continue;
+    }
+
+    for (const [key, series] of metric.series) {
+      const values = Object.fromEntries(JSON.parse(key).map((v, i) => [metric.labels[i], v]));
+      if (metric.type === 'counter') {
+        out.push(`${metric.name}${labelText(metric.labels, values)} ${series}`);
+        continue;
+      }
+      metric.buckets.forEach((le, i) => {
+        out.push(`${metric.name}_bucket${labelText([...metric.labels, 'le'], { ...values, le })} ${series.counts[i]}`);
+      });
+      out.push(`${metric.name}_bucket${labelText([...metric.labels, 'le'], { ...values, le: '+Inf' })} ${series.count}`);
+      out.push(`${metric.name}_sum${labelText(metric.labels, values)} ${series.sum}`);
+      out.push(`${metric.name}_count${labelText(metric.labels, values)} ${series.count}`);
+    }
+  }
+  return `${out.join('\n')}\n`;
+}
+
+function labelText(names, values = {}) {
+  if (names.length === 0) return '';
+  const pairs = names.map((n) => `${n}="${String(values[n] ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+// ---------------------------------------------------------------------------
+// The metrics themselves
+// ---------------------------------------------------------------------------
+
+const httpRequests = counter(
+  'http_requests_total', 'HTTP requests handled, by route pattern and status', ['method', 'route', 'status'],
+);
+const fetchDuration = histogram(
+  'posthog_fetch_duration_seconds', 'Time to fetch and parse one insight source', ['source', 'outcome'],
+);
+const upstreamResponses = counter(
+  'posthog_upstream_responses_total', 'Responses from PostHog by host and HTTP status', ['host', 'status'],
+);
+const requestsShed = counter(
+  'posthog_requests_shed_total', 'PostHog requests dropped by the limiter', ['host'],
+);
+const parseFailures = counter(
+  'insight_parse_failures_total', 'Insights PostHog returned that could not be parsed or drawn', ['type', 'display', 'reason'],
+);
+
+const CLOUD_HOSTS = new Set(['us.posthog.com', 'eu.posthog.com', 'app.posthog.com']);
+
+// The host label for a request's host (host[:port])
+function hostLabel(host) {
+  return CLOUD_HOSTS.has(host) ? host : 'other';
+}
+
+module.exports = {
+  gauge, renderMetrics, hostLabel,
+  httpRequests, fetchDuration, upstreamResponses, requestsShed, parseFailures,
+};
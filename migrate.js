@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * migrate.js
+ * Versioned schema migrations for the SQLite store.
+ *
+ * Migrations live in migrations/ as NNN_name.js, numbered from 001 without
+ * gaps, each exporting:
+ *   description  — one line for `status`
+ *   destructive  — true if it drops or rewrites data (optional)
+ *   up(db)       — applies the change through a better-sqlite3 handle
+ *
+ * db.getDb() runs pending migrations on startup, in number order, each in
+ * its own transaction together with its schema_version row — a failure
+ * rolls back to the previous version and stops the server starting. Before
+ * a destructive migration the database is copied next to itself as
+ * <DB_PATH>.v<version>-<timestamp>.bak, unless no plugin is installed yet.
+ *
+ * Usage:
+ *   node migrate.js status   — current version and pending migrations
+ *   node migrate.js run      — apply pending migrations now
+ *   npm run migrate -- status
+ */
+
+const fs      = require('fs');
+const path    = require('path');
+const { log } = require('./log');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_RE        = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * The migrations on disk, in order: [{ version, name, file, description, destructive, up }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => {
+      const m = file.match(FILE_RE);
+      return m ? { version: Number(m[1]), name: m[2], file } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version)
+    .map((m) => ({ destructive: false, ...require(path.join(dir, m.file)), ...m }));
+
+  migrations.forEach((m, i) => {
+    if (m.version !== i + 1) {
+      throw new Error(`Migrations must be numbered from 001 without gaps or repeats (found ${m.file})`);
+    }
+    if (typeof m.up !== 'function') {
+      throw new Error(`Migration ${m.file} does not export up(db)`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Where the database stands, without changing it:
+ *   { current, latest, applied: [{ version, name, applied_at }], pending: [migration] }
+ */
+function migrationStatus(db, migrations = loadMigrations()) {
+  const hasTable = db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'"
+  ).get();
+  const applied = hasTable
+    ? db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version').all()
+    : [];
+  const current = applied.length ? applied[applied.length - 1].version : 0;
+
+  return {
+    current,
+    latest:  migrations.length,
+    applied,
+    pending: migrations.filter((m) => m.version > current),
+  };
+}
+
+/**
+ * Apply pending migrations in order. dbPath is the database file, backed
+ * up before each destructive migration. Returns the migrations applied.
+ */
+function migrate(db, dbPath, migrations = loadMigrations()) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version            INTEGER PRIMARY KEY,
+      name               TEXT NOT NULL,
+      applied_at         INTEGER DEFAULT (unixepoch())
+    )
+  `);
+
+  const { current, latest, pending } = migrationStatus(db, migrations);
+  if (current > latest) {
+    // Rolled back to older code: its queries may not match the newer schema
+    throw new Error(
+      `Database schema is at version ${current}, but the latest migration here is ${latest}. ` +
+      'Deploy the newer code or restore a backup.'
+    );
+  }
+
+  const record = db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+  for (const m of pending) {
+    if (m.destructive) backupDatabase(db, dbPath, m.version - 1);
+    db.transaction(() => {
+      m.up(db);
+      record.run(m.version, m.name);
+    })();
+    log.info('Migrated database', { version: m.version, migration: m.name });
+  }
+  return pending;
+}
+
+// Snapshot of the database as this connection sees it (WAL included);
+// skipped while no plugin is installed, e.g. a fresh database's first start
+function backupDatabase(db, dbPath, version) {
+  if (!dbPath || dbPath === ':memory:' || !fs.existsSync(dbPath)) return null;
+  if (!hasInstallations(db)) return null;
+  const stamp      = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  const backupPath = `${dbPath}.v${version}-${stamp}.bak`;
+  fs.writeFileSync(backupPath, db.serialize());
+  log.info('Backed up database', { path: backupPath });
+  return backupPath;
+}
+
+function hasInstallations(db) {
+  const table = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'installations'").get();
+  return Boolean(table) && Boolean(db.prepare('SELECT 1 FROM installations LIMIT 1').get());
+}
+
+module.exports = { loadMigrations, migrationStatus, migrate };
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  require('dotenv').config();
+  const Database    = require('better-sqlite3');
+  const { DB_PATH } = require('./db');
+  const command     = process.argv[2] || 'status';
+
+  if (command === 'status') {
+    printStatus();
+  } else if (command === 'run') {
+    const db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    try {
+      const applied = migrate(db, DB_PATH);
+      console.log(applied.length
+        ? `Applied ${applied.length} migration(s); database is at version ${applied[applied.length - 1].version}.`
+        : 'Nothing to do; database is up to date.');
+    } catch (err) {
+      console.error('Migration failed:', err.message);
+      process.exitCode = 1;
+    } finally {
+      db.close();
+    }
+  } else {
+    console.error(`Unknown command "${command}". Usage: node migrate.js [status|run]`);
+    process.exitCode = 1;
+  }
+
+  function printStatus() {
+    const migrations = loadMigrations();
+    console.log(`Database: ${DB_PATH}`);
+    if (!fs.existsSync(DB_PATH)) {
+      console.log(`No database yet; ${migrations.length} migration(s) will run when it is created.`);
+      return;
+    }
+
+    const db = new Database(DB_PATH, { readonly: true });
+    const { current, latest, applied } = migrationStatus(db, migrations);
+    db.close();
+
+    console.log(`Schema version: ${current} of ${latest}`);
+    const appliedAt = new Map(applied.map((a) => [a.version, a.applied_at]));
+    for (const m of migrations) {
+      const number = String(m.version).padStart(3, '0');
+      const state  = appliedAt.has(m.version)
+        ? `applied ${new Date(appliedAt.get(m.version) * 1000).toISOString().slice(0, 16).replace('T', ' ')}`
+        : `pending${m.destructive ? ', destructive (backs up first)' : ''}`;
+      console.log(`  ${number} ${m.name} — ${m.description} [${state}]`);
+    }
+    if (current > latest) {
+      console.log(`Database is newer than this code (version ${current}).`);
+    }
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * 001 — the schema as it stood before versioned migrations.
+ *
+ * Databases created before schema_version existed may be at any earlier
+ * point, so this only creates what is missing: tables with IF NOT EXISTS,
+ * and the columns added to insight_sources and source_rotation after those
+ * tables first shipped.
+ */
+
+module.exports = {
+  description: 'Baseline schema (tables and columns from before versioned migrations)',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS installations (
+        plugin_setting_id TEXT PRIMARY KEY,
+        access_token       TEXT NOT NULL,
+        posthog_url        TEXT,
+        created_at         INTEGER DEFAULT (unixepoch()),
+        updated_at         INTEGER DEFAULT (unixepoch())
+      );
+
+      CREATE TABLE IF NOT EXISTS insight_cache (
+        share_token        TEXT PRIMARY KEY,
+        insight_json       TEXT,
+        fetched_at         INTEGER,
+        last_error         TEXT,
+        last_error_at      INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS tile_rotation (
+        plugin_setting_id  TEXT PRIMARY KEY,
+        enabled            INTEGER NOT NULL DEFAULT 0,
+        tile_order         TEXT,
+        excluded_tiles     TEXT,
+        position           INTEGER NOT NULL DEFAULT 0,
+        updated_at         INTEGER DEFAULT (unixepoch())
+      );
+
+      CREATE TABLE IF NOT EXISTS insight_sources (
+        id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+        plugin_setting_id  TEXT NOT NULL,
+        position           INTEGER NOT NULL,
+        posthog_url        TEXT NOT NULL,
+        title_override     TEXT,
+        active_from        INTEGER,
+        active_to          INTEGER
+      );
+
+      CREATE INDEX IF NOT EXISTS insight_sources_installation
+        ON insight_sources (plugin_setting_id, position);
+
+      CREATE TABLE IF NOT EXISTS source_rotation (
+        plugin_setting_id  TEXT PRIMARY KEY,
+        position           INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+        plugin_setting_id  TEXT NOT NULL,
+        position           INTEGER NOT NULL,
+        metric             TEXT NOT NULL,
+        operator           TEXT NOT NULL,
+        value              REAL NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS alert_rules_installation
+        ON alert_rules (plugin_setting_id, position);
+
+      CREATE TABLE IF NOT EXISTS goals (
+        plugin_setting_id  TEXT PRIMARY KEY,
+        value              REAL NOT NULL,
+        period             TEXT NOT NULL,
+        display            TEXT NOT NULL DEFAULT 'line'
+      );
+
+      CREATE TABLE IF NOT EXISTS display_prefs (
+        plugin_setting_id  TEXT PRIMARY KEY,
+        title_override     TEXT,
+        chart_type         TEXT NOT NULL DEFAULT 'auto',
+        series             TEXT NOT NULL DEFAULT '[]',  -- JSON array of series names
+        number_format      TEXT NOT NULL DEFAULT 'compact',
+        decimals           INTEGER,                     -- NULL = automatic
+        hide_meta          INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+
+    addColumnIfMissing(db, 'insight_sources', 'source_type', "TEXT NOT NULL DEFAULT 'shared'");
+    addColumnIfMissing(db, 'insight_sources', 'api_host', 'TEXT');
+    addColumnIfMissing(db, 'insight_sources', 'project_id', 'TEXT');
+    addColumnIfMissing(db, 'insight_sources', 'insight_ref', 'TEXT');
+    addColumnIfMissing(db, 'insight_sources', 'api_key_enc', 'TEXT');
+    addColumnIfMissing(db, 'insight_sources', 'hogql_query', 'TEXT');
+    addColumnIfMissing(db, 'source_rotation', 'table_page', 'INTEGER NOT NULL DEFAULT 0');
+  },
+};
+
+function addColumnIfMissing(db, table, column, definition) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some((c) => c.name === column);
+  if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
@@ -0,0 +1,35 @@
+/**
+ * 002 — store TRMNL access tokens encrypted, with a keyed hash for lookups.
+ *
+ * Encrypts every existing installations.access_token into access_token_enc
+ * (AES-GCM, ENCRYPTION_KEY — see secrets.js), fills access_token_hash, then
+ * drops the plaintext column. Needs ENCRYPTION_KEY whenever there are rows
+ * to convert.
+ */
+
+const { encryptSecret, hashSecret } = require('../secrets');
+
+module.exports = {
+  description: 'Encrypt TRMNL access tokens at rest (drops the plaintext column)',
+  destructive: true,
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE installations ADD COLUMN access_token_enc TEXT;
+      ALTER TABLE installations ADD COLUMN access_token_hash TEXT;
+    `);
+
+    const rows   = db.prepare('SELECT plugin_setting_id, access_token FROM installations').all();
+    const update = db.prepare(`
+      UPDATE installations SET access_token_enc = ?, access_token_hash = ? WHERE plugin_setting_id = ?
+    `);
+    for (const row of rows) {
+      update.run(encryptSecret(row.access_token), hashSecret(row.access_token), row.plugin_setting_id);
+    }
+
+    db.exec(`
+      ALTER TABLE installations DROP COLUMN access_token;
+      CREATE INDEX installations_access_token_hash ON installations (access_token_hash);
+    `);
+  },
+};
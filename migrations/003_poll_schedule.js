@@ -0,0 +1,16 @@
+/**
+ * 003 — remember when each installation was last polled and the
+ * refresh_rate it was given, so the prefetch scheduler (scheduler.js) can
+ * tell when the next poll is due.
+ */
+
+module.exports = {
+  description: 'Track last poll time and refresh rate per installation',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE installations ADD COLUMN last_polled_at INTEGER;
+      ALTER TABLE installations ADD COLUMN refresh_rate INTEGER;
+    `);
+  },
+};
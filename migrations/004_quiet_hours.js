@@ -0,0 +1,23 @@
+/**
+ * 004 — quiet hours per installation, the time zone TRMNL reports for its
+ * user, and a count of failed polls in a row for error backoff (see
+ * refresh.js).
+ */
+
+module.exports = {
+  description: 'Quiet hours, user time zone and poll error streak',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE quiet_hours (
+        plugin_setting_id  TEXT PRIMARY KEY,
+        start_minute       INTEGER NOT NULL,
+        end_minute         INTEGER NOT NULL,
+        time_zone          TEXT NOT NULL
+      );
+
+      ALTER TABLE installations ADD COLUMN time_zone TEXT;
+      ALTER TABLE installations ADD COLUMN error_streak INTEGER NOT NULL DEFAULT 0;
+    `);
+  },
+};
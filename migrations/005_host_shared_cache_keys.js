@@ -0,0 +1,19 @@
+/**
+ * 005 — share links are cached under "shared:<host>:<token>" rather than the
+ * bare token, so the same token on two PostHog instances no longer shares a
+ * row. Rows under the old keys can't be told apart by host; they are dropped
+ * and refetched on the next poll.
+ */
+
+module.exports = {
+  description: 'Drop share-link cache rows keyed without their PostHog host',
+
+  up(db) {
+    db.exec(`
+      DELETE FROM insight_cache
+      WHERE share_token NOT LIKE 'shared:%'
+        AND share_token NOT LIKE 'api:%'
+        AND share_token NOT LIKE 'hogql:%'
+    `);
+  },
+};
@@ -0,0 +1,113 @@
+/**
+ * Keep outbound PostHog requests off the server's own network.
+ *
+ * PostHog hosts come from users (self-hosted share links, API hosts), and
+ * the settings form shows whatever the host answers, so an unchecked host
+ * would let anyone probe services only the server can reach. Two checks:
+ *   - isPrivateHost(hostname) — for the settings form: loopback, private,
+ *     link-local and similar addresses typed in directly, and localhost
+ *   - refusePrivate(url) and agentFor(url) — for limiter.js, which also runs
+ *     every redirect's Location past refusePrivate: addresses like those are
+ *     refused before a request is sent, and the agents refuse them again as
+ *     they connect — names as they resolve (so a public name that resolves
+ *     inward fails), IP literals before the socket opens, and the address
+ *     each socket reached once connected. All fail with code EPRIVATE.
+ *
+ * DEV_MODE lifts both, for stub-posthog.js on localhost.
+ */
+
+const dns   = require('dns');
+const http  = require('http');
+const https = require('https');
+const net   = require('net');
+const { DEV_MODE } = require('./auth');
+
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+// True for an IP address the public internet can't route to us
+// (IPv4-mapped IPv6 addresses are judged by their IPv4 part)
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// A URL hostname (IPv6 in brackets) that names this machine or its network
+function isPrivateHost(hostname) {
+  const host = String(hostname).replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return isPrivateAddress(host);
+}
+
+function privateError(message) {
+  const err = new Error(message);
+  err.code  = 'EPRIVATE';
+  return err;
+}
+
+// Throw before a request to a URL that names a private host (IP literals
+// never reach the agents' DNS lookup)
+function refusePrivate(url) {
+  const { hostname } = new URL(url);
+  if (!DEV_MODE && isPrivateHost(hostname)) {
+    throw privateError(`${hostname} is a private address; PostHog requests only go to public hosts`);
+  }
+}
+
+// dns.lookup, failing with EPRIVATE when the name resolves to a private address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map((a) => a.address) : [address];
+    const blocked   = addresses.find(isPrivateAddress);
+    if (blocked) return callback(privateError(`${hostname} resolves to a private address (${blocked})`));
+    return callback(null, address, family);
+  });
+}
+
+// An agent of the given class that only connects to public addresses
+function publicAgent(Agent) {
+  class PublicAgent extends Agent {
+    createConnection(options, callback) {
+      if (isPrivateHost(options.host)) {
+        callback(privateError(`${options.host} is a private address; PostHog requests only go to public hosts`));
+        return undefined;
+      }
+      const socket = super.createConnection({ ...options, lookup: publicLookup }, callback);
+      socket.once('connect', () => {
+        if (isPrivateAddress(socket.remoteAddress)) {
+          socket.destroy(privateError(`${options.host} connected to a private address (${socket.remoteAddress})`));
+        }
+      });
+      return socket;
+    }
+  }
+  return new PublicAgent({ lookup: publicLookup });
+}
+
+const agents = {
+  'http:':  publicAgent(http.Agent),
+  'https:': publicAgent(https.Agent),
+};
+
+/**
+ * The agent node-fetch should use for a URL (its `agent` option takes this
+ * function): one that only connects to public addresses, or the default
+ * agent in dev mode.
+ */
+function agentFor(url) {
+  return DEV_MODE ? undefined : agents[url.protocol];
+}
+
+module.exports = { isPrivateAddress, isPrivateHost, refusePrivate, agentFor };
@@ -8,16 +8,52 @@
  * PostHog server-side renders the shared page and embeds the insight data
  * as JSON inside a <script id="posthog-exported-data"> tag — there is no
  * separate JSON API endpoint. We fetch the HTML page and extract that tag.
+ *
+ * Private (non-shared) insights go through the REST API instead, with a
+ * read-only personal API key — see fetchApiInsight(). Both paths end in
+ * the same parseInsightData().
+ *
+ * HogQL query sources run a SELECT through the query API (fetchHogQLQuery)
+ * and are mapped by parseQueryResult() instead.
+ *
+ * Every request goes through limiter.js, which caps concurrency and rate
+ * against PostHog.
  */
 
-const fetch = require('node-fetch');
+const { limitedFetch: fetch } = require('./limiter');
+const { log } = require('./log');
+const { parseFailures } = require('./metrics');
 
 const SHARED_PATH_RE = /\/shared\/([A-Za-z0-9_-]+)/;
 
+// Most series a multi-series chart can draw and still tell apart in 1-bit
+const MAX_SERIES = 4;
+
+// Insight kinds (query kinds and legacy filters.insight values) the parser
+// understands; others parse to little more than a title
+const SUPPORTED_KINDS = new Set([
+  'TrendsQuery', 'FunnelsQuery', 'RetentionQuery', 'PathsQuery', 'LifecycleQuery', 'StickinessQuery',
+  'TRENDS', 'FUNNELS', 'RETENTION', 'PATHS', 'LIFECYCLE', 'STICKINESS',
+]);
+
 // Matches: <script id="posthog-exported-data" ...>...</script>
 const EXPORTED_DATA_RE =
   /<script[^>]+id=["']posthog-exported-data["'][^>]*>([\s\S]*?)<\/script>/i;
 
+/**
+ * An Error tagged for callers that need to tell failures apart (settings
+ * validation) without matching on messages:
+ *   code   — NOT_SHARED, NOT_FOUND, UNAUTHORIZED or HTTP_ERROR (and BUSY
+ *            from limiter.js when a request is shed before it is sent)
+ *   status — the HTTP status PostHog answered with, if any
+ */
+function posthogError(message, code, status = null) {
+  const err  = new Error(message);
+  err.code   = code;
+  err.status = status;
+  return err;
+}
+
 function tokenFromUrl(url) {
   const m = url.match(SHARED_PATH_RE);
   if (!m) throw new Error('Could not extract share token from URL');
@@ -25,7 +61,27 @@ function tokenFromUrl(url) {
 }
 
 /**
- * Returns { title, type, primaryValue, secondaryLabel, series }
+ * Returns { title, type, kind, display, primaryValue, secondaryLabel, series, multiSeries, retention }
+ *   kind        — what PostHog calls the insight: the query kind (e.g.
+ *                 'TrendsQuery') or a legacy filters.insight value
+ *   interval    — trends bucket size ('hour', 'day', 'week', 'month'), or ''
+ *   lastRefresh — unix seconds PostHog last computed the result, or null
+ *   primaryNumber — the headline as a number when it's a count, else null
+ *   series      — [{ label, value, date }] points of the primary (first) series
+ *   multiSeries — [{ label, total, series, previousSeries }] for insights with
+ *                 several series, capped at MAX_SERIES; empty for
+ *                 single-series results. previousSeries is the series'
+ *                 previous-period points when comparing, else []
+ *   retention   — { period, periods, cohorts: [{ label, size, values }] } for
+ *                 RETENTION insights (values are % of cohort size), else null
+ *   comparison  — { change, previousSeries } when the insight compares to the
+ *                 previous period: change is the % change of the headline
+ *                 value (null without a baseline), previousSeries the
+ *                 previous period's points for the headline series
+ *
+ * Shared dashboards additionally carry { dashboardName, tiles }, where tiles
+ * is every data tile parsed the same way (plus a stable `key` and a grid
+ * `span`), in layout order.
  */
 async function fetchInsight(shareUrl) {
   // Normalise: strip trailing slashes / query strings
@@ -41,7 +97,11 @@ async function fetchInsight(shareUrl) {
   });
 
   if (!res.ok) {
-    throw new Error(`PostHog returned ${res.status} for ${cleanUrl}`);
+    // A share link whose sharing was switched off answers like a missing one
+    const code = res.status === 404 ? 'NOT_FOUND'
+      : res.status === 401 || res.status === 403 ? 'NOT_SHARED'
+      : 'HTTP_ERROR';
+    throw posthogError(`PostHog returned ${res.status} for ${cleanUrl}`, code, res.status);
   }
 
   const html = await res.text();
@@ -49,9 +109,10 @@ async function fetchInsight(shareUrl) {
   // Extract the embedded JSON blob
   const match = html.match(EXPORTED_DATA_RE);
   if (!match) {
-    throw new Error(
+    throw posthogError(
       'Could not find posthog-exported-data in page. ' +
-      'Make sure the insight is shared publicly.'
+      'Make sure the insight is shared publicly.',
+      'NOT_SHARED',
     );
   }
 
@@ -66,6 +127,7 @@ async function fetchInsight(shareUrl) {
       data = JSON.parse(raw);
     }
   } catch (e) {
+    parseFailures.inc({ type: 'unknown', display: '', reason: 'exported_data_json' });
     throw new Error('Failed to parse posthog-exported-data JSON: ' + e.message);
   }
 
@@ -80,21 +142,222 @@ async function fetchInsight(shareUrl) {
   return parseInsight(payload);
 }
 
+/**
+ * Fetch a private insight through the PostHog REST API.
+ *   apiHost    — e.g. https://us.posthog.com (or a self-hosted / stub server)
+ *   projectId  — numeric project ID
+ *   insightRef — numeric insight ID or its short_id (from the insight URL)
+ *   apiKey     — personal API key with insight:read scope
+ *
+ * Returns the same shape as fetchInsight().
+ */
+async function fetchApiInsight({ apiHost, projectId, insightRef, apiKey }) {
+  const base    = `${apiHost.replace(/\/+$/, '')}/api/projects/${encodeURIComponent(projectId)}/insights`;
+  const byId    = /^\d+$/.test(insightRef);
+  // refresh=blocking recomputes the result if PostHog's cached copy is stale
+  const url     = byId
+    ? `${base}/${insightRef}/?refresh=blocking`
+    : `${base}/?short_id=${encodeURIComponent(insightRef)}&refresh=blocking`;
+
+  const res = await fetch(url, {
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'User-Agent':  'Mozilla/5.0 (compatible; TRMNL-PostHog-Plugin/1.0)',
+    },
+  });
+
+  // Errors never include the API key; the ids are enough to debug
+  if (res.status === 401 || res.status === 403) {
+    throw posthogError(
+      `PostHog rejected the API key (${res.status}). ` +
+      `Check it has insight:read access to project ${projectId}.`,
+      'UNAUTHORIZED', res.status,
+    );
+  }
+  if (!res.ok) {
+    throw posthogError(
+      `PostHog returned ${res.status} for insight ${insightRef} in project ${projectId}`,
+      res.status === 404 ? 'NOT_FOUND' : 'HTTP_ERROR', res.status,
+    );
+  }
+
+  let body;
+  try {
+    body = await res.json();
+  } catch (e) {
+    parseFailures.inc({ type: 'unknown', display: '', reason: 'api_response_json' });
+    throw new Error('Failed to parse PostHog API response: ' + e.message);
+  }
+
+  // Lookup by short_id returns a paginated list
+  const insight = byId ? body : body.results?.[0];
+  if (!insight) {
+    throw posthogError(`Insight ${insightRef} not found in project ${projectId}`, 'NOT_FOUND', res.status);
+  }
+  return parseInsight(insight);
+}
+
+// Longest query result kept in the cache; the device pages through at most this
+const MAX_TABLE_ROWS = 200;
+
+/**
+ * Run a HogQL query through the PostHog query API.
+ *   apiHost, projectId, apiKey — as for fetchApiInsight (key needs query:read)
+ *   query                      — HogQL SELECT statement
+ *
+ * Returns the same shape as fetchInsight(), built by parseQueryResult().
+ */
+async function fetchHogQLQuery({ apiHost, projectId, query, apiKey }) {
+  const body = await postQuery({ apiHost, projectId, apiKey }, {
+    query:   { kind: 'HogQLQuery', query },
+    // Recompute rather than serve PostHog's cached copy when it is stale
+    refresh: 'blocking',
+  });
+  return parseQueryResult('SQL query', body);
+}
+
+/**
+ * Ask PostHog whether a HogQL query parses and refers to real tables and
+ * columns, without running it. Returns null if valid, or an error string.
+ */
+async function checkHogQLQuery({ apiHost, projectId, query, apiKey }) {
+  const body = await postQuery({ apiHost, projectId, apiKey }, {
+    query: { kind: 'HogQLMetadata', language: 'hogQL', query },
+  });
+  if (body.isValid !== false) return null;
+  const first = (body.errors || [])[0];
+  return first && first.message ? first.message : 'PostHog could not parse this query.';
+}
+
+async function postQuery({ apiHost, projectId, apiKey }, payload) {
+  const url = `${apiHost.replace(/\/+$/, '')}/api/projects/${encodeURIComponent(projectId)}/query/`;
+  const res = await fetch(url, {
+    method:  'POST',
+    headers: {
+      Authorization:  `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+      'User-Agent':   'Mozilla/5.0 (compatible; TRMNL-PostHog-Plugin/1.0)',
+    },
+    body: JSON.stringify(payload),
+  });
+
+  if (res.status === 401 || res.status === 403) {
+    throw posthogError(
+      `PostHog rejected the API key (${res.status}). ` +
+      `Check it has query:read access to project ${projectId}.`,
+      'UNAUTHORIZED', res.status,
+    );
+  }
+
+  let body;
+  try {
+    body = await res.json();
+  } catch (e) {
+    throw new Error(`PostHog returned ${res.status} with an unreadable query response: ${e.message}`);
+  }
+  if (!res.ok) {
+    // Query errors (bad column, timeout) come back as 400 with a detail message
+    throw posthogError(`PostHog query failed (${res.status}): ${body.detail || 'unknown error'}`, 'HTTP_ERROR', res.status);
+  }
+  return body;
+}
+
+/**
+ * Map a query API result ({ columns, results }) onto the insight shape,
+ * choosing the view from its shape:
+ *   one cell                    → BoldNumber (renderBigNumber)
+ *   label + numeric value pairs → ActionsBarValue (ranked list)
+ *   anything else               → HogQLTable, with
+ *                                 table = { columns, rows } (cells as strings)
+ */
+function parseQueryResult(title, { columns = [], results = [] }) {
+  const type = 'HOGQL';
+  const rows = Array.isArray(results) ? results : [];
+
+  if (rows.length === 1 && columns.length === 1) {
+    const value = rows[0][0];
+    return {
+      title,
+      type,
+      display:        'BoldNumber',
+      primaryValue:   isNumeric(value) ? formatNumber(value) : String(value ?? '—'),
+      primaryNumber:  isNumeric(value) ? Number(value) : null,
+      secondaryLabel: columns[0],
+      series:         [],
+    };
+  }
+
+  if (rows.length >= 1 && columns.length === 2 && rows.every((r) => isNumeric(r[1]))) {
+    const series = rows
+      .map((r) => ({ label: String(r[0] ?? ''), value: Number(r[1]) }))
+      .sort((a, b) => b.value - a.value);
+    const total = series.reduce((sum, s) => sum + s.value, 0);
+    return {
+      title,
+      type,
+      display:        'ActionsBarValue',
+      primaryValue:   formatNumber(total),
+      primaryNumber:  total,
+      secondaryLabel: columns[1],
+      series,
+    };
+  }
+
+  return {
+    title,
+    type,
+    display:        'HogQLTable',
+    primaryValue:   formatNumber(rows.length),
+    primaryNumber:  rows.length,
+    secondaryLabel: rows.length === 1 ? 'row' : 'rows',
+    series:         [],
+    table: {
+      columns: columns.map(String),
+      rows:    rows.slice(0, MAX_TABLE_ROWS).map((r) => r.map(formatCell)),
+    },
+  };
+}
+
+function isNumeric(v) {
+  return v !== null && v !== '' && typeof v !== 'boolean' && !isNaN(Number(v));
+}
+
+function formatCell(v) {
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+}
+
 function parseDashboard(dashboard) {
   const title = dashboard.name || 'PostHog Dashboard';
-  const tiles = (dashboard.tiles || []).filter(
-    (t) => t.insight && (t.insight.result ?? t.insight.query_status?.results)
-  );
+  const tiles = (dashboard.tiles || [])
+    .filter((t) => t.insight && (t.insight.result ?? t.insight.query_status?.results))
+    .map((t, i) => ({ t, i, pos: t.layouts?.sm || t.layouts?.xs || null }))
+    // Follow the dashboard's own layout (row, then column); tiles without
+    // layout metadata keep their original order after the positioned ones.
+    .sort((a, b) =>
+      (a.pos?.y ?? Infinity) - (b.pos?.y ?? Infinity) ||
+      (a.pos?.x ?? Infinity) - (b.pos?.x ?? Infinity) ||
+      a.i - b.i
+    )
+    .map(({ t, i, pos }) => {
+      const insightTitle = t.insight.name || t.insight.derived_name || title;
+      return {
+        ...parseInsightData(insightTitle, t.insight),
+        // Stable identity for per-tile settings (rotation order / exclusions)
+        key:  String(t.id ?? t.insight.short_id ?? t.insight.id ?? i),
+        // PostHog lays dashboards out on a 12-column grid; wide tiles span two cells
+        span: (pos?.w || 0) >= 8 ? 2 : 1,
+      };
+    });
 
   if (tiles.length === 0) {
     return { title, type: 'empty', primaryValue: '—', secondaryLabel: '', series: [] };
   }
 
-  // Use the first tile with real data
-  const tile = tiles[0];
-  const insight = tile.insight;
-  const insightTitle = insight.name || insight.derived_name || title;
-  return parseInsightData(insightTitle, insight);
+  // Top-level fields describe the first tile, so layouts too small for the
+  // grid can still render a single chart.
+  return { ...tiles[0], dashboardName: title, tiles };
 }
 
 function parseInsight(insight) {
@@ -106,10 +369,13 @@ function parseInsightData(title, insight) {
   // Newer PostHog insights use `query` (HogQL/DataNode); older ones use `filters`.
   // Derive a canonical type string from whichever is present.
   let type = 'TRENDS';
+  let kind = '';
   if (insight.filters && insight.filters.insight) {
-    type = insight.filters.insight;
+    kind = insight.filters.insight;
+    // Legacy funnels are 'FUNNELS'; query-based ones map to 'FUNNEL' below
+    type = kind === 'FUNNELS' ? 'FUNNEL' : kind;
   } else if (insight.query) {
-    const kind = insight.query.source?.kind || insight.query.kind || '';
+    kind = insight.query.source?.kind || insight.query.kind || '';
     if (kind.includes('Funnel') || kind.includes('funnel')) type = 'FUNNEL';
     else if (kind.includes('Retention') || kind.includes('retention')) type = 'RETENTION';
     else if (kind.includes('Path') || kind.includes('path')) type = 'PATHS';
@@ -128,65 +394,120 @@ function parseInsightData(title, insight) {
     insight.query?.chartSettings?.display ||
     '';
 
+  // Time bucket of trends series: 'hour', 'day', 'week' or 'month' ('' if n/a)
+  const interval =
+    insight.filters?.interval ||
+    insight.query?.interval ||
+    insight.query?.source?.interval ||
+    '';
+
+  // When PostHog last computed the result (unix seconds), or null
+  const lastRefresh = Math.floor(Date.parse(insight.last_refresh || '') / 1000) || null;
+
   // `result` lives at the top level for legacy insights; for query-based
   // insights it may be nested under the query response cache.
   const result = insight.result ?? insight.query_status?.results;
 
   let primaryValue = '—';
+  let primaryNumber = null; // the headline as a raw count, for display number formats
   let secondaryLabel = '';
   let series = [];
+  let multiSeries = [];
+  let retention = null;
+  let comparison = null;
 
   try {
     if (type === 'TRENDS' || type === 'LIFECYCLE' || type === 'STICKINESS') {
       // result is an array of series, each with { label, data, count, ... }
       if (Array.isArray(result) && result.length > 0) {
+        // "Compare to previous period" returns every series twice, tagged
+        // compare_label 'current' / 'previous' — in no guaranteed order.
+        const isCompare = result.some((s) => s.compare);
+        const current   = isCompare ? result.filter((s) => s.compare_label !== 'previous') : result;
+        const previous  = isCompare ? result.filter((s) => s.compare_label === 'previous') : [];
 
         // BoldNumber: single aggregate value, no time-series
         if (display === 'BoldNumber') {
-          const total = result.reduce((sum, s) => sum + (s.count ?? sumData(s.data) ?? 0), 0);
-          primaryValue = formatNumber(total);
-          secondaryLabel = result[0].label || '';
+          const total = current.reduce((sum, s) => sum + (s.count ?? sumData(s.data) ?? 0), 0);
+          primaryNumber = total;
+          primaryValue = formatNumber(primaryNumber);
+          secondaryLabel = current[0].label || '';
+          if (previous.length) {
+            const before = previous.reduce((sum, s) => sum + (s.count ?? sumData(s.data) ?? 0), 0);
+            comparison = { change: percentChange(total, before), previousSeries: [] };
+          }
           // series stays empty — renderBigNumber will be used
-          return { title, type, display, primaryValue, secondaryLabel, series };
+          return { title, type, kind, display, interval, lastRefresh, primaryValue, primaryNumber, secondaryLabel, series, comparison };
         }
 
         // ActionsPie: each series item is one slice (its total count)
         if (display === 'ActionsPie') {
-          series = result.map((s) => ({
+          series = current.map((s) => ({
             label: s.label || s.name || '',
             value:  s.count ?? sumData(s.data) ?? 0,
           }));
           const total = series.reduce((sum, s) => sum + s.value, 0);
-          primaryValue = formatNumber(total);
+          primaryNumber = total;
+          primaryValue = formatNumber(primaryNumber);
           secondaryLabel = `${series.length} series`;
-          return { title, type, display, primaryValue, secondaryLabel, series };
+          if (previous.length) {
+            const before = previous.reduce((sum, s) => sum + (s.count ?? sumData(s.data) ?? 0), 0);
+            comparison = { change: percentChange(total, before), previousSeries: [] };
+          }
+          return { title, type, kind, display, interval, lastRefresh, primaryValue, primaryNumber, secondaryLabel, series, comparison };
         }
 
-        // Bar charts (vertical): same data shape as line but rendered differently
-        // ActionsBar, ActionsStackedBar, ActionsUnstackedBar, ActionsBarValue
-        const isBar = display.startsWith('ActionsBar') || display === 'ActionsUnstackedBar' ||
-                      display === 'ActionsStackedBar' || display === 'ActionsBarValue';
+        // ActionsBarValue: one horizontal bar per series, ranked by its total
+        if (display === 'ActionsBarValue') {
+          series = current
+            .map((s) => ({
+              label: s.label || s.name || '',
+              value: s.aggregated_value ?? s.count ?? sumData(s.data) ?? 0,
+            }))
+            .sort((a, b) => b.value - a.value);
+          const total = series.reduce((sum, s) => sum + s.value, 0);
+          primaryNumber = total;
+          primaryValue = formatNumber(primaryNumber);
+          secondaryLabel = `${series.length} series`;
+          if (previous.length) {
+            const before = previous.reduce(
+              (sum, s) => sum + (s.aggregated_value ?? s.count ?? sumData(s.data) ?? 0), 0);
+            comparison = { change: percentChange(total, before), previousSeries: [] };
+          }
+          return { title, type, kind, display, interval, lastRefresh, primaryValue, primaryNumber, secondaryLabel, series, comparison };
+        }
 
-        const first = result[0];
+        // Line, area and vertical bar charts (ActionsBar, ActionsStackedBar,
+        // ActionsUnstackedBar) share one data shape; markup.js picks the
+        // renderer from `display`. With several series, multiSeries carries
+        // them all so lines can be overlaid and bars stacked or grouped.
+        const first = current[0];
         // Latest aggregate count
-        primaryValue = formatNumber(first.count ?? sumData(first.data));
+        primaryNumber = first.count ?? sumData(first.data);
+        primaryValue = formatNumber(primaryNumber);
         secondaryLabel = first.label || '';
 
-        if (isBar) {
-          // For bar charts, each data point is one bar; use the same series shape
-          // but pass all series (not just the first) so a multi-series bar is possible.
-          // For simplicity we use the first series only (like the line chart does).
-          series = (first.data || []).map((v, i) => ({
-            label: (first.labels || [])[i] || '',
-            value: v,
-          }));
-        } else {
-          // Line / area chart (default)
-          // Pass all data points so the chart shows the full date range
-          series = (first.data || []).map((v, i) => ({
-            label: (first.labels || [])[i] || '',
-            value: v,
-          }));
+        // Pass all data points so the chart shows the full date range
+        series = seriesPoints(first);
+        if (current.length > 1) {
+          multiSeries = current.slice(0, MAX_SERIES).map((s) => {
+            const twin = previousTwin(s, previous);
+            return {
+              label:          s.label || s.name || '',
+              total:          s.count ?? sumData(s.data),
+              series:         seriesPoints(s),
+              previousSeries: twin ? seriesPoints(twin) : [],
+            };
+          });
+        }
+
+        // The previous-period twin of the headline series
+        const before = previousTwin(first, previous) || previous[0];
+        if (before) {
+          comparison = {
+            change:         percentChange(first.count ?? sumData(first.data), before.count ?? sumData(before.data)),
+            previousSeries: seriesPoints(before),
+          };
         }
       }
     } else if (type === 'FUNNEL') {
@@ -203,26 +524,53 @@ function parseInsightData(title, insight) {
         series = result.map((step) => ({ label: step.name, value: step.count }));
       }
     } else if (type === 'RETENTION') {
-      // result is an array of cohorts, each with { values: [{ count, label }] }
+      // result is an array of cohorts, each with { date, values: [{ count, label }] }
+      // values[0] is the cohort size; later cohorts have fewer periods (the triangle).
       if (Array.isArray(result) && result.length > 0) {
-        const latest   = result[0];
-        const day0Count = latest.values?.[0]?.count || 0;
-        // Build a retention curve: % retained per day for the most recent cohort
-        series = (latest.values || []).map((v, i) => ({
-          label: `Day ${i}`,
-          value: day0Count > 0 ? Math.round((v.count / day0Count) * 100) : 0,
-        }));
-        // Show Day 1 retention as the headline stat (Day 0 is always 100%)
-        if (series.length > 1) {
-          primaryValue   = series[1].value + '%';
-          secondaryLabel = 'Day 1 retention';
+        const period =
+          insight.filters?.period ||
+          insight.query?.retentionFilter?.period ||
+          insight.query?.source?.retentionFilter?.period ||
+          'Day';
+
+        const cohorts = result.map((c) => {
+          const size = c.values?.[0]?.count || 0;
+          return {
+            label:  formatCohortDate(c.date, period) || c.label || '',
+            size,
+            values: (c.values || []).map((v) =>
+              size > 0 ? Math.round((v.count / size) * 100) : 0
+            ),
+          };
+        });
+        const periodCount = Math.max(...cohorts.map((c) => c.values.length));
+        const periods = Array.from({ length: periodCount }, (_, i) => `${period} ${i}`);
+        retention = { period, periods, cohorts };
+
+        // Average retention curve across every cohort that has reached each period
+        series = periods.map((label, i) => {
+          const reached = cohorts.filter((c) => c.size > 0 && c.values.length > i);
+          const avg = reached.length
+            ? reached.reduce((sum, c) => sum + c.values[i], 0) / reached.length
+            : 0;
+          return { label, value: Math.round(avg) };
+        });
+
+        // Headline: average period-1 retention (period 0 is always 100%)
+        const withPeriod1 = cohorts.filter((c) => c.size > 0 && c.values.length > 1);
+        if (withPeriod1.length > 0) {
+          const avg = withPeriod1.reduce((sum, c) => sum + c.values[1], 0) / withPeriod1.length;
+          primaryValue   = avg.toFixed(1) + '%';
+          secondaryLabel = `Avg ${period} 1 retention`;
         } else {
-          primaryValue   = formatNumber(day0Count);
-          secondaryLabel = 'Retained (Day 0)';
+          primaryNumber  = cohorts.reduce((sum, c) => sum + c.size, 0);
+          primaryValue   = formatNumber(primaryNumber);
+          secondaryLabel = `Retained (${period} 0)`;
         }
       }
     } else if (type === 'PATHS') {
       // result is an array of path edges: { source, target, edge_weight/count }
+      primaryNumber  = Array.isArray(result) ? result.length : null;
       primaryValue   = Array.isArray(result) ? formatNumber(result.length) : '—';
       secondaryLabel = 'total paths';
       series = (Array.isArray(result) ? result : [])
@@ -237,15 +585,48 @@ function parseInsightData(title, insight) {
       // Generic fallback
       if (Array.isArray(result) && result.length > 0) {
         const first = result[0];
-        primaryValue = formatNumber(first.count ?? first.aggregated_value ?? 0);
+        primaryNumber = first.count ?? first.aggregated_value ?? 0;
+        primaryValue = formatNumber(primaryNumber);
         secondaryLabel = first.label || '';
       }
     }
   } catch (e) {
-    console.error('Error parsing PostHog result:', e);
+    // Whatever was parsed before the failure is still returned
+    parseFailures.inc({ type, display, reason: 'result' });
+    log.error('Error parsing PostHog result', { type, kind, display, error: e.message, stack: e.stack });
   }
 
-  return { title, type, display, primaryValue, secondaryLabel, series };
+  return {
+    title, type, kind, display, interval, lastRefresh, primaryValue, primaryNumber, secondaryLabel, series, multiSeries,
+    retention, comparison,
+  };
+}
+
+// Cohort start date → "Jan 5" (or "Jan 2024" for monthly cohorts)
+function formatCohortDate(date, period) {
+  if (!date) return '';
+  const d = new Date(date);
+  if (isNaN(d)) return '';
+  const opts = period === 'Month'
+    ? { month: 'short', year: 'numeric', timeZone: 'UTC' }
+    : { month: 'short', day: 'numeric', timeZone: 'UTC' };
+  return d.toLocaleDateString('en-US', opts);
+}
+
+// PostHog trends series → [{ label, value, date }] points (date is the
+// bucket's ISO date when PostHog provides one, else null)
+function seriesPoints(s) {
+  return (s.data || []).map((v, i) => ({
+    label: (s.labels || [])[i] || '',
+    value: v,
+    date:  (s.days || [])[i] || null,
+  }));
+}
+
+// A series' previous-period twin: same action and breakdown value
+function previousTwin(s, previous) {
+  return previous.find((p) => p.action?.order === s.action?.order &&
+    String(p.breakdown_value ?? '') === String(s.breakdown_value ?? ''));
 }
 
 function sumData(arr) {
@@ -253,6 +634,12 @@ function sumData(arr) {
   return arr.reduce((sum, v) => sum + (v || 0), 0);
 }
 
+// Percent change from `before` to `now`; null when there's no baseline
+function percentChange(now, before) {
+  if (!before) return null;
+  return ((now - before) / Math.abs(before)) * 100;
+}
+
 function formatNumber(n) {
   const num = Number(n);
   if (isNaN(num)) return String(n);
@@ -261,4 +648,7 @@ function formatNumber(n) {
   return String(num);
 }
 
-module.exports = { fetchInsight };
+module.exports = {
+  SUPPORTED_KINDS,
+  fetchInsight, fetchApiInsight, fetchHogQLQuery, checkHogQLQuery, tokenFromUrl, parseInsight,
+};
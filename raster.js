@@ -0,0 +1,649 @@
+/**
+ * Minimal pure-JS rasteriser behind the /image endpoint.
+ *
+ * A greyscale canvas (0 = black … 1 = white) with anti-aliased polygon
+ * fills, dashed strokes, a built-in 5×7 bitmap font, and a renderer for the
+ * SVG subset markup.js emits (svg, rect, line, polyline, polygon, path with
+ * M/L/H/V/A/Z, circle, text, and the bar-chart fill patterns). No native
+ * dependencies and no browser — just enough to draw our own charts.
+ */
+
+// ---------------------------------------------------------------------------
+// Canvas
+// ---------------------------------------------------------------------------
+
+function createCanvas(width, height) {
+  return { width, height, data: new Float32Array(width * height).fill(1) };
+}
+
+// Vertical samples per pixel row when filling polygons (anti-aliasing)
+const SUBSAMPLES = 4;
+
+/**
+ * Fill one or more polygons ([[x, y], …] each) with the nonzero rule.
+ * paint: { color, alpha } — color is a grey level or a function (x, y) → grey.
+ */
+function fillPolygons(canvas, polys, paint) {
+  const { width, height, data } = canvas;
+  const edges = [];
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const poly of polys) {
+    for (let i = 0; i < poly.length; i++) {
+      const [x0, y0] = poly[i];
+      const [x1, y1] = poly[(i + 1) % poly.length];
+      if (y0 === y1) continue;
+      edges.push({ x0, y0, x1, y1, dir: y1 > y0 ? 1 : -1, lo: Math.min(y0, y1), hi: Math.max(y0, y1) });
+      minY = Math.min(minY, y0, y1);
+      maxY = Math.max(maxY, y0, y1);
+    }
+  }
+  if (!edges.length) return;
+
+  const alpha = paint.alpha ?? 1;
+  const cov   = new Float32Array(width);
+  const yStart = Math.max(0, Math.floor(minY));
+  const yEnd   = Math.min(height - 1, Math.ceil(maxY));
+
+  for (let y = yStart; y <= yEnd; y++) {
+    cov.fill(0);
+    let xMin = width;
+    let xMax = -1;
+    for (let s = 0; s < SUBSAMPLES; s++) {
+      const sy  = y + (s + 0.5) / SUBSAMPLES;
+      const xs  = [];
+      for (const e of edges) {
+        if (sy < e.lo || sy >= e.hi) continue;
+        xs.push({ x: e.x0 + ((sy - e.y0) * (e.x1 - e.x0)) / (e.y1 - e.y0), dir: e.dir });
+      }
+      if (xs.length < 2) continue;
+      xs.sort((a, b) => a.x - b.x);
+      let winding = 0;
+      for (let i = 0; i < xs.length - 1; i++) {
+        winding += xs[i].dir;
+        if (winding === 0) continue;
+        const a = Math.max(0, xs[i].x);
+        const b = Math.min(width, xs[i + 1].x);
+        if (b <= a) continue;
+        addSpan(cov, a, b, 1 / SUBSAMPLES);
+        xMin = Math.min(xMin, Math.floor(a));
+        xMax = Math.max(xMax, Math.min(width - 1, Math.floor(b)));
+      }
+    }
+    const row = y * width;
+    for (let x = xMin; x <= xMax; x++) {
+      const a = Math.min(1, cov[x]) * alpha;
+      if (a <= 0) continue;
+      const color = typeof paint.color === 'function' ? paint.color(x, y) : paint.color;
+      data[row + x] = data[row + x] * (1 - a) + color * a;
+    }
+  }
+}
+
+// Add horizontal coverage for [a, b) with partial pixels at either end
+function addSpan(cov, a, b, weight) {
+  const ia = Math.floor(a);
+  const ib = Math.floor(b);
+  if (ia === ib) {
+    cov[ia] += (b - a) * weight;
+    return;
+  }
+  cov[ia] += (ia + 1 - a) * weight;
+  for (let i = ia + 1; i < ib; i++) cov[i] += weight;
+  if (ib < cov.length) cov[ib] += (b - ib) * weight;
+}
+
+function fillRect(canvas, x, y, w, h, paint) {
+  if (w <= 0 || h <= 0) return;
+  fillPolygons(canvas, [[[x, y], [x + w, y], [x + w, y + h], [x, y + h]]], paint);
+}
+
+function circlePolygon(cx, cy, r) {
+  const n = Math.max(12, Math.min(64, Math.ceil(r * 4)));
+  return Array.from({ length: n }, (_, i) => {
+    const a = (i / n) * Math.PI * 2;
+    return [cx + r * Math.cos(a), cy + r * Math.sin(a)];
+  });
+}
+
+/**
+ * Stroke a polyline ([[x, y], …]) with round joins, optionally dashed
+ * (dash = [on, off, …] in the same units as the points).
+ */
+function strokePolyline(canvas, points, width, paint, { dash = null, closed = false } = {}) {
+  const pts = closed && points.length > 2 ? [...points, points[0]] : points;
+  const runs = dash && dash.some((d) => d > 0) ? dashRuns(pts, dash) : [pts];
+  const half = width / 2;
+  const polys = [];
+
+  for (const run of runs) {
+    for (let i = 0; i < run.length - 1; i++) {
+      const [x0, y0] = run[i];
+      const [x1, y1] = run[i + 1];
+      const len = Math.hypot(x1 - x0, y1 - y0);
+      if (len === 0) continue;
+      const nx = (-(y1 - y0) / len) * half;
+      const ny = ((x1 - x0) / len) * half;
+      polys.push([[x0 + nx, y0 + ny], [x1 + nx, y1 + ny], [x1 - nx, y1 - ny], [x0 - nx, y0 - ny]]);
+    }
+    // Round joins so thick polylines don't crack at the corners
+    if (width > 1.5) {
+      for (let i = 1; i < run.length - 1; i++) polys.push(circlePolygon(run[i][0], run[i][1], half));
+    }
+  }
+  // Same orientation everywhere, so overlaps union under the nonzero rule
+  fillPolygons(canvas, polys.map(orient), paint);
+}
+
+function orient(poly) {
+  let area = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const [x0, y0] = poly[i];
+    const [x1, y1] = poly[(i + 1) % poly.length];
+    area += x0 * y1 - x1 * y0;
+  }
+  return area < 0 ? poly.slice().reverse() : poly;
+}
+
+// Split a polyline into its visible dash runs
+function dashRuns(points, dash) {
+  const runs = [];
+  let di = 0;
+  let left = dash[0];
+  let on = true;
+  let current = [points[0]];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    let [x0, y0] = points[i];
+    const [x1, y1] = points[i + 1];
+    let segLen = Math.hypot(x1 - x0, y1 - y0);
+    while (segLen > 0) {
+      const step = Math.min(left, segLen);
+      const t    = step / segLen;
+      const x    = x0 + (x1 - x0) * t;
+      const y    = y0 + (y1 - y0) * t;
+      if (on) current.push([x, y]);
+      x0 = x; y0 = y;
+      segLen -= step;
+      left   -= step;
+      if (left <= 1e-9) {
+        if (on && current.length > 1) runs.push(current);
+        on = !on;
+        di = (di + 1) % dash.length;
+        left = dash[di] || 0.001;
+        current = [[x0, y0]];
+      }
+    }
+  }
+  if (on && current.length > 1) runs.push(current);
+  return runs;
+}
+
+// ---------------------------------------------------------------------------
+// Bitmap font — 5×7 glyphs on a 5×9 cell (two rows for descenders).
+// Each glyph is its rows top to bottom, '#' for ink.
+// ---------------------------------------------------------------------------
+
+const GLYPH_ROWS = `
+  .....|.....|.....|.....|.....|.....|.....
+! ..#..|..#..|..#..|..#..|..#..|.....|..#..
+" .#.#.|.#.#.|.#.#.|.....|.....|.....|.....
+# .#.#.|.#.#.|#####|.#.#.|#####|.#.#.|.#.#.
+$ ..#..|.####|#.#..|.###.|..#.#|####.|..#..
+% ##...|##..#|...#.|..#..|.#...|#..##|...##
+& .##..|#..#.|#.#..|.#...|#.#.#|#..#.|.##.#
+' ..#..|..#..|.#...|.....|.....|.....|.....
+( ...#.|..#..|.#...|.#...|.#...|..#..|...#.
+) .#...|..#..|...#.|...#.|...#.|..#..|.#...
+* .....|..#..|#.#.#|.###.|#.#.#|..#..|.....
++ .....|..#..|..#..|#####|..#..|..#..|.....
+, .....|.....|.....|.....|.##..|..#..|.#...
+- .....|.....|.....|#####|.....|.....|.....
+. .....|.....|.....|.....|.....|.##..|.##..
+/ .....|....#|...#.|..#..|.#...|#....|.....
+0 .###.|#...#|#..##|#.#.#|##..#|#...#|.###.
+1 ..#..|.##..|..#..|..#..|..#..|..#..|.###.
+2 .###.|#...#|....#|...#.|..#..|.#...|#####
+3 #####|...#.|..#..|...#.|....#|#...#|.###.
+4 ...#.|..##.|.#.#.|#..#.|#####|...#.|...#.
+5 #####|#....|####.|....#|....#|#...#|.###.
+6 ..##.|.#...|#....|####.|#...#|#...#|.###.
+7 #####|....#|...#.|..#..|.#...|.#...|.#...
+8 .###.|#...#|#...#|.###.|#...#|#...#|.###.
+9 .###.|#...#|#...#|.####|....#|...#.|.##..
+: .....|.##..|.##..|.....|.##..|.##..|.....
+; .....|.##..|.##..|.....|.##..|..#..|.#...
+< ...#.|..#..|.#...|#....|.#...|..#..|...#.
+= .....|.....|#####|.....|#####|.....|.....
+> .#...|..#..|...#.|....#|...#.|..#..|.#...
+? .###.|#...#|....#|...#.|..#..|.....|..#..
+@ .###.|#...#|....#|.##.#|#.#.#|#.#.#|.###.
+A .###.|#...#|#...#|#####|#...#|#...#|#...#
+B ####.|#...#|#...#|####.|#...#|#...#|####.
+C .###.|#...#|#....|#....|#....|#...#|.###.
+D ###..|#..#.|#...#|#...#|#...#|#..#.|###..
+E #####|#....|#....|####.|#....|#....|#####
+F #####|#....|#....|####.|#....|#....|#....
+G .###.|#...#|#....|#.###|#...#|#...#|.####
+H #...#|#...#|#...#|#####|#...#|#...#|#...#
+I .###.|..#..|..#..|..#..|..#..|..#..|.###.
+J ..###|...#.|...#.|...#.|...#.|#..#.|.##..
+K #...#|#..#.|#.#..|##...|#.#..|#..#.|#...#
+L #....|#....|#....|#....|#....|#....|#####
+M #...#|##.##|#.#.#|#.#.#|#...#|#...#|#...#
+N #...#|#...#|##..#|#.#.#|#..##|#...#|#...#
+O .###.|#...#|#...#|#...#|#...#|#...#|.###.
+P ####.|#...#|#...#|####.|#....|#....|#....
+Q .###.|#...#|#...#|#...#|#.#.#|#..#.|.##.#
+R ####.|#...#|#...#|####.|#.#..|#..#.|#...#
+S .####|#....|#....|.###.|....#|....#|####.
+T #####|..#..|..#..|..#..|..#..|..#..|..#..
+U #...#|#...#|#...#|#...#|#...#|#...#|.###.
+V #...#|#...#|#...#|#...#|#...#|.#.#.|..#..
+W #...#|#...#|#...#|#.#.#|#.#.#|#.#.#|.#.#.
+X #...#|#...#|.#.#.|..#..|.#.#.|#...#|#...#
+Y #...#|#...#|.#.#.|..#..|..#..|..#..|..#..
+Z #####|....#|...#.|..#..|.#...|#....|#####
+[ .###.|.#...|.#...|.#...|.#...|.#...|.###.
+\\ .....|#....|.#...|..#..|...#.|....#|.....
+] .###.|...#.|...#.|...#.|...#.|...#.|.###.
+^ ..#..|.#.#.|#...#|.....|.....|.....|.....
+_ .....|.....|.....|.....|.....|.....|#####
+\` .#...|..#..|...#.|.....|.....|.....|.....
+a .....|.....|.###.|....#|.####|#...#|.####
+b #....|#....|#.##.|##..#|#...#|#...#|####.
+c .....|.....|.###.|#....|#....|#...#|.###.
+d ....#|....#|.##.#|#..##|#...#|#...#|.####
+e .....|.....|.###.|#...#|#####|#....|.###.
+f ..##.|.#..#|.#...|###..|.#...|.#...|.#...
+g .....|.....|.####|#...#|#...#|#...#|.####|....#|.###.
+h #....|#....|#.##.|##..#|#...#|#...#|#...#
+i ..#..|.....|.##..|..#..|..#..|..#..|.###.
+j ...#.|.....|..##.|...#.|...#.|...#.|...#.|#..#.|.##..
+k #....|#....|#..#.|#.#..|##...|#.#..|#..#.
+l .##..|..#..|..#..|..#..|..#..|..#..|.###.
+m .....|.....|##.#.|#.#.#|#.#.#|#...#|#...#
+n .....|.....|#.##.|##..#|#...#|#...#|#...#
+o .....|.....|.###.|#...#|#...#|#...#|.###.
+p .....|.....|####.|#...#|#...#|#...#|####.|#....|#....
+q .....|.....|.####|#...#|#...#|#...#|.####|....#|....#
+r .....|.....|#.##.|##..#|#....|#....|#....
+s .....|.....|.###.|#....|.###.|....#|####.
+t .#...|.#...|###..|.#...|.#...|.#..#|..##.
+u .....|.....|#...#|#...#|#...#|#..##|.##.#
+v .....|.....|#...#|#...#|#...#|.#.#.|..#..
+w .....|.....|#...#|#...#|#.#.#|#.#.#|.#.#.
+x .....|.....|#...#|.#.#.|..#..|.#.#.|#...#
+y .....|.....|#...#|#...#|#...#|#...#|.####|....#|.###.
+z .....|.....|#####|...#.|..#..|.#...|#####
+{ ...#.|..#..|..#..|.#...|..#..|..#..|...#.
+| ..#..|..#..|..#..|..#..|..#..|..#..|..#..
+} .#...|..#..|..#..|...#.|..#..|..#..|.#...
+~ .....|.....|.#...|#.#.#|...#.|.....|.....
+· .....|.....|.....|..#..|.....|.....|.....
+• .....|.....|.###.|.###.|.###.|.....|.....
+▲ .....|..#..|..#..|.###.|.###.|#####|.....
+▼ .....|#####|.###.|.###.|..#..|..#..|.....
+→ .....|..#..|...#.|#####|...#.|..#..|.....
+✓ .....|....#|...#.|#.#..|.#...|.....|.....
+⚠ ..#..|..#..|.#.#.|.#.#.|#.#.#|#...#|#####
+° .##..|#..#.|.##..|.....|.....|.....|.....
+`;
+
+// char → [[x, y], …] lit cells
+const GLYPHS = new Map(
+  GLYPH_ROWS.split('\n').filter((line) => line.length > 2).map((line) => {
+    const rows = line.slice(2).split('|');
+    const cells = [];
+    rows.forEach((row, y) => [...row].forEach((ch, x) => { if (ch === '#') cells.push([x, y]); }));
+    return [line[0], cells];
+  })
+);
+
+// Characters without a glyph of their own
+const CHAR_SUBSTITUTES = { '…': '...', '–': '-', '—': '-', '×': 'x', '−': '-' };
+
+function normaliseText(str) {
+  return String(str)
+    .normalize('NFD').replace(/[̀-ͯ]/g, '')
+    .replace(/[…–—×−]/g, (ch) => CHAR_SUBSTITUTES[ch]);
+}
+
+// Glyph scale for a CSS font size: cap height is 7 cells, about 0.7em.
+// Small sizes snap to whole pixels so 1-bit text stays crisp.
+function fontScale(size) {
+  const s = size / 10;
+  if (s < 1.75) return 1;
+  if (s < 2.5) return 2;
+  return s;
+}
+
+function measureText(str, size, bold = false) {
+  const s = fontScale(size);
+  const n = [...normaliseText(str)].length;
+  return n ? n * 6 * s - s + (bold ? boldOffset(s) : 0) : 0;
+}
+
+function boldOffset(s) {
+  return Math.max(1, Math.round(s * 0.5));
+}
+
+// Shorten text with "..." to fit maxWidth
+function fitText(str, size, bold, maxWidth) {
+  const text = normaliseText(str);
+  if (measureText(text, size, bold) <= maxWidth) return text;
+  const chars = [...text];
+  while (chars.length && measureText(chars.join('') + '...', size, bold) > maxWidth) chars.pop();
+  return chars.length ? chars.join('') + '...' : '';
+}
+
+/**
+ * Draw text. y is interpreted by baseline: 'alphabetic' (default), 'middle'
+ * (centre of the capitals) or 'top'. anchor: 'start', 'middle' or 'end'.
+ * color is 0 (black) or 1 (white): text is always solid so it survives
+ * 1-bit conversion.
+ */
+function drawText(canvas, str, x, y, { size = 12, bold = false, anchor = 'start', baseline = 'alphabetic', color = 0, maxWidth = Infinity } = {}) {
+  const text = maxWidth < Infinity ? fitText(str, size, bold, maxWidth) : normaliseText(str);
+  if (!text) return 0;
+  const s     = fontScale(size);
+  const width = measureText(text, size, bold);
+  let left = anchor === 'middle' ? x - width / 2 : anchor === 'end' ? x - width : x;
+  let top  = baseline === 'middle' ? y - 3.5 * s : baseline === 'top' ? y : y - 7 * s;
+  // Whole-pixel scales draw on the pixel grid for sharp edges
+  if (Number.isInteger(s)) { left = Math.round(left); top = Math.round(top); }
+
+  const extra = bold ? boldOffset(s) : 0;
+  const polys = [];
+  [...text].forEach((ch, i) => {
+    const cells = GLYPHS.get(ch) || GLYPHS.get('?');
+    const gx = left + i * 6 * s;
+    for (const [cx, cy] of cells) {
+      const px = gx + cx * s;
+      const py = top + cy * s;
+      const w  = s + extra;
+      polys.push([[px, py], [px + w, py], [px + w, py + s], [px, py + s]]);
+    }
+  });
+  fillPolygons(canvas, polys, { color, alpha: 1 });
+  return width;
+}
+
+// ---------------------------------------------------------------------------
+// SVG subset — draws the chart SVGs from markup.js into a box on the canvas
+// ---------------------------------------------------------------------------
+
+const TAG_RE = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+const ATTR_RE = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+
+function parseAttrs(str) {
+  const attrs = {};
+  for (const m of str.matchAll(ATTR_RE)) attrs[m[1]] = m[2];
+  if (attrs.style) {
+    for (const decl of attrs.style.split(';')) {
+      const i = decl.indexOf(':');
+      if (i > 0) attrs[decl.slice(0, i).trim()] = decl.slice(i + 1).trim();
+    }
+  }
+  return attrs;
+}
+
+function decodeEntities(str) {
+  return str
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+// Named colours markup.js uses, as grey levels
+function greyOf(value) {
+  if (!value || value === 'none') return null;
+  if (value === 'black') return 0;
+  if (value === 'white') return 1;
+  const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const h = hex[1].length === 3 ? [...hex[1]].map((c) => c + c).join('') : hex[1];
+    const [r, g, b] = [0, 2, 4].map((i) => parseInt(h.slice(i, i + 2), 16) / 255);
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+  }
+  return 0;
+}
+
+// The bar-chart patterns (markup.js barPatternDefs), drawn in device pixels
+const PATTERNS = {
+  hatch: (x, y) => ((x + y) % 5 < 2 ? 0 : 1),
+  dots:  (x, y) => (x % 4 >= 1 && x % 4 <= 2 && y % 4 >= 1 && y % 4 <= 2 ? 0 : 1),
+};
+
+function paintOf(value) {
+  const url = value && value.match(/^url\(#(.+)\)$/);
+  if (url) return url[1].includes('hatch') ? PATTERNS.hatch : url[1].includes('dots') ? PATTERNS.dots : 0.5;
+  return greyOf(value);
+}
+
+/**
+ * Draw an SVG string from markup.js into box { x, y, w, h }, honouring its
+ * viewBox and preserveAspectRatio (meet) like the browser would.
+ */
+function drawSvg(canvas, svg, box) {
+  let t = null;      // viewBox → canvas transform, set by the root <svg>
+  let defsDepth = 0; // skip <defs> contents
+  let textEl = null; // open <text> element collecting its content
+
+  for (const m of svg.matchAll(TAG_RE)) {
+    const [, closing, rawName, attrStr, selfClosing, content] = m;
+    if (content !== undefined) {
+      if (textEl) textEl.text += content;
+      continue;
+    }
+    if (!rawName) continue; // comment
+    const name = rawName.toLowerCase();
+
+    if (closing) {
+      if (name === 'defs') defsDepth--;
+      if (name === 'text' && textEl) {
+        drawSvgText(canvas, textEl, t);
+        textEl = null;
+      }
+      continue;
+    }
+    if (name === 'defs') {
+      if (!selfClosing) defsDepth++;
+      continue;
+    }
+    if (defsDepth > 0) continue;
+
+    const a = parseAttrs(attrStr);
+    if (name === 'svg') {
+      if (!t) t = viewBoxTransform(a, box);
+      continue;
+    }
+    if (!t) continue;
+
+    if (name === 'text') {
+      textEl = { a, text: '' };
+      if (selfClosing) textEl = null;
+      continue;
+    }
+    drawSvgShape(canvas, name, a, t);
+  }
+}
+
+function viewBoxTransform(a, box) {
+  const [vx, vy, vw, vh] = (a.viewBox || `0 0 ${box.w} ${box.h}`).split(/[\s,]+/).map(Number);
+  const s = Math.min(box.w / vw, box.h / vh);
+  const align = (a.preserveAspectRatio || 'xMidYMid meet').split(' ')[0];
+  const freeX = box.w - vw * s;
+  const freeY = box.h - vh * s;
+  const ox = align.startsWith('xMin') ? 0 : align.startsWith('xMax') ? freeX : freeX / 2;
+  const oy = align.endsWith('YMin') ? 0 : align.endsWith('YMax') ? freeY : freeY / 2;
+  return {
+    s,
+    x: (x) => box.x + ox + (x - vx) * s,
+    y: (y) => box.y + oy + (y - vy) * s,
+  };
+}
+
+function num(v, fallback = 0) {
+  const n = parseFloat(v);
+  return isNaN(n) ? fallback : n;
+}
+
+function drawSvgShape(canvas, name, a, t) {
+  const opacity = num(a.opacity, 1);
+  const fill    = paintOf(a.fill ?? (['line', 'polyline'].includes(name) ? 'none' : 'black'));
+  const stroke  = paintOf(a.stroke);
+  const fillA   = opacity * num(a['fill-opacity'], 1);
+  const strokeA = opacity * num(a['stroke-opacity'], 1);
+  const strokeW = Math.max(0.5, num(a['stroke-width'], 1) * t.s);
+  const dash    = a['stroke-dasharray'] ? a['stroke-dasharray'].split(/[\s,]+/).map((d) => num(d) * t.s) : null;
+  const P       = (x, y) => [t.x(num(x)), t.y(num(y))];
+
+  let shape = null; // { polys, closed }
+  switch (name) {
+    case 'rect': {
+      const x = num(a.x), y = num(a.y), w = num(a.width), h = num(a.height);
+      if (w <= 0 || h <= 0) return;
+      shape = { polys: [[P(x, y), P(x + w, y), P(x + w, y + h), P(x, y + h)]], closed: true };
+      break;
+    }
+    case 'circle': {
+      const r = num(a.r) * t.s;
+      shape = { polys: [circlePolygon(t.x(num(a.cx)), t.y(num(a.cy)), r)], closed: true };
+      break;
+    }
+    case 'line':
+      shape = { polys: [[P(a.x1, a.y1), P(a.x2, a.y2)]], closed: false };
+      break;
+    case 'polyline':
+    case 'polygon': {
+      const coords = (a.points || '').trim().split(/[\s,]+/).map(Number);
+      const pts = [];
+      for (let i = 0; i + 1 < coords.length; i += 2) pts.push(P(coords[i], coords[i + 1]));
+      shape = { polys: [pts], closed: name === 'polygon' };
+      break;
+    }
+    case 'path':
+      shape = { polys: pathPolygons(a.d || '').map((poly) => poly.map(([x, y]) => [t.x(x), t.y(y)])), closed: true };
+      break;
+    default:
+      return;
+  }
+
+  if (fill !== null && name !== 'line') {
+    fillPolygons(canvas, shape.polys.filter((p) => p.length > 2), { color: fill, alpha: fillA });
+  }
+  if (stroke !== null) {
+    for (const poly of shape.polys) {
+      strokePolyline(canvas, poly, strokeW, { color: stroke, alpha: strokeA }, { dash, closed: shape.closed });
+    }
+  }
+}
+
+// Flatten path data (absolute M/L/H/V/A/Z, as markup.js writes it) to polygons
+function pathPolygons(d) {
+  const tokens = d.match(/[a-zA-Z]|-?\d*\.?\d+(?:e-?\d+)?/g) || [];
+  const polys = [];
+  let poly = null;
+  let cmd = '';
+  let x = 0, y = 0;
+  let i = 0;
+  const next = () => Number(tokens[i++]);
+
+  while (i < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[i])) cmd = tokens[i++];
+    switch (cmd) {
+      case 'M':
+        x = next(); y = next();
+        poly = [[x, y]];
+        polys.push(poly);
+        cmd = 'L'; // further pairs are implicit line-tos
+        break;
+      case 'L': x = next(); y = next(); poly.push([x, y]); break;
+      case 'H': x = next(); poly.push([x, y]); break;
+      case 'V': y = next(); poly.push([x, y]); break;
+      case 'A': {
+        const rx = next(), ry = next(), rot = next(), large = next(), sweep = next();
+        const x2 = next(), y2 = next();
+        poly.push(...arcPoints(x, y, rx, ry, rot, large, sweep, x2, y2));
+        x = x2; y = y2;
+        break;
+      }
+      case 'Z':
+      case 'z':
+        if (poly) { x = poly[0][0]; y = poly[0][1]; }
+        break;
+      default:
+        i++; // unsupported command: skip its argument
+    }
+  }
+  return polys;
+}
+
+// SVG elliptical arc (endpoint form) → points, per the SVG implementation notes
+function arcPoints(x1, y1, rx, ry, rotDeg, large, sweep, x2, y2) {
+  if (rx === 0 || ry === 0) return [[x2, y2]];
+  const phi = (rotDeg * Math.PI) / 180;
+  const cos = Math.cos(phi), sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+  rx = Math.abs(rx); ry = Math.abs(ry);
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda); }
+  const sign = large === sweep ? -1 : 1;
+  const num_ = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const coef = sign * Math.sqrt(Math.max(0, num_ / (rx * rx * y1p * y1p + ry * ry * x1p * x1p)));
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const a1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let da = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && da > 0) da -= Math.PI * 2;
+  if (sweep && da < 0) da += Math.PI * 2;
+
+  const steps = Math.max(4, Math.ceil((Math.abs(da) * Math.max(rx, ry)) / 3));
+  const pts = [];
+  for (let k = 1; k <= steps; k++) {
+    const a = a1 + (da * k) / steps;
+    pts.push([
+      cx + rx * Math.cos(a) * cos - ry * Math.sin(a) * sin,
+      cy + rx * Math.cos(a) * sin + ry * Math.sin(a) * cos,
+    ]);
+  }
+  return pts;
+}
+
+function drawSvgText(canvas, { a, text }, t) {
+  const content = decodeEntities(text).trim();
+  if (!content) return;
+  const opacity = num(a.opacity, 1);
+  // Very faint text is decoration; everything else is drawn solid
+  if (opacity < 0.2) return;
+  const size = num(a['font-size'], 12) * t.s;
+  const baseline = a['dominant-baseline'] === 'middle' || a['dominant-baseline'] === 'central'
+    ? 'middle'
+    : a['dominant-baseline'] === 'hanging' ? 'top' : 'alphabetic';
+  drawText(canvas, content, t.x(num(a.x)), t.y(num(a.y)), {
+    size,
+    bold:   num(a['font-weight'], 400) >= 600,
+    anchor: a['text-anchor'] || 'start',
+    baseline,
+    color:  greyOf(a.fill) === 1 ? 1 : 0,
+  });
+}
+
+module.exports = {
+  createCanvas,
+  fillRect,
+  fillPolygons,
+  strokePolyline,
+  circlePolygon,
+  drawText,
+  measureText,
+  fitText,
+  drawSvg,
+};
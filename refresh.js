@@ -0,0 +1,96 @@
+/**
+ * How long a device waits before its next poll — the refresh_rate in each
+ * /markup response.
+ *
+ *   - From the insight: its interval sets how often new data can appear
+ *     (INTERVAL_REFRESH_RATES), counted from when PostHog last computed it
+ *     (last_refresh), so a daily insight computed 50 minutes ago is polled
+ *     again in 10. Dashboards follow their fastest tile.
+ *   - After errors: ERROR_REFRESH_RATE, doubling with each failed poll in a
+ *     row up to MAX_ERROR_REFRESH_RATE.
+ *   - During the installation's quiet hours (minutes after midnight in its
+ *     IANA time zone): wait until they end, at most MAX_QUIET_REFRESH_RATE
+ *     at a time. This applies to alerts as well.
+ */
+
+const INTERVAL_REFRESH_RATES = {
+  hour:  15 * 60,
+  day:   60 * 60,
+  week:  3 * 60 * 60,
+  month: 6 * 60 * 60,
+};
+const DEFAULT_REFRESH_RATE   = 30 * 60;     // no interval (funnels, retention, queries…)
+const MIN_REFRESH_RATE       = 5 * 60;
+const ERROR_REFRESH_RATE     = 5 * 60;      // first retry after a failed poll
+const MAX_ERROR_REFRESH_RATE = 60 * 60;
+const MAX_QUIET_REFRESH_RATE = 4 * 60 * 60;
+
+/**
+ * Seconds until newer data for this insight could exist.
+ * now is unix seconds.
+ */
+function insightRefreshRate(insight, now = Math.floor(Date.now() / 1000)) {
+  if (Array.isArray(insight.tiles) && insight.tiles.length > 0) {
+    return Math.min(...insight.tiles.map((tile) => insightRefreshRate(tile, now)));
+  }
+
+  const rate = INTERVAL_REFRESH_RATES[insight.interval] || DEFAULT_REFRESH_RATE;
+  // Data PostHog computed a while ago turns over sooner; data older than a
+  // whole interval means PostHog isn't recomputing it, so don't poll harder
+  const turnsOverIn = insight.lastRefresh ? insight.lastRefresh + rate - now : rate;
+  return turnsOverIn > 0 ? Math.max(MIN_REFRESH_RATE, Math.min(turnsOverIn, rate)) : rate;
+}
+
+/**
+ * Wait after the streak-th failed poll in a row (1 for the first):
+ * base, then doubling up to MAX_ERROR_REFRESH_RATE.
+ */
+function errorRefreshRate(streak, base = ERROR_REFRESH_RATE) {
+  return Math.min(base * 2 ** Math.max(0, streak - 1), Math.max(base, MAX_ERROR_REFRESH_RATE));
+}
+
+/**
+ * Stretch rate to the end of quiet hours ({ start, end, timeZone }) when
+ * they are on now (a Date); otherwise return it unchanged.
+ */
+function quietRefreshRate(rate, quiet, now = new Date()) {
+  if (!quiet) return rate;
+  const minute = minuteOfDay(now, quiet.timeZone);
+  if (!inTimeWindow(quiet.start, quiet.end, minute)) return rate;
+
+  const untilEnd = ((quiet.end - minute + 24 * 60) % (24 * 60)) * 60 - now.getSeconds();
+  return Math.max(rate, Math.min(untilEnd, MAX_QUIET_REFRESH_RATE));
+}
+
+// from/to are minutes after midnight; NULL means always. Windows may wrap midnight.
+function inTimeWindow(from, to, minute) {
+  if (from == null || to == null) return true;
+  return from <= to
+    ? minute >= from && minute < to
+    : minute >= from || minute < to;
+}
+
+// Minutes after midnight on the wall clock of an IANA time zone
+function minuteOfDay(date, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+function isTimeZone(name) {
+  if (typeof name !== 'string' || !name) return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  DEFAULT_REFRESH_RATE,
+  insightRefreshRate, errorRefreshRate, quietRefreshRate,
+  inTimeWindow, minuteOfDay, isTimeZone,
+};
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * rotate-key.js
+ * Re-encrypts every stored secret (TRMNL access tokens, PostHog API keys)
+ * with the current ENCRYPTION_KEY and recomputes the token lookup hashes.
+ *
+ * Rotating the key without downtime:
+ *   1. Generate a new key:
+ *        node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
+ *   2. Set ENCRYPTION_KEY to the new key and ENCRYPTION_KEY_PREVIOUS to the
+ *      old one, and restart — both keys decrypt; new writes use the new one.
+ *   3. Run this script with the same environment:
+ *        npm run rotate-key
+ *   4. Remove ENCRYPTION_KEY_PREVIOUS and restart.
+ *
+ * All rows are rewritten in one transaction: if any secret can't be
+ * decrypted, nothing changes.
+ */
+
+require('dotenv').config();
+
+const { reencryptSecrets } = require('./db');
+
+const rotating = Boolean(process.env.ENCRYPTION_KEY_PREVIOUS);
+if (!rotating) {
+  console.warn('ENCRYPTION_KEY_PREVIOUS is not set — re-encrypting with the current key only.');
+}
+
+try {
+  const { tokens, apiKeys } = reencryptSecrets();
+  console.log(`Re-encrypted ${tokens} access token(s) and ${apiKeys} API key(s) with ENCRYPTION_KEY.`);
+  if (rotating) {
+    console.log('Remove ENCRYPTION_KEY_PREVIOUS and restart the server to finish the rotation.');
+  }
+} catch (err) {
+  console.error('Key rotation failed; nothing was changed:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,123 @@
+/**
+ * Background prefetch: refresh each installation's insights shortly before
+ * its device is due to poll, so /markup serves a fresh copy straight from
+ * the insight cache instead of waiting on PostHog inside TRMNL's request.
+ *
+ * Every PREFETCH_INTERVAL seconds the scheduler walks the installations a
+ * device has polled (see db.recordPoll). The next poll is expected at
+ * last_polled_at + refresh_rate; the sources that poll could show are
+ * refreshed if their cached copy would be older than INSIGHT_CACHE_TTL by
+ * then. Each refresh starts at a random moment in the PREFETCH_JITTER
+ * seconds ending LEAD (30) seconds ahead of the poll, so devices that poll
+ * in step don't turn into a burst of PostHog requests. Installations
+ * whose device has missed a whole refresh interval are skipped until it
+ * polls again.
+ *
+ * Sources shared by several installations are refreshed once (cache keys
+ * are per insight — and per API key for private sources — and
+ * cache.refreshInsight is single-flight).
+ *
+ * Set PREFETCH=0 to switch it off (e.g. single-instance dev); /markup then
+ * falls back to refreshing stale insights itself.
+ */
+
+const db = require('./db');
+const { log } = require('./log');
+const { CACHE_TTL, cacheKey, loggedKey, refreshInsight } = require('./cache');
+const { DEFAULT_REFRESH_RATE } = require('./refresh');
+
+const PREFETCH_ENABLED     = !['0', 'false', 'off'].includes(String(process.env.PREFETCH || '').toLowerCase());
+const INTERVAL             = Number(process.env.PREFETCH_INTERVAL) || 60;  // seconds between walks
+const LEAD                 = 30;                                            // finish this long before the poll
+const JITTER               = Math.min(
+  Number(process.env.PREFETCH_JITTER) || 120,
+  // Never so early that the copy is stale again by the time the device polls
+  Math.max(0, CACHE_TTL - LEAD * 2),
+);
+
+// Cache keys with a refresh already scheduled → timer
+const scheduled = new Map();
+
+/**
+ * Start walking installations every PREFETCH_INTERVAL seconds.
+ * targetsFor(installation, at) returns the cache targets (see
+ * cache.cacheKey) the installation could show at the Date `at`.
+ * Returns a function that stops the scheduler.
+ */
+function startPrefetch(targetsFor) {
+  const walk  = () => {
+    try {
+      planPrefetch(targetsFor);
+    } catch (err) {
+      log.error('Prefetch walk failed', { error: err.message });
+    }
+  };
+  const timer = setInterval(walk, INTERVAL * 1000);
+  timer.unref();
+  walk();
+
+  return () => {
+    clearInterval(timer);
+    for (const pending of scheduled.values()) clearTimeout(pending);
+    scheduled.clear();
+  };
+}
+
+/**
+ * One walk: schedule a refresh for every insight a device will poll before
+ * the next walk could still get to it, unless its cached copy will still be
+ * fresh then. Returns the number of refreshes scheduled.
+ */
+function planPrefetch(targetsFor, now = Math.floor(Date.now() / 1000)) {
+  const horizon = now + INTERVAL + LEAD + JITTER;
+  const due     = new Map(); // cache key → { target, dueAt } (earliest poll wins)
+
+  for (const installation of db.getPolledInstallations()) {
+    const rate   = installation.refresh_rate || DEFAULT_REFRESH_RATE;
+    const dueAt  = installation.last_polled_at + rate;
+    if (dueAt > horizon) continue;   // a later walk will get to it
+    if (now - dueAt > rate) continue; // the device has stopped polling
+
+    let targets;
+    try {
+      targets = targetsFor(installation, new Date(Math.max(dueAt, now) * 1000));
+    } catch (err) {
+      log.error('Prefetch skipped installation', {
+        plugin_setting_id: installation.plugin_setting_id,
+        error:             err.message,
+      });
+      continue;
+    }
+    for (const target of targets) {
+      const key = cacheKey(target);
+      if (!due.has(key) || dueAt < due.get(key).dueAt) due.set(key, { target, dueAt });
+    }
+  }
+
+  let count = 0;
+  for (const [key, { target, dueAt }] of due) {
+    if (scheduled.has(key)) continue;
+    const cached = db.getCachedInsight(key);
+    if (cached && cached.insight_json && dueAt - cached.fetched_at < CACHE_TTL) continue;
+
+    // A random moment in the jitter window ahead of the poll; overdue polls
+    // are spread over the next walk interval instead
+    const overdue  = dueAt - LEAD <= now;
+    const latest   = overdue ? now + INTERVAL : dueAt - LEAD;
+    const earliest = overdue ? now : Math.max(now, latest - JITTER);
+    const delay    = (earliest - now + Math.random() * (latest - earliest)) * 1000;
+
+    const timer = setTimeout(() => {
+      scheduled.delete(key);
+      refreshInsight(target).catch((err) => {
+        log.warn('Prefetch failed', { cache_key_hash: loggedKey(key), error: err.message, code: err.code });
+      });
+    }, delay);
+    timer.unref();
+    scheduled.set(key, timer);
+    count++;
+  }
+  return count;
+}
+
+module.exports = { PREFETCH_ENABLED, startPrefetch, planPrefetch };
@@ -0,0 +1,113 @@
+/**
+ * Encrypt secrets at rest (PostHog personal API keys, TRMNL access tokens)
+ * with AES-256-GCM.
+ *
+ * The key comes from ENCRYPTION_KEY: 32 bytes, hex- or base64-encoded.
+ * Generate one with:
+ *   node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
+ *
+ * Stored format: v1:<iv>:<auth tag>:<ciphertext>, each part base64.
+ *
+ * While rotating keys (see rotate-key.js), ENCRYPTION_KEY_PREVIOUS holds the
+ * old key: values are still decrypted and looked up with it, but only ever
+ * written with ENCRYPTION_KEY.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES  = 12;
+
+// Lookup hashes use a key derived from the encryption key, never the key itself
+const HASH_INFO = 'trmnl-posthog/lookup-hash/v1';
+
+function parseKey(raw, name = 'ENCRYPTION_KEY') {
+  if (!raw) {
+    throw new Error(`${name} is not set — it is required to store API keys and access tokens`);
+  }
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${name} must be 32 bytes (64 hex characters or base64)`);
+  }
+  return key;
+}
+
+// The current key first, then the previous one while a rotation is under way
+function keys() {
+  const current = parseKey(process.env.ENCRYPTION_KEY);
+  const { ENCRYPTION_KEY_PREVIOUS } = process.env;
+  return ENCRYPTION_KEY_PREVIOUS
+    ? [current, parseKey(ENCRYPTION_KEY_PREVIOUS, 'ENCRYPTION_KEY_PREVIOUS')]
+    : [current];
+}
+
+/**
+ * Throw if ENCRYPTION_KEY (or ENCRYPTION_KEY_PREVIOUS, when set) is missing
+ * or malformed. Checked when the database opens, so a bad key stops the
+ * server at startup rather than failing the first request that needs it.
+ */
+function checkKeys() {
+  keys();
+}
+
+function encryptSecret(plaintext) {
+  const key    = keys()[0];
+  const iv     = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ct     = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag    = cipher.getAuthTag();
+  return ['v1', iv.toString('base64'), tag.toString('base64'), ct.toString('base64')].join(':');
+}
+
+function decryptSecret(stored) {
+  const [version, iv, tag, ct] = String(stored || '').split(':');
+  if (version !== 'v1' || !iv || !tag || ct === undefined) {
+    throw new Error('Stored secret is not in a recognised format');
+  }
+  // GCM authentication fails with the wrong key, so the right one is unambiguous
+  for (const key of keys()) {
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(ct, 'base64')),
+        decipher.final(),
+      ]).toString('utf8');
+    } catch {
+      // try the next key
+    }
+  }
+  throw new Error('Stored secret could not be decrypted with ENCRYPTION_KEY (or ENCRYPTION_KEY_PREVIOUS)');
+}
+
+/**
+ * Keyed hash (HMAC-SHA256, hex) of a secret, for finding a row by the secret
+ * without storing it in the clear. Written with the current key.
+ */
+function hashSecret(value) {
+  return hmac(keys()[0], value);
+}
+
+// The hashes a stored row may carry: one per configured key
+function secretHashes(value) {
+  return keys().map((key) => hmac(key, value));
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', derive(key, HASH_INFO)).update(String(value), 'utf8').digest('hex');
+}
+
+/**
+ * A 32-byte key for another purpose (e.g. signing settings links), derived
+ * from the current ENCRYPTION_KEY so there is only one secret to manage.
+ * info names the purpose; different purposes get unrelated keys.
+ */
+function deriveKey(info) {
+  return derive(keys()[0], info);
+}
+
+function derive(key, info) {
+  return Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), info, 32));
+}
+
+module.exports = { checkKeys, encryptSecret, decryptSecret, hashSecret, secretHashes, deriveKey };
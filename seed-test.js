@@ -28,9 +28,9 @@ setPosthogUrl(PLUGIN_SETTING_ID, posthogUrl);
 const row = getInstallation(PLUGIN_SETTING_ID);
 console.log('Seeded installation:');
 console.log(`  plugin_setting_id : ${row.plugin_setting_id}`);
-console.log(`  access_token      : ${row.access_token}`);
+console.log(`  access_token      : ${FAKE_ACCESS_TOKEN} (stored encrypted)`);
 console.log(`  posthog_url       : ${row.posthog_url}`);
 console.log('');
-console.log('Test URLs (once the server is running):');
+console.log('Test URLs (once the server is running with DEV_MODE=1):');
 console.log(`  Markup   : http://localhost:${process.env.PORT || 3000}/markup?plugin_setting_id=test`);
 console.log(`  Settings : http://localhost:${process.env.PORT || 3000}/settings?plugin_setting_id=test`);
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * stub-posthog.js
+ * A tiny stand-in for the PostHog insights API, for testing private
+ * (API key) sources without a real PostHog project.
+ *
+ * Serves one two-series trends insight at:
+ *   GET /api/projects/1/insights/42/
+ *   GET /api/projects/1/insights/?short_id=AbCdEf12
+ * plus the query API for HogQL sources:
+ *   POST /api/projects/1/query/
+ * and requires "Authorization: Bearer phx_test".
+ *
+ * Query results are canned by shape rather than computed: a query with
+ * "GROUP BY" returns label/count pairs, one selecting a single "count()"
+ * returns one cell, anything else a multi-column table. HogQLMetadata
+ * rejects queries that mention a table called "nope".
+ *
+ * Usage:
+ *   node stub-posthog.js [port]
+ *
+ * Then, on /settings, choose "Private (API key)" with:
+ *   host http://localhost:8010, project 1, insight 42 (or AbCdEf12), key phx_test
+ *
+ * The tests in test/ require it and start its app themselves.
+ */
+
+const express = require('express');
+
+const PORT       = Number(process.argv[2]) || 8010;
+const API_KEY    = 'phx_test';
+const PROJECT_ID = '1';
+
+const days = Array.from({ length: 14 }, (_, i) => {
+  const d = new Date(Date.now() - (13 - i) * 86400000);
+  return d.toISOString().slice(0, 10);
+});
+
+const INSIGHT = {
+  id:       42,
+  short_id: 'AbCdEf12',
+  name:     'Weekly signups (private)',
+  filters:  { insight: 'TRENDS', display: 'ActionsLineGraph', interval: 'day' },
+  last_refresh: new Date().toISOString(),
+  result: [
+    {
+      label: 'signed_up',
+      days,
+      labels: days,
+      data: days.map((_, i) => 120 + Math.round(40 * Math.sin(i / 2)) + i * 3),
+    },
+    {
+      label: 'activated',
+      days,
+      labels: days,
+      data: days.map((_, i) => 60 + Math.round(25 * Math.cos(i / 3)) + i * 2),
+    },
+  ],
+};
+
+// Canned query results, picked by the query's shape
+function queryResult(query) {
+  if (/group\s+by/i.test(query)) {
+    return {
+      columns: ['browser', 'count()'],
+      results: [['Chrome', 5120], ['Safari', 2210], ['Firefox', 840], ['Edge', 610], ['Other', 95]],
+    };
+  }
+  if (/^\s*select\s+count\(\)\s+from/i.test(query)) {
+    return { columns: ['count()'], results: [[48213]] };
+  }
+  return {
+    columns: ['timestamp', 'event', 'person', 'url'],
+    results: Array.from({ length: 23 }, (_, i) => [
+      new Date(Date.now() - i * 60000).toISOString().slice(0, 19).replace('T', ' '),
+      ['$pageview', 'signed_up', '$autocapture'][i % 3],
+      `user${i + 1}@example.com`,
+      `https://example.com/page/${i + 1}`,
+    ]),
+  };
+}
+
+const app = express();
+app.use(express.json());
+
+app.use('/api', (req, res, next) => {
+  if (req.get('authorization') !== `Bearer ${API_KEY}`) {
+    return res.status(401).json({ detail: 'Invalid personal API key.' });
+  }
+  if (req.path.split('/')[2] !== PROJECT_ID) {
+    return res.status(403).json({ detail: 'You do not have access to this project.' });
+  }
+  next();
+});
+
+app.get('/api/projects/:projectId/insights/:id/', (req, res) => {
+  if (req.params.id !== String(INSIGHT.id)) {
+    return res.status(404).json({ detail: 'Not found.' });
+  }
+  res.json(INSIGHT);
+});
+
+app.get('/api/projects/:projectId/insights/', (req, res) => {
+  const results = req.query.short_id === INSIGHT.short_id ? [INSIGHT] : [];
+  res.json({ count: results.length, results });
+});
+
+app.post('/api/projects/:projectId/query/', (req, res) => {
+  const query = req.body.query || {};
+  if (query.kind === 'HogQLMetadata') {
+    const bad = /\bnope\b/i.test(query.query || '');
+    return res.json({
+      isValid: !bad,
+      errors:  bad ? [{ message: 'Unknown table "nope".' }] : [],
+    });
+  }
+  if (query.kind !== 'HogQLQuery') {
+    return res.status(400).json({ detail: `Unsupported query kind: ${query.kind}` });
+  }
+  res.json({ ...queryResult(query.query || ''), hogql: query.query });
+});
+
+module.exports = { app, API_KEY, PROJECT_ID, INSIGHT };
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`PostHog API stub listening on http://localhost:${PORT}`);
+    console.log(`  API key    : ${API_KEY}`);
+    console.log(`  Project ID : ${PROJECT_ID}`);
+    console.log(`  Insight    : ${INSIGHT.id} / ${INSIGHT.short_id}`);
+  });
+}
@@ -44,7 +44,8 @@ and use it as the base URL when registering your plugin on TRMNL:
   Markup/polling URL  →  https://<ngrok-url>/markup
   Uninstall URL       →  https://<ngrok-url>/uninstall
 
-To test /markup without OAuth, seed the database first (separate terminal):
+To test /markup without OAuth, set DEV_MODE=1 in .env and seed the
+database first (separate terminal):
 
   node seed-test.js [optional-posthog-url]
 
@@ -0,0 +1,46 @@
+// A database file, so the test can backdate rows through its own connection
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trmnl-admin-'));
+require('./helpers').useTestEnv({ DB_PATH: path.join(dir, 'test.sqlite'), ADMIN_PASSWORD: 'admin-secret' });
+
+const test     = require('node:test');
+const assert   = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { listen } = require('./helpers');
+const db       = require('../db');
+const app      = require('../index');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const auth = { Authorization: 'Bearer admin-secret' };
+
+test('lists exactly the never-polled installations it bulk-deletes, keeping offline ones', async (t) => {
+  const now = Math.floor(Date.now() / 1000);
+  for (const id of ['offline', 'never-polled', 'new']) db.upsertInstallation(id, `token-${id}`);
+  const conn = new Database(process.env.DB_PATH);
+  const set  = conn.prepare('UPDATE installations SET created_at = ?, last_polled_at = ? WHERE plugin_setting_id = ?');
+  set.run(now - 30 * 86400, now - 10 * 86400, 'offline');
+  set.run(now - 30 * 86400, null, 'never-polled');
+  conn.close();
+
+  const base = await listen(t, app);
+  const json = await (await fetch(`${base}/admin`, { headers: { ...auth, Accept: 'application/json' } })).json();
+  const flags = Object.fromEntries(json.installations.map((i) => [i.plugin_setting_id, [i.idle, i.never_polled]]));
+  assert.deepEqual(flags, { offline: [true, false], 'never-polled': [true, true], new: [false, false] });
+
+  const html   = await (await fetch(`${base}/admin`, { headers: auth })).text();
+  const posted = [...html.matchAll(/name="plugin_setting_ids\[\]" value="([^"]*)"/g)].map((m) => m[1]);
+  assert.deepEqual(posted, ['never-polled']);
+
+  const res = await fetch(`${base}/admin/never-polled/delete`, {
+    method: 'POST', redirect: 'manual', headers: auth,
+    body: new URLSearchParams([['plugin_setting_ids[]', 'never-polled'], ['plugin_setting_ids[]', 'offline']]),
+  });
+  assert.equal(res.status, 302);
+  const notice = new URL(res.headers.get('location'), base).searchParams.get('notice');
+  assert.match(notice, /^Deleted 1 never-polled installation\(s\).* Kept 1 /);
+  assert.deepEqual(db.listInstallations().map((i) => i.plugin_setting_id).sort(), ['new', 'offline']);
+});
@@ -0,0 +1,37 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { parseInsight } = require('../posthog');
+const { evaluateAlerts } = require('../alerts');
+
+// A BoldNumber trend whose headline compact formatting rounds: 1,249 → "1.2K"
+const signups = parseInsight({
+  name:    'Signups',
+  filters: { insight: 'TRENDS', display: 'BoldNumber' },
+  result:  [{ label: 'signed up', count: 1249, data: [] }],
+});
+
+test('headline rules test the raw number, not the rounded display string', () => {
+  assert.equal(signups.primaryValue, '1.2K');
+
+  const above = evaluateAlerts([{ metric: 'headline', operator: '>', value: 1240 }], signups);
+  assert.ok(above, '1,249 is above 1,240');
+  assert.equal(above.value, '1,249');
+
+  assert.equal(evaluateAlerts([{ metric: 'headline', operator: '<', value: 1200 }], signups), null);
+  assert.equal(evaluateAlerts([{ metric: 'headline', operator: '<=', value: 1248 }], signups), null);
+});
+
+test('headline rules fall back to the display string without a raw number', () => {
+  const insight = { primaryValue: '18.5%', primaryNumber: null };
+  assert.ok(evaluateAlerts([{ metric: 'headline', operator: '>=', value: 18.5 }], insight));
+  assert.equal(evaluateAlerts([{ metric: 'headline', operator: '>', value: 20 }], insight), null);
+});
+
+test('the first rule that fires wins', () => {
+  const rules = [
+    { metric: 'headline', operator: '<', value: 10 },
+    { metric: 'headline', operator: '>', value: 1000 },
+    { metric: 'headline', operator: '>', value: 1 },
+  ];
+  assert.equal(evaluateAlerts(rules, signups).text, 'Headline value above 1,000');
+});
@@ -0,0 +1,34 @@
+process.env.ENCRYPTION_KEY = 'a'.repeat(64);
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { signSettingsToken, verifySettingsToken } = require('../auth');
+
+test('accepts a settings token it signed', () => {
+  assert.deepEqual(verifySettingsToken(signSettingsToken('123')), { pluginSettingId: '123', expired: false });
+});
+
+test('flags an expired settings token', () => {
+  assert.deepEqual(verifySettingsToken(signSettingsToken('123', -1)), { pluginSettingId: '123', expired: true });
+});
+
+test('rejects a forged or altered settings token', () => {
+  const [, signature] = signSettingsToken('123').split('.');
+  const forged = Buffer.from(JSON.stringify({ id: '456', exp: Math.floor(Date.now() / 1000) + 3600 })).toString('base64url');
+
+  assert.equal(verifySettingsToken(`${forged}.${signature}`), null);
+  assert.equal(verifySettingsToken(`${forged}.`), null);
+  assert.equal(verifySettingsToken(`${signSettingsToken('123')}x`), null);
+  assert.equal(verifySettingsToken(`${signSettingsToken('123')}.extra`), null);
+  assert.equal(verifySettingsToken('not a token'), null);
+});
+
+test('rejects a token signed with another key', () => {
+  const token = signSettingsToken('123');
+  process.env.ENCRYPTION_KEY = 'b'.repeat(64);
+  try {
+    assert.equal(verifySettingsToken(token), null);
+  } finally {
+    process.env.ENCRYPTION_KEY = 'a'.repeat(64);
+  }
+});
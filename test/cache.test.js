@@ -0,0 +1,73 @@
+// Dev mode lets requests reach the stub on 127.0.0.1
+require('./helpers').useTestEnv({ DEV_MODE: '1' });
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { listen } = require('./helpers');
+const stub   = require('../stub-posthog');
+const http   = require('http');
+const { cacheKey, getInsight, fetchTarget } = require('../cache');
+const { renderMetrics } = require('../metrics');
+
+test('installations with different API keys never share a cached insight', async (t) => {
+  const apiHost = await listen(t, stub.app);
+  const owner   = { apiHost, projectId: stub.PROJECT_ID, insightRef: String(stub.INSIGHT.id), apiKey: stub.API_KEY };
+  const other   = { ...owner, apiKey: 'phx_JUNK' };
+
+  assert.notEqual(cacheKey(owner), cacheKey(other));
+
+  const { insight } = await getInsight(owner);
+  assert.equal(insight.title, stub.INSIGHT.name);
+
+  // Cached for the owner's key only: the other key still has to pass PostHog
+  await assert.rejects(getInsight(other), { code: 'UNAUTHORIZED' });
+  assert.equal((await getInsight(owner)).insight.title, stub.INSIGHT.name);
+});
+
+test('installations with different API keys never share cached query results', async (t) => {
+  const apiHost = await listen(t, stub.app);
+  const owner   = { apiHost, projectId: stub.PROJECT_ID, query: 'SELECT count() FROM events', apiKey: stub.API_KEY };
+  const other   = { ...owner, apiKey: 'phx_JUNK' };
+
+  assert.notEqual(cacheKey(owner), cacheKey(other));
+
+  const { insight } = await getInsight(owner);
+  assert.equal(insight.type, 'HOGQL');
+  await assert.rejects(getInsight(other), { code: 'UNAUTHORIZED' });
+});
+
+test('the same API key shares one cached copy', () => {
+  const target = { apiHost: 'https://us.posthog.com/', projectId: '1', insightRef: '42', apiKey: 'phx_a' };
+  assert.equal(cacheKey(target), cacheKey({ ...target, apiHost: 'https://us.posthog.com' }));
+});
+
+test('the same share token on two PostHog hosts gets two cache rows', () => {
+  const us   = 'https://us.posthog.com/shared/AbC123';
+  const self = 'https://posthog.example.com/shared/AbC123';
+  assert.equal(cacheKey(us), 'shared:us.posthog.com:AbC123');
+  assert.notEqual(cacheKey(us), cacheKey(self));
+  assert.equal(cacheKey(us), cacheKey('https://US.posthog.com/shared/AbC123?whitelabel'));
+});
+
+test('insights that parse but cannot be drawn count as parse failures', async (t) => {
+  // PostHog's API answering with a SQL insight (id 1) and a trend without results (id 2)
+  const insights = {
+    1: { name: 'SQL', query: { kind: 'DataVisualizationNode', source: { kind: 'HogQLQuery' } }, result: [] },
+    2: { name: 'Nothing yet', filters: { insight: 'TRENDS', display: 'ActionsLineGraph' }, result: [] },
+  };
+  const apiHost = await listen(t, http.createServer((req, res) => {
+    const id = req.url.match(/insights\/(\d+)\//)[1];
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(insights[id]));
+  }));
+  const target = (insightRef) => ({ apiHost, projectId: '1', insightRef, apiKey: 'phx_any' });
+  const failures = (reason) => {
+    const line = renderMetrics().split('\n').find((l) => l.startsWith('insight_parse_failures_total') && l.includes(`reason="${reason}"`));
+    return line ? Number(line.split(' ').pop()) : 0;
+  };
+
+  await fetchTarget(target('1'));
+  await fetchTarget(target('2'));
+  assert.equal(failures('unsupported_kind'), 1);
+  assert.equal(failures('empty'), 1);
+});
@@ -0,0 +1,41 @@
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+// A database file, so the test can backdate rows through its own connection
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trmnl-db-'));
+require('./helpers').useTestEnv({ DB_PATH: path.join(dir, 'test.sqlite') });
+
+const test     = require('node:test');
+const assert   = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const db       = require('../db');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('only installations that never polled since before the cutoff are bulk-deleted', () => {
+  const now = Math.floor(Date.now() / 1000);
+  for (const id of ['polled-recently', 'polled-long-ago', 'never-polled', 'never-polled-2', 'new']) {
+    db.upsertInstallation(id, `token-${id}`);
+  }
+  db.replaceInsightSources('never-polled', [{ sourceType: 'shared', posthogUrl: 'https://us.posthog.com/shared/abc' }]);
+
+  const conn = new Database(process.env.DB_PATH);
+  const set  = conn.prepare('UPDATE installations SET created_at = ?, last_polled_at = ? WHERE plugin_setting_id = ?');
+  set.run(now - 30 * 86400, now - 60, 'polled-recently');
+  set.run(now - 30 * 86400, now - 10 * 86400, 'polled-long-ago');
+  set.run(now - 30 * 86400, null, 'never-polled');
+  set.run(now - 30 * 86400, null, 'never-polled-2');
+  conn.close();
+
+  const since = now - 7 * 86400;
+  // An offline device (polled long ago) isn't a candidate
+  assert.deepEqual(db.listNeverPolledInstallations(since).map((i) => i.plugin_setting_id), ['never-polled', 'never-polled-2']);
+
+  // Only listed ids go, and only if they still qualify
+  db.recordPoll('never-polled-2', null);
+  assert.deepEqual(db.deleteNeverPolledInstallations(since, ['never-polled', 'never-polled-2', 'polled-long-ago']), ['never-polled']);
+  assert.deepEqual(db.listInstallations().map((i) => i.plugin_setting_id).sort(),
+    ['never-polled-2', 'new', 'polled-long-ago', 'polled-recently']);
+  assert.deepEqual(db.getInsightSources('never-polled'), []);
+});
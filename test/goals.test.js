@@ -0,0 +1,42 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { goalView } = require('../goals');
+
+// 03:00 UTC on Tuesday 20 Oct is still Monday evening in New York
+const NOW = new Date('2026-10-20T03:00:00Z');
+
+test('day goals follow the installation\'s calendar, not UTC', () => {
+  const insight = {
+    interval: 'day',
+    series:   [{ date: '2026-10-19', value: 40 }, { date: '2026-10-20', value: 7 }],
+  };
+  const goal = { value: 100, period: 'day', display: 'progress' };
+
+  const newYork = goalView(goal, insight, { timeZone: 'America/New_York', now: NOW }).progress;
+  assert.equal(newYork.current, 40);
+  assert.equal(newYork.periodLabel, 'Oct 19');
+  assert.equal(newYork.left, 1, 'an hour of Monday is left in New York');
+
+  const utc = goalView(goal, insight, { now: NOW }).progress;
+  assert.equal(utc.current, 7);
+  assert.equal(utc.periodLabel, 'Oct 20');
+  assert.equal(utc.left, 21);
+});
+
+test('week and month periods start at midnight in the time zone', () => {
+  const insight = {
+    interval: 'day',
+    series:   [{ date: '2026-09-30', value: 1 }, { date: '2026-10-01', value: 2 }, { date: '2026-10-19', value: 4 }],
+  };
+  const tokyo = { timeZone: 'Asia/Tokyo', now: new Date('2026-09-30T16:30:00Z') }; // 1 Oct, 01:30 in Tokyo
+  assert.equal(goalView({ value: 10, period: 'month' }, insight, tokyo).progress.periodLabel, 'October 2026');
+  assert.equal(goalView({ value: 10, period: 'month' }, insight, tokyo).progress.current, 6);
+  assert.equal(goalView({ value: 10, period: 'week' }, insight, tokyo).progress.periodLabel, 'Week of Sep 28');
+  assert.equal(goalView({ value: 10, period: 'week' }, insight, tokyo).progress.current, 3);
+});
+
+test('undated insights count their raw headline number, not the rounded display', () => {
+  const insight = { primaryValue: '1.2K', primaryNumber: 1249, series: [] };
+  const { progress } = goalView({ value: 2000, period: 'month' }, insight, { now: NOW });
+  assert.equal(progress.current, 1249);
+});
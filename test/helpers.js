@@ -0,0 +1,31 @@
+/**
+ * Shared test setup. Environment variables have to be in place before the
+ * modules under test load, so test files call useTestEnv() before requiring
+ * anything from the app.
+ */
+
+const crypto = require('crypto');
+
+// An in-memory database, a throwaway encryption key and quiet background work
+function useTestEnv(overrides = {}) {
+  Object.assign(process.env, {
+    DB_PATH:        ':memory:',
+    ENCRYPTION_KEY: crypto.randomBytes(32).toString('hex'),
+    PREFETCH:       '0',
+    ...overrides,
+  });
+}
+
+/**
+ * Start an Express app (or http handler) on a free local port for the rest
+ * of the test. Returns its base URL, without a trailing slash.
+ */
+async function listen(t, app) {
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+module.exports = { useTestEnv, listen };
@@ -0,0 +1,77 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const zlib   = require('zlib');
+const { renderImage } = require('../image');
+const { createCanvas, drawSvg } = require('../raster');
+
+const points  = (values) => values.map((value, i) => ({ label: `Day ${i + 1}`, value }));
+const TREND   = { title: 'Signups', type: 'TRENDS', display: 'ActionsLineGraph', primaryValue: '60', series: points([10, 20, 30]) };
+const pixelAt = (canvas, x, y) => canvas.data[y * canvas.width + x];
+
+// Rows of a 1-bit greyscale PNG as arrays of 0 (black) / 1 (white)
+function decodePng(body) {
+  const width  = body.readUInt32BE(16);
+  const height = body.readUInt32BE(20);
+  const idat   = [];
+  for (let at = 8; at < body.length;) {
+    const length = body.readUInt32BE(at);
+    if (body.toString('ascii', at + 4, at + 8) === 'IDAT') idat.push(body.subarray(at + 8, at + 8 + length));
+    at += 12 + length;
+  }
+  const raw      = zlib.inflateSync(Buffer.concat(idat));
+  const rowBytes = Math.ceil(width / 8);
+  return Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) =>
+    (raw[y * (rowBytes + 1) + 1 + (x >> 3)] >> (7 - (x & 7))) & 1));
+}
+
+test('renders a 1-bit PNG the size of the layout', () => {
+  const { body, contentType } = renderImage(TREND, 'half_vertical');
+  assert.equal(contentType, 'image/png');
+  assert.deepEqual([...body.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  assert.equal(body.readUInt32BE(16), 400);
+  assert.equal(body.readUInt32BE(20), 480);
+  assert.equal(body[24], 1, 'bit depth');
+
+  const pixels = decodePng(body).flat();
+  assert.equal(pixels.length, 400 * 480);
+  assert.ok(pixels.includes(0) && pixels.includes(1));
+});
+
+test('renders a bottom-up 1-bit BMP with a black and white palette', () => {
+  const { body, contentType } = renderImage(TREND, 'full', { format: 'bmp' });
+  assert.equal(contentType, 'image/bmp');
+  assert.equal(body.toString('ascii', 0, 2), 'BM');
+  assert.equal(body.readUInt32LE(2), body.length);
+  assert.equal(body.readInt32LE(18), 800);
+  assert.equal(body.readInt32LE(22), 480);
+  assert.equal(body.readUInt16LE(28), 1);
+  assert.equal(body.length, 62 + 100 * 480);
+});
+
+test('the same screen gets the same ETag; a different one does not', () => {
+  const first = renderImage(TREND);
+  assert.equal(renderImage({ ...TREND }).etag, first.etag);
+  assert.notEqual(renderImage({ ...TREND, series: points([10, 20, 31]) }).etag, first.etag);
+  assert.notEqual(renderImage(TREND, 'full', { dither: 'ordered' }).etag, first.etag);
+});
+
+test('draws SVG shapes scaled from the viewBox into the box', () => {
+  const canvas = createCanvas(100, 100);
+  drawSvg(canvas, `<svg viewBox="0 0 10 10">
+    <rect x="4" y="4" width="2" height="2" fill="black"/>
+  </svg>`, { x: 0, y: 0, w: 100, h: 100 });
+
+  assert.equal(pixelAt(canvas, 50, 50), 0);
+  assert.equal(pixelAt(canvas, 20, 20), 1);
+  assert.equal(pixelAt(canvas, 70, 50), 1);
+});
+
+test('fills bar patterns whatever their id suffix', () => {
+  const canvas = createCanvas(40, 40);
+  drawSvg(canvas, `<svg viewBox="0 0 40 40">
+    <rect x="0" y="0" width="40" height="40" fill="url(#ph-bar-hatch-0a1b2c3d)"/>
+  </svg>`, { x: 0, y: 0, w: 40, h: 40 });
+
+  const levels = new Set(canvas.data);
+  assert.ok(levels.has(0) && levels.has(1), 'hatching is black and white stripes');
+});
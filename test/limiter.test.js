@@ -0,0 +1,55 @@
+// Limits are read when limiter.js loads: one request at a time per host,
+// shed after a short wait. Dev mode lets requests reach 127.0.0.1.
+require('./helpers').useTestEnv({ DEV_MODE: '1', POSTHOG_MAX_PER_HOST: '1', POSTHOG_MAX_QUEUE_WAIT: '0.2' });
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const http   = require('http');
+const { limitedFetch, limiterStats } = require('../limiter');
+
+// A local server answering every request with handler(req, res)
+async function serve(handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/` };
+}
+
+test('sheds a request that waits too long for a slot', async (t) => {
+  let release;
+  const held = new Promise((resolve) => { release = resolve; });
+  const { server, url } = await serve(async (_req, res) => {
+    await held;
+    res.end('ok');
+  });
+  t.after(() => server.close());
+
+  const first = limitedFetch(url);
+  await assert.rejects(limitedFetch(url), (err) => {
+    assert.equal(err.code, 'BUSY');
+    assert.match(err.message, /request shed/);
+    return true;
+  });
+
+  release();
+  const res = await first;
+  assert.equal(await res.text(), 'ok');
+  assert.equal(limiterStats().hosts[new URL(url).host].active, 0);
+});
+
+test('pauses a host for Retry-After seconds after a 429', async (t) => {
+  const { server, url } = await serve((_req, res) => {
+    res.writeHead(429, { 'Retry-After': '120' });
+    res.end();
+  });
+  t.after(() => server.close());
+  const host = new URL(url).host;
+
+  const res = await limitedFetch(url);
+  assert.equal(res.status, 429);
+
+  const { pausedUntil } = limiterStats().hosts[host];
+  assert.ok(pausedUntil > Date.now() + 110 * 1000, 'paused for about two minutes');
+
+  // Held back by the pause until it is shed
+  await assert.rejects(limitedFetch(url), { code: 'BUSY' });
+});
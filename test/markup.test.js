@@ -0,0 +1,93 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkup, renderLayouts, formatClock } = require('../markup');
+const { parseInsight } = require('../posthog');
+
+const BIG_NUMBER = { title: 'Signups', type: 'TRENDS', display: 'BoldNumber', primaryValue: '42' };
+
+test('formatClock reads the time zone\'s wall clock', () => {
+  const at = Date.parse('2026-03-02T23:05:00Z') / 1000;
+  assert.equal(formatClock(at), '23:05');
+  assert.equal(formatClock(at, 'Asia/Tokyo'), '08:05');
+  assert.equal(formatClock(at, 'America/Los_Angeles'), '15:05');
+});
+
+test('"stale since" is shown in the installation\'s time zone', () => {
+  const staleSince = Date.parse('2026-03-02T23:05:00Z') / 1000;
+  assert.match(renderMarkup({ ...BIG_NUMBER, staleSince, timeZone: 'Asia/Tokyo' }), /stale since 08:05/);
+  assert.match(renderMarkup({ ...BIG_NUMBER, staleSince, timeZone: null }), /stale since 23:05/);
+});
+
+test('lifecycle lines below zero stay inside the chart', () => {
+  const points = (values) => values.map((value, i) => ({ label: `Day ${i + 1}`, value }));
+  const multiSeries = [
+    { label: 'new',       series: points([40, 55, 30]) },
+    { label: 'returning', series: points([20, 25, 35]) },
+    { label: 'dormant',   series: points([-30, -45, -60]) },
+  ];
+  const html = renderMarkup({
+    title: 'Lifecycle', type: 'LIFECYCLE', display: 'ActionsLineGraph',
+    series: multiSeries[0].series, multiSeries,
+  });
+
+  const ys = [...html.matchAll(/<polyline points="([^"]+)"/g)]
+    .flatMap((m) => m[1].split(' ').map((pt) => Number(pt.split(',')[1])));
+  assert.equal(ys.length, 9);
+  for (const y of ys) assert.ok(y >= 0 && y <= 240, `y=${y} is outside the chart`);
+  assert.match(html, />-100</, 'the y axis extends below zero');
+});
+
+test('bar charts on one page get their own pattern ids', () => {
+  const points = (values) => values.map((value, i) => ({ label: `Day ${i + 1}`, value }));
+  const barInsight = (title, a, b) => {
+    const multiSeries = [{ label: 'web', series: points(a) }, { label: 'ios', series: points(b) }];
+    return { title, type: 'TRENDS', display: 'ActionsBar', series: multiSeries[0].series, multiSeries };
+  };
+  const ids = (html) => [...html.matchAll(/<pattern id="([^"]+)"/g)].map((m) => m[1]);
+
+  const first  = renderMarkup(barInsight('Signups', [1, 2, 3], [3, 2, 1]));
+  const second = renderMarkup(barInsight('Logins', [4, 5, 6], [6, 5, 4]));
+  assert.equal(ids(first).length, 2);
+  assert.equal(new Set([...ids(first), ...ids(second)]).size, 4);
+  for (const [, id] of first.matchAll(/url\(#([^)]+)\)/g)) assert.ok(ids(first).includes(id));
+
+  const layouts = Object.values(renderLayouts(barInsight('Signups', [1, 2, 3], [3, 2, 1]))).flatMap(ids);
+  assert.equal(new Set(layouts).size, layouts.length);
+  assert.deepEqual(ids(renderMarkup(barInsight('Signups', [1, 2, 3], [3, 2, 1]))), ids(first));
+});
+
+test('multi-series trends keep their goal line, on the axis even above the data', () => {
+  const points = (values) => values.map((value, i) => ({ label: `Day ${i + 1}`, value }));
+  const multiSeries = [{ label: 'web', series: points([10, 20, 30]) }, { label: 'ios', series: points([5, 15, 25]) }];
+  const html = renderMarkup({
+    title: 'Signups', type: 'TRENDS', display: 'ActionsLineGraph', series: multiSeries[0].series, multiSeries,
+    goal: { display: 'line', line: { value: 80, label: 'Goal 80/day' } },
+  });
+
+  assert.match(html, /Goal 80\/day/);
+  const [, y] = html.match(/<line x1="[\d.]+" y1="([\d.]+)"[^>]*stroke-dasharray="10 3 2 3"/);
+  assert.ok(Number(y) >= 0 && Number(y) <= 240, `goal line at y=${y} is outside the chart`);
+});
+
+test('multi-series trends draw each series\' previous period faintly', () => {
+  const compare = (label, data, compareLabel) => ({
+    label, data, labels: data.map((_, i) => `Day ${i + 1}`), count: data.reduce((a, b) => a + b, 0),
+    action: { order: label === 'web' ? 0 : 1 }, compare: true, compare_label: compareLabel,
+  });
+  const insight = parseInsight({
+    name:    'Signups',
+    filters: { insight: 'TRENDS', display: 'ActionsLineGraph' },
+    result:  [
+      compare('web', [10, 20, 30], 'current'), compare('ios', [5, 15, 25], 'current'),
+      compare('web', [8, 12, 90], 'previous'), compare('ios', [4, 6, 9], 'previous'),
+    ],
+  });
+  assert.deepEqual(insight.multiSeries.map((s) => s.previousSeries.map((p) => p.value)), [[8, 12, 90], [4, 6, 9]]);
+
+  const html  = renderMarkup(insight);
+  const faint = [...html.matchAll(/<polyline points="([^"]+)"[^>]*opacity="0.35"/g)];
+  assert.equal(faint.length, 2);
+  assert.match(html, /Previous period/);
+  const ys = faint.flatMap((m) => m[1].split(' ').map((pt) => Number(pt.split(',')[1])));
+  for (const y of ys) assert.ok(y >= 0 && y <= 240, `y=${y} is outside the chart`);
+});
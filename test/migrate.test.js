@@ -0,0 +1,123 @@
+const test     = require('node:test');
+const assert   = require('node:assert/strict');
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+const Database = require('better-sqlite3');
+const { loadMigrations, migrate, migrationStatus } = require('../migrate');
+
+// A migrations directory holding the given files ({ name: source })
+function migrationsDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, source] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), source);
+  return dir;
+}
+
+const CREATE_WIDGETS = `
+  module.exports = {
+    description: 'widgets',
+    up(db) { db.exec('CREATE TABLE widgets (id INTEGER PRIMARY KEY)'); },
+  };
+`;
+
+test('applies pending migrations in order and records them', (t) => {
+  const dir = migrationsDir(t, {
+    '001_widgets.js': CREATE_WIDGETS,
+    '002_gadgets.js': `
+      module.exports = {
+        description: 'gadgets',
+        up(db) { db.exec('CREATE TABLE gadgets (id INTEGER PRIMARY KEY)'); },
+      };
+    `,
+  });
+  const db = new Database(':memory:');
+
+  const applied = migrate(db, ':memory:', loadMigrations(dir));
+  assert.deepEqual(applied.map((m) => m.version), [1, 2]);
+  assert.equal(migrationStatus(db, loadMigrations(dir)).current, 2);
+  assert.deepEqual(migrate(db, ':memory:', loadMigrations(dir)), []);
+});
+
+test('rolls back a failing migration and stops there', (t) => {
+  const dir = migrationsDir(t, {
+    '001_widgets.js': CREATE_WIDGETS,
+    '002_broken.js': `
+      module.exports = {
+        description: 'broken',
+        up(db) {
+          db.exec('CREATE TABLE gadgets (id INTEGER PRIMARY KEY)');
+          db.exec('INSERT INTO widgets (id) VALUES (1)');
+          throw new Error('boom');
+        },
+      };
+    `,
+    '003_never.js': `
+      module.exports = {
+        description: 'never reached',
+        up(db) { db.exec('CREATE TABLE never (id INTEGER PRIMARY KEY)'); },
+      };
+    `,
+  });
+  const db = new Database(':memory:');
+
+  assert.throws(() => migrate(db, ':memory:', loadMigrations(dir)), /boom/);
+
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map((r) => r.name);
+  assert.ok(tables.includes('widgets'));
+  assert.ok(!tables.includes('gadgets'), 'the failed migration left nothing behind');
+  assert.ok(!tables.includes('never'));
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM widgets').get().n, 0);
+  assert.equal(migrationStatus(db, loadMigrations(dir)).current, 1);
+});
+
+test('refuses a database newer than the code', (t) => {
+  const dir = migrationsDir(t, { '001_widgets.js': CREATE_WIDGETS });
+  const db  = new Database(':memory:');
+  migrate(db, ':memory:', loadMigrations(dir));
+  db.prepare("INSERT INTO schema_version (version, name) VALUES (2, 'future')").run();
+
+  assert.throws(() => migrate(db, ':memory:', loadMigrations(dir)), /version 2/);
+});
+
+test('rejects gaps in migration numbers', (t) => {
+  const dir = migrationsDir(t, { '001_widgets.js': CREATE_WIDGETS, '003_gap.js': CREATE_WIDGETS });
+  assert.throws(() => loadMigrations(dir), /without gaps/);
+});
+
+test('backs up before a destructive migration only once plugins are installed', (t) => {
+  const dir = migrationsDir(t, {
+    '001_installations.js': `
+      module.exports = {
+        description: 'installations',
+        up(db) { db.exec('CREATE TABLE installations (id INTEGER PRIMARY KEY)'); },
+      };
+    `,
+    '002_drop.js': `
+      module.exports = {
+        description: 'drop widgets',
+        destructive: true,
+        up(db) { db.exec('DROP TABLE IF EXISTS widgets'); },
+      };
+    `,
+  });
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'db-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const backups = () => fs.readdirSync(dataDir).filter((name) => name.endsWith('.bak'));
+
+  const fresh = path.join(dataDir, 'fresh.db');
+  const db    = new Database(fresh);
+  t.after(() => db.close());
+  migrate(db, fresh, loadMigrations(dir));
+  assert.deepEqual(backups(), [], 'a new database has nothing to back up');
+
+  const used   = path.join(dataDir, 'used.db');
+  const usedDb = new Database(used);
+  t.after(() => usedDb.close());
+  const migrations = loadMigrations(dir);
+  migrate(usedDb, used, migrations.slice(0, 1));
+  usedDb.prepare('INSERT INTO installations (id) VALUES (1)').run();
+  migrate(usedDb, used, migrations);
+  assert.equal(backups().length, 1);
+  assert.match(backups()[0], /^used\.db\.v1-/);
+});
@@ -0,0 +1,100 @@
+require('./helpers').useTestEnv({ DEV_MODE: '' });
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const http   = require('http');
+const { listen } = require('./helpers');
+
+// PostHog hosts answered here ({ url: (options) => Response }); anything
+// else goes out as usual
+const realFetch = require('node-fetch');
+const answers   = new Map();
+const requested = [];
+function fakeFetch(url, options) {
+  requested.push({ url: String(url), options });
+  const answer = answers.get(String(url));
+  return answer ? Promise.resolve(answer(options)) : realFetch(url, options);
+}
+Object.assign(fakeFetch, realFetch);
+require.cache[require.resolve('node-fetch')].exports = fakeFetch;
+
+const redirectTo = (location, status = 302) => () =>
+  new realFetch.Response('', { status, headers: { Location: location } });
+
+const { isPrivateAddress, isPrivateHost, agentFor } = require('../network');
+const { limitedFetch } = require('../limiter');
+
+test('recognises private, loopback and link-local addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', '64:ff9b::a9fe:a9fe']) {
+    assert.ok(isPrivateAddress(address), address);
+  }
+  for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700::1111', 'us.posthog.com']) {
+    assert.ok(!isPrivateAddress(address), address);
+  }
+});
+
+test('recognises private hosts as URLs name them', () => {
+  assert.ok(isPrivateHost(new URL('http://localhost:8010').hostname));
+  assert.ok(isPrivateHost(new URL('https://[::1]/').hostname));
+  assert.ok(isPrivateHost(new URL('https://api.localhost/').hostname));
+  assert.ok(!isPrivateHost(new URL('https://eu.posthog.com/').hostname));
+});
+
+test('outside dev mode, PostHog requests never reach a private address', async (t) => {
+  let hits = 0;
+  const base = await listen(t, http.createServer((_req, res) => { hits++; res.end('{}'); }));
+  const port = new URL(base).port;
+
+  await assert.rejects(limitedFetch(`${base}/`), { code: 'EPRIVATE' });
+  await assert.rejects(limitedFetch(`http://localhost:${port}/`), { code: 'EPRIVATE' });
+  assert.equal(hits, 0);
+});
+
+test('the agents refuse names that resolve to a private address', async () => {
+  const { lookup } = agentFor(new URL('https://example.com/')).options;
+  const err = await new Promise((resolve) => lookup('localhost', { all: true }, resolve));
+  assert.equal(err.code, 'EPRIVATE');
+});
+
+test('the agents refuse IP literals that name a private address', async (t) => {
+  let hits = 0;
+  const base = await listen(t, http.createServer((_req, res) => { hits++; res.end('{}'); }));
+  const url  = new URL(`${base}/`);
+
+  const err = await new Promise((resolve) => {
+    http.get(url, { agent: agentFor(url) }, () => resolve(null)).on('error', resolve);
+  });
+  assert.equal(err && err.code, 'EPRIVATE');
+  assert.equal(hits, 0);
+});
+
+test('redirects to a private address are refused before they are followed', async () => {
+  answers.set('https://us.posthog.com/shared/metadata', redirectTo('http://169.254.169.254/latest/meta-data/'));
+  answers.set('https://us.posthog.com/shared/loopback', redirectTo('http://127.0.0.1:8000/', 307));
+  requested.length = 0;
+
+  await assert.rejects(limitedFetch('https://us.posthog.com/shared/metadata'), { code: 'EPRIVATE' });
+  await assert.rejects(limitedFetch('https://us.posthog.com/shared/loopback'), { code: 'EPRIVATE' });
+  assert.deepEqual(requested.map((r) => r.url), [
+    'https://us.posthog.com/shared/metadata',
+    'https://us.posthog.com/shared/loopback',
+  ]);
+});
+
+test('public redirects are followed without carrying the API key to another host', async () => {
+  answers.set('https://us.posthog.com/api/moved', redirectTo('https://eu.posthog.com/api/here', 301));
+  answers.set('https://eu.posthog.com/api/here', () => new realFetch.Response('{"ok":true}', { status: 200 }));
+  requested.length = 0;
+
+  const res = await limitedFetch('https://us.posthog.com/api/moved', { headers: { Authorization: 'Bearer phx_key' } });
+  assert.deepEqual(await res.json(), { ok: true });
+  assert.equal(requested.length, 2);
+  assert.equal(requested[1].options.headers.get('authorization'), null);
+  assert.equal(requested[1].options.redirect, 'manual');
+});
+
+test('redirect chains stop after a few hops', async () => {
+  answers.set('https://us.posthog.com/loop', redirectTo('https://us.posthog.com/loop'));
+  await assert.rejects(limitedFetch('https://us.posthog.com/loop'), { type: 'max-redirect' });
+});
@@ -0,0 +1,80 @@
+require('./helpers').useTestEnv({ DEV_MODE: '', METRICS_TOKEN: 'scrape-me', INSIGHT_CACHE_TTL: '1' });
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { listen } = require('./helpers');
+const db     = require('../db');
+const app    = require('../index');
+const { cacheKey, getInsight } = require('../cache');
+const { hostLabel } = require('../metrics');
+
+// The JSON lines written to stdout and stderr while fn runs
+async function captureLogs(fn) {
+  const lines    = [];
+  const original = { stdout: process.stdout.write, stderr: process.stderr.write };
+  for (const stream of ['stdout', 'stderr']) {
+    process[stream].write = (chunk) => {
+      for (const line of String(chunk).split('\n').filter(Boolean)) {
+        try { lines.push(JSON.parse(line)); } catch { /* not a log line */ }
+      }
+      return true;
+    };
+  }
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = original.stdout;
+    process.stderr.write = original.stderr;
+  }
+  return lines;
+}
+
+test('requests log a line under the caller\'s request id', async (t) => {
+  const base = await listen(t, app);
+  let res;
+  const lines = await captureLogs(async () => {
+    res = await fetch(`${base}/health`, { headers: { 'X-Request-Id': 'req-123' } });
+    await res.text();
+  });
+  assert.equal(res.headers.get('x-request-id'), 'req-123');
+  const line = lines.find((l) => l.msg === 'Request' && l.request_id === 'req-123');
+  assert.ok(line, 'a Request line for req-123');
+  assert.equal(line.route, '/health');
+  assert.equal(line.status, 200);
+});
+
+test('/metrics needs the scrape token and counts requests by route pattern', async (t) => {
+  const base = await listen(t, app);
+  await (await fetch(`${base}/health`)).text();
+
+  assert.equal((await fetch(`${base}/metrics`)).status, 401);
+  const res  = await fetch(`${base}/metrics`, { headers: { Authorization: 'Bearer scrape-me' } });
+  const text = await res.text();
+  assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(text, /^http_requests_total\{method="GET",route="\/health",status="200"\} \d+$/m);
+  assert.match(text, /^# TYPE posthog_fetch_duration_seconds histogram$/m);
+  assert.match(text, /^installations \d+$/m);
+});
+
+test('self-hosted PostHog hosts share one metric label', () => {
+  assert.equal(hostLabel('us.posthog.com'), 'us.posthog.com');
+  assert.equal(hostLabel('eu.posthog.com'), 'eu.posthog.com');
+  assert.equal(hostLabel('posthog.example.com'), 'other');
+  assert.equal(hostLabel('10.0.0.7:8000'), 'other');
+});
+
+test('failed background refreshes log a hash of the cache key, never the share token', async () => {
+  const url = 'https://posthog.internal/shared/SecretShareToken';
+  db.saveCachedInsight(cacheKey(url), JSON.stringify({ title: 'Cached' }));
+  await new Promise((resolve) => setTimeout(resolve, 1100)); // past INSIGHT_CACHE_TTL
+
+  const lines = await captureLogs(async () => {
+    assert.equal((await getInsight(url)).insight.title, 'Cached');
+    await new Promise((resolve) => setTimeout(resolve, 200)); // the refresh fails in the background
+  });
+  const line = lines.find((l) => l.msg === 'Background refresh failed');
+  assert.ok(line, 'the failure is logged');
+  assert.match(line.cache_key_hash, /^[0-9a-f]{12}$/);
+  assert.match(line.error, /\/shared\/…/);
+  assert.ok(!JSON.stringify(lines).includes('SecretShareToken'));
+});
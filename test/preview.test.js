@@ -0,0 +1,59 @@
+// Dev mode lets the preview reach the stub on 127.0.0.1 and name the installation
+require('./helpers').useTestEnv({ DEV_MODE: '1' });
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { listen } = require('./helpers');
+const stub   = require('../stub-posthog');
+const db     = require('../db');
+const app    = require('../index');
+
+// The settings form as the preview iframe posts it: one private API source
+function form(apiHost, fields = {}) {
+  return new URLSearchParams({
+    plugin_setting_id: 'preview',
+    source_type_0:     'api',
+    source_host_0:     apiHost,
+    source_project_0:  stub.PROJECT_ID,
+    source_insight_0:  String(stub.INSIGHT.id),
+    source_key_0:      stub.API_KEY,
+    ...fields,
+  });
+}
+
+async function preview(base, body) {
+  const res = await fetch(`${base}/settings/preview`, { method: 'POST', headers: { Accept: 'application/json' }, body });
+  return { status: res.status, json: await res.json() };
+}
+
+test('previews unsaved settings in all four layouts without saving them', async (t) => {
+  db.upsertInstallation('preview', 'access-preview');
+  const base    = await listen(t, app);
+  const apiHost = await listen(t, stub.app);
+
+  const { status, json } = await preview(base, form(apiHost, {
+    source_title_0: 'Signups this week', goal_value: '500', goal_period: 'week', goal_display: 'progress',
+  }));
+  assert.equal(status, 200);
+  for (const field of ['markup', 'markup_half_horizontal', 'markup_half_vertical', 'markup_quadrant']) {
+    assert.match(json[field], /Signups this week/, field);
+  }
+  assert.match(json.markup, /GOAL/);
+  assert.deepEqual(json.warnings, []);
+
+  assert.deepEqual(db.getInsightSources('preview'), []);
+  assert.equal(db.getGoal('preview'), undefined);
+});
+
+test('shows why an unsaved source cannot be fetched', async (t) => {
+  const base    = await listen(t, app);
+  const apiHost = await listen(t, stub.app);
+
+  const { status, json } = await preview(base, form(apiHost, { source_key_0: 'phx_wrong' }));
+  assert.equal(status, 502);
+  assert.match(json.error, /API key/);
+
+  const invalid = await preview(base, form(apiHost, { goal_value: '-3', goal_period: 'week' }));
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.json.error, /Goal must be a positive number/);
+});
@@ -0,0 +1,52 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { errorRefreshRate, quietRefreshRate, insightRefreshRate, minuteOfDay } = require('../refresh');
+
+test('errorRefreshRate doubles with each failed poll up to an hour', () => {
+  assert.deepEqual([1, 2, 3, 4, 5, 6, 20].map((n) => errorRefreshRate(n)), [300, 600, 1200, 2400, 3600, 3600, 3600]);
+});
+
+test('errorRefreshRate backs off from a given base', () => {
+  assert.deepEqual([1, 2, 3].map((n) => errorRefreshRate(n, 120)), [120, 240, 480]);
+  // A base above the cap is kept rather than lowered
+  assert.equal(errorRefreshRate(3, 2 * 60 * 60), 2 * 60 * 60);
+});
+
+test('quietRefreshRate leaves the rate alone outside quiet hours', () => {
+  const quiet = { start: 22 * 60, end: 7 * 60, timeZone: 'UTC' };
+  assert.equal(quietRefreshRate(900, quiet, new Date('2026-03-02T12:00:00Z')), 900);
+  assert.equal(quietRefreshRate(900, null, new Date('2026-03-02T23:00:00Z')), 900);
+});
+
+test('quietRefreshRate waits until quiet hours end, at most four hours at a time', () => {
+  const quiet = { start: 22 * 60, end: 7 * 60, timeZone: 'UTC' };
+  // 06:30 → 30 minutes to go
+  assert.equal(quietRefreshRate(900, quiet, new Date('2026-03-02T06:30:00Z')), 30 * 60);
+  // 23:00 → eight hours to go, capped
+  assert.equal(quietRefreshRate(900, quiet, new Date('2026-03-02T23:00:00Z')), 4 * 60 * 60);
+  // Never shorter than the rate it was given
+  assert.equal(quietRefreshRate(3600, quiet, new Date('2026-03-02T06:50:00Z')), 3600);
+});
+
+test('quietRefreshRate reads quiet hours on the installation\'s wall clock', () => {
+  const quiet = { start: 22 * 60, end: 7 * 60, timeZone: 'America/New_York' };
+  // 12:00 UTC is 07:00 in New York (EST): quiet hours just ended
+  assert.equal(quietRefreshRate(900, quiet, new Date('2026-03-02T12:00:00Z')), 900);
+  // 04:00 UTC is 23:00 in New York
+  assert.equal(quietRefreshRate(900, quiet, new Date('2026-03-02T04:00:00Z')), 4 * 60 * 60);
+});
+
+test('minuteOfDay converts to the time zone\'s wall clock', () => {
+  const date = new Date('2026-07-01T12:34:00Z');
+  assert.equal(minuteOfDay(date), 12 * 60 + 34);
+  assert.equal(minuteOfDay(date, 'Europe/Berlin'), 14 * 60 + 34);
+});
+
+test('insightRefreshRate counts from when PostHog last computed the insight', () => {
+  const now = 1_800_000_000;
+  assert.equal(insightRefreshRate({ interval: 'day', lastRefresh: now - 50 * 60 }, now), 10 * 60);
+  assert.equal(insightRefreshRate({ interval: 'day', lastRefresh: now - 58 * 60 }, now), 5 * 60);
+  assert.equal(insightRefreshRate({ interval: 'day', lastRefresh: now - 2 * 60 * 60 }, now), 60 * 60);
+  assert.equal(insightRefreshRate({}, now), 30 * 60);
+  assert.equal(insightRefreshRate({ tiles: [{ interval: 'week' }, { interval: 'hour' }] }, now), 15 * 60);
+});
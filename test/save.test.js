@@ -0,0 +1,75 @@
+// Dev mode lets saving reach the stub on 127.0.0.1 and name the installation
+require('./helpers').useTestEnv({ DEV_MODE: '1' });
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const http   = require('http');
+const { listen } = require('./helpers');
+const stub   = require('../stub-posthog');
+const db     = require('../db');
+const app    = require('../index');
+
+// POST /settings; returns the query of the form it redirects back to
+async function save(base, id, fields) {
+  const res = await fetch(`${base}/settings`, {
+    method:   'POST',
+    body:     new URLSearchParams({ plugin_setting_id: id, ...fields }),
+    redirect: 'manual',
+  });
+  assert.equal(res.status, 302);
+  return new URL(res.headers.get('location'), base).searchParams;
+}
+
+const apiSource = (apiHost, fields = {}) => ({
+  source_type_0:    'api',
+  source_host_0:    apiHost,
+  source_project_0: stub.PROJECT_ID,
+  source_insight_0: String(stub.INSIGHT.id),
+  source_key_0:     stub.API_KEY,
+  ...fields,
+});
+
+// A local port with nothing listening on it
+async function closedPort() {
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+test('saves a source PostHog answers for', async (t) => {
+  db.upsertInstallation('save-ok', 'access-save-ok');
+  const base    = await listen(t, app);
+  const apiHost = await listen(t, stub.app);
+
+  const params = await save(base, 'save-ok', apiSource(apiHost));
+  assert.equal(params.get('saved'), '1');
+  assert.equal(params.get('error'), null);
+  assert.equal(db.getInsightSources('save-ok').length, 1);
+});
+
+test('refuses sources PostHog rejects, with the reason', async (t) => {
+  db.upsertInstallation('save-bad', 'access-save-bad');
+  const base    = await listen(t, app);
+  const apiHost = await listen(t, stub.app);
+
+  assert.match((await save(base, 'save-bad', apiSource(apiHost, { source_key_0: 'phx_wrong' }))).get('error'), /API key/);
+  assert.match((await save(base, 'save-bad', apiSource(apiHost, { source_insight_0: '999' }))).get('error'), /404/);
+  assert.deepEqual(db.getInsightSources('save-bad'), []);
+});
+
+test('an unreachable PostHog blocks API sources but not share links', async (t) => {
+  db.upsertInstallation('save-down', 'access-save-down');
+  const base = await listen(t, app);
+  const down = `127.0.0.1:${await closedPort()}`;
+
+  const api = await save(base, 'save-down', apiSource(`http://${down}`));
+  assert.match(api.get('error'), /Could not check the API key/);
+  assert.deepEqual(db.getInsightSources('save-down'), []);
+
+  const shared = await save(base, 'save-down', { source_type_0: 'shared', source_url_0: `https://${down}/shared/abc123` });
+  assert.equal(shared.get('saved'), '1');
+  assert.match(shared.get('warning'), /Not checked/);
+  assert.equal(db.getInsightSources('save-down').length, 1);
+});
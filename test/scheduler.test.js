@@ -0,0 +1,58 @@
+require('./helpers').useTestEnv();
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const db     = require('../db');
+const { cacheKey } = require('../cache');
+const { planPrefetch } = require('../scheduler');
+
+const share = (token) => `https://us.posthog.com/shared/${token}`;
+
+// An installation whose device polled just now, asking to come back in `rate` seconds
+function polled(id, rate) {
+  db.upsertInstallation(id, `access-${id}`);
+  db.recordPoll(id, rate);
+}
+
+// planPrefetch with targets per installation id; returns [count, asked ids]
+function plan(targets, now = Math.floor(Date.now() / 1000)) {
+  const asked = [];
+  const count = planPrefetch((installation) => {
+    asked.push(installation.plugin_setting_id);
+    return targets[installation.plugin_setting_id] || [];
+  }, now);
+  return [count, asked];
+}
+
+// Refreshes are scheduled tens of seconds ahead of the poll, after these
+// tests finish; their timers don't keep the run alive.
+
+test('schedules one refresh per insight for devices due soon', () => {
+  polled('soon-a', 200);
+  polled('soon-b', 200);
+  polled('later', 3600);
+
+  const [count, asked] = plan({
+    'soon-a': [share('Shared1')],
+    'soon-b': [share('Shared1'), share('Shared2')],
+    'later':  [share('Shared3')],
+  });
+  assert.equal(count, 2, 'Shared1 is refreshed once for both devices');
+  assert.ok(!asked.includes('later'), 'a poll an hour away waits for a later walk');
+
+  // Already scheduled: the next walk adds nothing
+  assert.equal(plan({ 'soon-a': [share('Shared1')], 'soon-b': [share('Shared2')] })[0], 0);
+});
+
+test('skips insights whose cached copy will still be fresh', () => {
+  polled('fresh', 200);
+  db.saveCachedInsight(cacheKey(share('Fresh')), JSON.stringify({ title: 'Fresh' }));
+  assert.equal(plan({ fresh: [share('Fresh')] })[0], 0);
+});
+
+test('skips devices that have stopped polling', () => {
+  polled('gone', 200);
+  const [count, asked] = plan({ gone: [share('Gone')] }, Math.floor(Date.now() / 1000) + 500);
+  assert.equal(count, 0);
+  assert.ok(!asked.includes('gone'));
+});
@@ -0,0 +1,49 @@
+require('./helpers').useTestEnv({ DEV_MODE: '' });
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { listen } = require('./helpers');
+const db     = require('../db');
+const app    = require('../index');
+
+// Two share links rotating on one installation, already in the insight cache
+const TOKEN = 'access-screen';
+function seed() {
+  db.upsertInstallation('screen', TOKEN);
+  db.replaceInsightSources('screen', ['Alpha', 'Beta'].map((title) => ({
+    sourceType: 'shared',
+    posthogUrl: `https://us.posthog.com/shared/${title}`,
+  })));
+  for (const [title, value] of [['Alpha', '111'], ['Beta', '222']]) {
+    db.saveCachedInsight(`shared:us.posthog.com:${title}`, JSON.stringify({ title, type: 'TRENDS', display: 'BoldNumber', primaryValue: value }));
+  }
+}
+
+const auth = { Authorization: `Bearer ${TOKEN}` };
+
+test('/markup steps the rotation on every poll', async (t) => {
+  seed();
+  const base   = await listen(t, app);
+  const titles = [];
+  for (let i = 0; i < 3; i++) {
+    const { markup } = await (await fetch(`${base}/markup`, { headers: auth })).json();
+    titles.push(markup.includes('Alpha') ? 'Alpha' : 'Beta');
+  }
+  assert.deepEqual(titles, ['Alpha', 'Beta', 'Alpha']);
+});
+
+test('/image requests within one refresh repeat its screen', async (t) => {
+  seed();
+  const base  = await listen(t, app);
+  const image = async (query = '') => (await fetch(`${base}/image${query}`, { headers: auth })).headers.get('etag');
+
+  // Right after the last /markup poll (Alpha): the same screen in every format
+  const full = await image();
+  assert.equal(await image(), full);
+  assert.notEqual(await image('?format=bmp'), full);
+  assert.equal(await image(), full);
+
+  const { markup } = await (await fetch(`${base}/markup`, { headers: auth })).json();
+  assert.match(markup, /Beta/);
+  assert.notEqual(await image(), full);
+});
@@ -0,0 +1,91 @@
+require('./helpers').useTestEnv({ DEV_MODE: '', TRMNL_CLIENT_ID: 'client', TRMNL_CLIENT_SECRET: 'secret' });
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { listen } = require('./helpers');
+
+// TRMNL's token endpoint, answered here; everything else goes out as usual
+const TOKEN_URL = 'https://trmnl.com/oauth/token';
+const realFetch = require('node-fetch');
+function fakeFetch(url, options) {
+  if (String(url) !== TOKEN_URL) return realFetch(url, options);
+  const { code } = JSON.parse(options.body);
+  return Promise.resolve(new realFetch.Response(
+    JSON.stringify({ access_token: `access-${code}`, plugin_setting_id: 77 }),
+    { status: 200, headers: { 'Content-Type': 'application/json' } },
+  ));
+}
+Object.assign(fakeFetch, realFetch);
+require.cache[require.resolve('node-fetch')].exports = fakeFetch;
+
+const app = require('../index');
+
+const CALLBACK = 'https://trmnl.com/plugin_settings/77/callback';
+
+test('outside dev mode, the settings form opens through the install flow', async (t) => {
+  const base = await listen(t, app);
+
+  const bare = await fetch(`${base}/settings?plugin_setting_id=77`);
+  assert.equal(bare.status, 401);
+
+  const install = await fetch(
+    `${base}/install?${new URLSearchParams({ token: 'code1', installation_callback_url: CALLBACK })}`,
+    { redirect: 'manual' },
+  );
+  assert.equal(install.status, 302);
+  const location = new URL(install.headers.get('location'), base);
+  assert.equal(location.pathname, '/settings');
+  assert.ok(location.searchParams.get('token'));
+  assert.equal(location.searchParams.get('return_to'), CALLBACK);
+
+  const page = await fetch(location);
+  assert.equal(page.status, 200);
+  const html = await page.text();
+  assert.match(html, /Plugin installed/);
+  assert.ok(html.includes(`href="${CALLBACK}"`), 'links back to TRMNL');
+
+  // The form carries the token and the way back through a save
+  const save = await fetch(`${base}/settings`, {
+    method:   'POST',
+    redirect: 'manual',
+    body:     new URLSearchParams({
+      plugin_setting_id: '77',
+      settings_token:    location.searchParams.get('token'),
+      return_to:         CALLBACK,
+    }),
+  });
+  assert.equal(save.status, 302);
+  const after = new URL(save.headers.get('location'), base);
+  assert.equal(after.searchParams.get('error'), 'Add at least one PostHog insight.');
+  assert.equal(after.searchParams.get('return_to'), CALLBACK);
+});
+
+test('a settings token only opens its own installation', async (t) => {
+  const base    = await listen(t, app);
+  const install = await fetch(
+    `${base}/install?${new URLSearchParams({ token: 'code2', installation_callback_url: CALLBACK })}`,
+    { redirect: 'manual' },
+  );
+  const token = new URL(install.headers.get('location'), base).searchParams.get('token');
+
+  const other = await fetch(`${base}/settings?${new URLSearchParams({ token, plugin_setting_id: '78' })}`);
+  assert.equal(other.status, 403);
+
+  const forged = await fetch(`${base}/settings?${new URLSearchParams({ token: `${token}x` })}`);
+  assert.equal(forged.status, 401);
+});
+
+test('the access token gets a signed settings link', async (t) => {
+  const base = await listen(t, app);
+  await fetch(
+    `${base}/install?${new URLSearchParams({ token: 'code3', installation_callback_url: CALLBACK })}`,
+    { redirect: 'manual' },
+  );
+
+  const link = await fetch(`${base}/settings/link`, { headers: { Authorization: 'Bearer access-code3' } });
+  assert.equal(link.status, 200);
+  const { url } = await link.json();
+  assert.equal((await fetch(`${base}${url}`)).status, 200);
+
+  assert.equal((await fetch(`${base}/settings/link`, { headers: { Authorization: 'Bearer nope' } })).status, 401);
+});
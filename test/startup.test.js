@@ -0,0 +1,26 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('path');
+const { spawnSync } = require('child_process');
+
+// Run the server as `npm start` would, with the given environment overrides
+function start(env) {
+  return spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: { ...process.env, DB_PATH: ':memory:', PORT: '0', PREFETCH: '0', ...env },
+    encoding: 'utf8',
+    timeout: 20000,
+  });
+}
+
+test('refuses to start without a usable ENCRYPTION_KEY', () => {
+  for (const [env, message] of [
+    [{ ENCRYPTION_KEY: '' }, /ENCRYPTION_KEY is not set/],
+    [{ ENCRYPTION_KEY: 'too-short' }, /ENCRYPTION_KEY must be 32 bytes/],
+    [{ ENCRYPTION_KEY: 'a'.repeat(64), ENCRYPTION_KEY_PREVIOUS: 'abc' }, /ENCRYPTION_KEY_PREVIOUS must be 32 bytes/],
+  ]) {
+    const { status, stdout, stderr } = start(env);
+    assert.equal(status, 1, JSON.stringify(env));
+    assert.match(stdout + stderr, /Cannot start/);
+    assert.match(stdout + stderr, message);
+  }
+});